@@ -120,6 +120,7 @@ declare type ASTElement = {
   attrs?: Array<ASTAttr>;
   dynamicAttrs?: Array<ASTAttr>;
   props?: Array<ASTAttr>;
+  componentProps?: Array<ASTAttr>;
   plain?: boolean;
   pre?: true;
   ns?: string;
@@ -168,6 +169,7 @@ declare type ASTElement = {
   directives?: Array<ASTDirective>;
 
   forbidden?: true;
+  fragment?: true; // synthetic root wrapping multiple root elements
   once?: true;
   onceProcessed?: boolean;
   wrapData?: (code: string) => string;
@@ -1,6 +1,7 @@
 import type { Config } from '../src/core/config'
 import type VNode from '../src/core/vdom/vnode'
 import type Watcher from '../src/core/observer/watcher'
+import type { EffectScope } from '../src/core/observer/effect'
 
 declare interface Component {
   // constructor information
@@ -22,6 +23,7 @@ declare interface Component {
   // public properties
   $el: any; // so that we can attach __vue__ to it
   $data: Object;
+  $asyncComputed: { [key: string]: Object };
   $props: Object;
   $options: ComponentOptions;
   $parent: Component | void;
@@ -41,11 +43,12 @@ declare interface Component {
   $destroy: () => void;
   $set: <T>(target: Object | Array<T>, key: string | number, val: T) => T;
   $delete: <T>(target: Object | Array<T>, key: string | number) => void;
-  $watch: (expOrFn: string | Function, cb: Function, options?: Object) => Function;
+  $watch: (expOrFn: string | Function | Array<string | Function>, cb: Function, options?: Object) => Function;
   $on: (event: string | Array<string>, fn: Function) => Component;
   $once: (event: string, fn: Function) => Component;
   $off: (event?: string | Array<string>, fn?: Function) => Component;
   $emit: (event: string, ...args: Array<mixed>) => Component;
+  $emitAsync: (event: string, ...args: Array<mixed>) => Promise<Array<any>>;
   $nextTick: (fn: Function) => void | Promise<*>;
   $createElement: (tag?: string | Component, data?: Object, children?: VNodeChildren) => VNode;
 
@@ -59,6 +62,10 @@ declare interface Component {
   _watcher: Watcher;
   _watchers: Array<Watcher>;
   _computedWatchers: { [key: string]: Watcher };
+  _setupState: ?Object;
+  _setupPending: ?boolean;
+  _setupPromise: ?Promise<void>;
+  _scope: ?EffectScope;
   _data: Object;
   _props: Object;
   _events: Object;
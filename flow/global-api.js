@@ -15,8 +15,42 @@ declare interface GlobalAPI {
   directive: (id: string, def?: Function | Object) => Function | Object | void;
   component: (id: string, def?: Class<Component> | Object) => Class<Component>;
   filter: (id: string, def?: Function) => Function | void;
+  createApp: (options?: Object) => Object;
 
   observable: <T>(value: T) => T;
+  shallowObservable: <T>(value: T) => T;
+  markRaw: <T>(value: T) => T;
+  shallow: (value: any) => Object;
+  readonly: <T>(value: T) => T;
+  toRaw: <T>(value: T) => T;
+  snapshot: <T>(value: T, options?: { depth?: number }) => T;
+  effect: (fn: Function, options?: Object) => Function;
+  computed: (getter: Function, setter?: Function) => Object;
+  watch: (source: any, cb: Function, options?: Object) => Function;
+  effectScope: (detached?: boolean) => Object;
+  ref: <T>(value: T) => { value: T };
+  isRef: (value: any) => boolean;
+  unref: (value: any) => any;
+  onBeforeMount: (fn: Function) => void;
+  onMounted: (fn: Function) => void;
+  onBeforeUpdate: (fn: Function) => void;
+  onUpdated: (fn: Function) => void;
+  onBeforeUnmount: (fn: Function) => void;
+  onUnmounted: (fn: Function) => void;
+  onActivated: (fn: Function) => void;
+  onDeactivated: (fn: Function) => void;
+  onErrorCaptured: (fn: Function) => void;
+  onServerPrefetch: (fn: Function) => void;
+  onRenderTracked: (fn: Function) => void;
+  onRenderTriggered: (fn: Function) => void;
+  batch: <T>(fn: () => T) => T;
+  batchAsync: <T>(fn: () => Promise<T> | T) => Promise<T>;
+  PropTypes: {
+    shape: (fields: Object) => any;
+    arrayOf: (type: any) => any;
+    objectOf: (type: any) => any;
+    oneOf: (values: Array<any>) => any;
+  };
 
   // allow dynamic method registration
   [key: string]: any
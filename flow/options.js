@@ -24,6 +24,7 @@ declare type ComponentOptions = {
   };
   methods?: { [key: string]: Function };
   watch?: { [key: string]: Function | string };
+  setup?: (props: Object, ctx: Object) => Object | Function | void;
 
   // DOM
   el?: string | Element;
@@ -45,6 +46,8 @@ declare type ComponentOptions = {
   destroyed?: Function;
   errorCaptured?: () => boolean | void;
   serverPrefetch?: Function;
+  renderTracked?: Function;
+  renderTriggered?: Function;
 
   // assets
   directives?: { [key: string]: Object };
@@ -55,6 +58,7 @@ declare type ComponentOptions = {
   // context
   provide?: { [key: string | Symbol]: any } | () => { [key: string | Symbol]: any };
   inject?: { [key: string]: InjectKey | { from?: InjectKey, default?: any }} | Array<string>;
+  emits?: { [key: string]: ?Function } | Array<string>;
 
   // component v-model customization
   model?: {
@@ -80,6 +84,7 @@ declare type ComponentOptions = {
   _componentTag: ?string;
   _scopeId: ?string;
   _base: Class<Component>;
+  _app?: Object; // the app created by Vue.createApp() this component belongs to
 };
 
 declare type PropOptions = {
@@ -87,4 +92,5 @@ declare type PropOptions = {
   default: any;
   required: ?boolean;
   validator: ?Function;
+  shallow: ?boolean;
 }
@@ -432,6 +432,10 @@ export function genData(el: ASTElement, state: CodegenState): string {
   if (el.props) {
     data += `domProps:${genProps(el.props)},`
   }
+  // 组件 props，子组件未声明的会被忽略
+  if (el.componentProps) {
+    data += `props:${genProps(el.componentProps)},`
+  }
   /*
     自定义事件
      - data = { `on${eventName}:handleCode` } 
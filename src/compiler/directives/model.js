@@ -1,12 +1,21 @@
 /* @flow */
 
+import { camelize, hyphenate } from 'shared/util'
+import { addAttr, addHandler, addComponentProp } from 'compiler/helpers'
+
 /**
- * Cross-platform code generation for component v-model
+ * Cross-platform code generation for component v-model.
+ * A named binding (v-model:start="a") is compiled into a `start` prop and an
+ * `update:start` listener. Its modifiers are passed to the child as the
+ * `startModifiers` prop, which is dropped when the child does not declare it
+ * instead of falling through as an attribute.
  */
 export function genComponentModel (
   el: ASTElement,
   value: string,
-  modifiers: ?ASTModifiers
+  modifiers: ?ASTModifiers,
+  arg?: ?string,
+  isDynamicArg?: boolean
 ): ?boolean {
   const { number, trim } = modifiers || {}
 
@@ -22,11 +31,46 @@ export function genComponentModel (
     valueExpression = `_n(${valueExpression})`
   }
   const assignment = genAssignmentCode(value, valueExpression)
+  const callback = `function (${baseValueExpression}) {${assignment}}`
+
+  if (arg) {
+    genNamedComponentModel(el, value, modifiers, callback, arg, !!isDynamicArg)
+    return
+  }
 
   el.model = {
     value: `(${value})`,
     expression: JSON.stringify(value),
-    callback: `function (${baseValueExpression}) {${assignment}}`
+    callback
+  }
+}
+
+function genNamedComponentModel (
+  el: ASTElement,
+  value: string,
+  modifiers: ?ASTModifiers,
+  callback: string,
+  arg: string,
+  isDynamic: boolean
+) {
+  const hasModifiers = !!modifiers && Object.keys(modifiers).length > 0
+  if (isDynamic) {
+    addAttr(el, arg, `(${value})`, undefined, true)
+    addHandler(el, `"update:"+(${arg})`, callback, null, false, undefined, undefined, true)
+    if (hasModifiers) {
+      addComponentProp(el, `(${arg})+"Modifiers"`, JSON.stringify(modifiers), true)
+    }
+    return
+  }
+  const name = camelize(arg)
+  addAttr(el, name, `(${value})`)
+  // 与 .sync 一致，同时监听 camelCase 和 kebab-case 形式的更新事件
+  addHandler(el, `update:${name}`, callback, null)
+  if (hyphenate(name) !== name) {
+    addHandler(el, `update:${hyphenate(name)}`, callback, null)
+  }
+  if (hasModifiers) {
+    addComponentProp(el, `${name}Modifiers`, JSON.stringify(modifiers))
   }
 }
 
@@ -25,6 +25,12 @@ export function addProp (el: ASTElement, name: string, value: string, range?: Ra
   el.plain = false
 }
 
+// 只在子组件声明了对应 prop 时才会传入的值，未声明时不会落入 $attrs
+export function addComponentProp (el: ASTElement, name: string, value: any, dynamic?: boolean) {
+  (el.componentProps || (el.componentProps = [])).push(rangeSetItem({ name, value, dynamic }))
+  el.plain = false
+}
+
 export function addAttr (el: ASTElement, name: string, value: any, range?: Range, dynamic?: boolean) {
   const attrs = dynamic
     ? (el.dynamicAttrs || (el.dynamicAttrs = []))
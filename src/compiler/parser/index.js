@@ -150,20 +150,25 @@ export function parse (
     if (!stack.length && element !== root) {
       // allow root elements with v-if, v-else-if and v-else
       if (root.if && (element.elseif || element.else)) {
-        if (process.env.NODE_ENV !== 'production') {
-          checkRootConstraints(element)
-        }
         addIfCondition(root, {
           exp: element.elseif,
           block: element
         })
-      } else if (process.env.NODE_ENV !== 'production') {
-        warnOnce(
-          `Component template should contain exactly one root element. ` +
-          `If you are using v-if on multiple elements, ` +
-          `use v-else-if to chain them instead.`,
-          { start: element.start }
-        )
+      } else if (!element.forbidden) {
+        // 模板包含多个根元素时，用片段节点包裹它们，渲染时返回多个根 vnode
+        if (!root.fragment) {
+          const fragment = createASTElement('template', [], undefined)
+          fragment.fragment = true
+          fragment.children.push(root)
+          root.parent = fragment
+          root = fragment
+        }
+        if (element.elseif || element.else) {
+          processIfConditions(element, root)
+        } else {
+          root.children.push(element)
+          element.parent = root
+        }
       }
     }
     if (currentParent && !element.forbidden) {
@@ -215,23 +220,6 @@ export function parse (
     }
   }
 
-  function checkRootConstraints (el) {
-    if (el.tag === 'slot' || el.tag === 'template') {
-      warnOnce(
-        `Cannot use <${el.tag}> as component root element because it may ` +
-        'contain multiple nodes.',
-        { start: el.start }
-      )
-    }
-    if (el.attrsMap.hasOwnProperty('v-for')) {
-      warnOnce(
-        'Cannot use v-for on stateful component root element because ' +
-        'it renders multiple elements.',
-        el.rawAttrsMap['v-for']
-      )
-    }
-  }
-
   // 解析 html 模版字符串，处理所有标签以及标签上的属性，这里 parseHTMLOptions 在后面处理过程中用到，再进一步解析
   parseHTML(template, {
     warn,
@@ -373,13 +361,6 @@ export function parse (
       // 如果 root 不存在，则表示当前处理的元素为第一个元素，即组件的根元素
       if (!root) {
         root = element
-        if (process.env.NODE_ENV !== 'production') {
-          /* 
-           检查根元素，对根元素有一些限制，比如：不能使用 slot 和 template 作为根元素，
-           也不能在有状态组件的根元素上使用 v-for 指令
-          */
-          checkRootConstraints(root)
-        }
       }
 
       // 非自闭合标签，通过 currentParent 记录当前元素，
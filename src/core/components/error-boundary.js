@@ -0,0 +1,87 @@
+/* @flow */
+
+import { warn } from 'core/util/index'
+import { isAsyncPlaceholder } from 'core/vdom/helpers/index'
+
+type CapturedError = {
+  error: any;
+  info: string;
+};
+
+const isNotTextNode = (c: VNode) => c.tag || isAsyncPlaceholder(c)
+
+function renderChildren (vm: Component, h: Function, children: ?Array<VNode>): VNode {
+  if (vm.tag) {
+    return h(vm.tag, children)
+  }
+  children = children && children.filter(isNotTextNode)
+  if (!children || !children.length) {
+    return h()
+  }
+  if (process.env.NODE_ENV !== 'production' && children.length > 1) {
+    warn(
+      '<error-boundary> can only be used on a single element. ' +
+      'Use the "tag" prop to wrap multiple elements.',
+      vm.$parent
+    )
+  }
+  return children[0]
+}
+
+/**
+ * Renders its default slot until an error is thrown anywhere in the subtree
+ * (render functions, lifecycle hooks, watchers, event handlers and the
+ * promises they return). The subtree is then replaced by the `fallback`
+ * scoped slot, which receives `{ error, info, reset }`. Calling `reset()`
+ * renders the default slot again.
+ */
+export default {
+  name: 'error-boundary',
+  // 供服务端渲染识别错误边界，以便缓冲其子树的输出
+  _errorBoundary: true,
+
+  props: {
+    tag: String
+  },
+
+  data (): { captured: ?CapturedError } {
+    return {
+      captured: null
+    }
+  },
+
+  errorCaptured (error: any, vm: Component, info: string) {
+    this.capture(error, vm, info)
+    // 阻止错误继续向上传播
+    return false
+  },
+
+  methods: {
+    capture (error: any, vm: Component, info: string) {
+      // 已经在显示 fallback 时只保留第一个错误
+      if (!this.captured) {
+        this.captured = { error, info }
+        this.$emit('error', error, vm, info)
+      }
+    },
+
+    reset () {
+      this.captured = null
+    }
+  },
+
+  render (h: Function) {
+    if (!this.captured) {
+      const slot = this.$scopedSlots.default
+      try {
+        return renderChildren(this, h, slot && slot())
+      } catch (e) {
+        // 作用域插槽在错误边界自身的 render 中执行，其中的错误不会经过 errorCaptured
+        this.capture(e, this, 'render')
+      }
+    }
+    const { error, info } = this.captured
+    const fallback = this.$scopedSlots.fallback
+    return renderChildren(this, h, fallback && fallback({ error, info, reset: this.reset }))
+  }
+}
@@ -1,5 +1,9 @@
 import KeepAlive from './keep-alive'
+import ErrorBoundary from './error-boundary'
+import Suspense from './suspense'
 
 export default {
-  KeepAlive
+  KeepAlive,
+  ErrorBoundary,
+  Suspense
 }
@@ -0,0 +1,153 @@
+/* @flow */
+
+import { remove, nextTick, isUndef, isTrue, isServerRendering } from 'core/util/index'
+import { createFragmentVNode } from 'core/vdom/vnode'
+import { whenAsyncResolved } from 'core/vdom/helpers/index'
+import { registerAsyncDep } from 'core/instance/suspense'
+
+// 插槽中直接出现的异步组件在外层组件中创建，需要单独收集
+function trackAsyncComponents (vm: Component, vnodes: Array<VNode>) {
+  for (let i = 0; i < vnodes.length; i++) {
+    const vnode = vnodes[i]
+    const factory: any = vnode.asyncFactory
+    if (factory && isUndef(factory.resolved) && !isTrue(factory.settled)) {
+      registerAsyncDep(vm, factory, whenAsyncResolved(factory))
+    }
+    if (vnode.children) {
+      trackAsyncComponents(vm, vnode.children)
+    }
+    const componentOptions = vnode.componentOptions
+    if (componentOptions && componentOptions.children) {
+      trackAsyncComponents(vm, componentOptions.children)
+    }
+  }
+}
+
+// 包裹默认插槽的内部组件，等待期间将内容渲染到离屏容器中
+const SuspenseContent = {
+  name: 'suspense-content',
+  abstract: true,
+  _suspenseContent: true,
+
+  props: {
+    offscreen: Boolean,
+    // 默认插槽函数，在包装组件自身的 render 中执行（抽象组件不保留 scopedSlots）
+    content: Function
+  },
+
+  render () {
+    const slot = this.content
+    const children = (slot && slot()) || []
+    if (this.offscreen) {
+      trackAsyncComponents(this, children)
+    }
+    const fragment = createFragmentVNode(children)
+    fragment.offscreen = this.offscreen
+    return fragment
+  }
+}
+
+function checkDeps (vm: any) {
+  if (vm.pending && !vm._isDestroyed && !vm._deps.length) {
+    vm.pending = false
+    vm.fallbackVisible = false
+    clearTimer(vm)
+    // 内容移入文档之后再通知
+    vm.$nextTick(() => vm.$emit('resolve'))
+  }
+}
+
+function clearTimer (vm: any) {
+  if (vm._timer) {
+    clearTimeout(vm._timer)
+    vm._timer = null
+  }
+}
+
+function showFallback (vm: any) {
+  vm.fallbackVisible = true
+  vm.$emit('fallback')
+}
+
+/**
+ * Renders the default slot offscreen until every async dependency in it has
+ * settled: async components, async setup() and serverPrefetch hooks, as well
+ * as nested <suspense> boundaries. The content is then swapped in at once.
+ * Meanwhile the `fallback` slot is shown, either immediately or after
+ * `timeout` milliseconds. Emits `pending`, `fallback` and `resolve`.
+ * Once resolved, the boundary does not go back to the pending state.
+ */
+export default {
+  name: 'suspense',
+  // 供 registerAsyncDep 沿父链查找所属的 suspense
+  _suspense: true,
+
+  props: {
+    timeout: [Number, String]
+  },
+
+  data (): { pending: boolean, fallbackVisible: boolean } {
+    const vnode = this.$vnode
+    // 服务端渲染时会等待所有异步依赖，客户端激活时内容已经完整
+    const pending = !isServerRendering() && !(vnode && vnode.elm)
+    return {
+      pending,
+      fallbackVisible: pending && this.timeout == null
+    }
+  },
+
+  created () {
+    this._deps = []
+    this._timer = null
+    // 离屏内容中暂缓执行的 insert 钩子
+    this._heldInsert = []
+    this._registerDep = (key: any, dep: Promise<any>) => {
+      const deps = this._deps
+      if (deps.indexOf(key) > -1) {
+        return
+      }
+      deps.push(key)
+      const settle = () => {
+        remove(deps, key)
+        // 等依赖完成所触发的重新渲染结束后再检查，期间可能出现新的依赖
+        nextTick(() => checkDeps(this))
+      }
+      dep.then(settle, settle)
+    }
+    if (this.pending) {
+      this.$emit('pending')
+      // 外层 suspense 需要等待嵌套的 suspense 完成
+      registerAsyncDep(this.$options.parent, this, new Promise(resolve => {
+        this.$once('resolve', resolve)
+        this.$once('hook:destroyed', resolve)
+      }))
+    }
+  },
+
+  mounted () {
+    checkDeps(this)
+    if (this.pending) {
+      if (this.fallbackVisible) {
+        this.$emit('fallback')
+      } else {
+        this._timer = setTimeout(() => {
+          this._timer = null
+          showFallback(this)
+        }, Number(this.timeout))
+      }
+    }
+  },
+
+  destroyed () {
+    clearTimer(this)
+  },
+
+  render (h: Function) {
+    const content = h(SuspenseContent, {
+      props: { offscreen: this.pending, content: this.$scopedSlots.default }
+    })
+    const fallback = this.$scopedSlots.fallback
+    const children = (this.fallbackVisible && fallback && fallback()) || []
+    return createFragmentVNode(children.concat(content))
+  }
+}
@@ -17,8 +17,14 @@ export type Config = {
   devtools: boolean;
   errorHandler: ?(err: Error, vm: Component, info: string) => void;
   warnHandler: ?(msg: string, vm: Component, trace: string) => void;
+  onInfiniteLoop: ?(info: Object) => void;
+  onOptionConflict: ?(conflict: Object, vm: ?Component) => void;
   ignoredElements: Array<string | RegExp>;
   keyCodes: { [key: string]: number | Array<number> };
+  reactivity: 'defineProperty' | 'proxy';
+  timeSlicing: boolean;
+  frameBudget: number;
+  maxUpdateCount: number;
 
   // platform
   isReservedTag: (x?: string) => boolean;
@@ -72,6 +78,21 @@ export default ({
    */
   warnHandler: null,
 
+  /**
+   * Called when the scheduler stops an infinite update loop, with the looping
+   * watcher, its component, the number of runs and the cycle of watchers
+   * that kept re-triggering each other. Also called in production.
+   */
+  onInfiniteLoop: null,
+
+  /**
+   * Called in development instead of warning when two option sources
+   * (mixins, extends, the component itself) define the same prop, method,
+   * computed or data key, with the conflicting key, the sources and the
+   * source whose definition wins.
+   */
+  onOptionConflict: null,
+
   /**
    * Ignore certain custom elements
    */
@@ -83,6 +104,33 @@ export default ({
   // $flow-disable-line
   keyCodes: Object.create(null),
 
+  /**
+   * How data is made reactive: 'defineProperty' converts keys into
+   * getter/setters, 'proxy' wraps objects and arrays in ES Proxies so that
+   * added / deleted keys and index assignments are detected as well.
+   */
+  reactivity: 'defineProperty',
+
+  /**
+   * Whether the scheduler should yield to the browser between watchers once
+   * a flush has run for longer than `frameBudget` milliseconds. Updates are
+   * still applied parent-first and `updated` hooks still fire once after the
+   * whole queue has been processed, and `$nextTick` callbacks queued before
+   * or during a sliced flush are held back until it has finished.
+   */
+  timeSlicing: false,
+
+  /**
+   * Time budget (in ms) of a single slice when `timeSlicing` is enabled.
+   */
+  frameBudget: 5,
+
+  /**
+   * How many times a single watcher may be re-run within one flush before
+   * it is considered an infinite update loop.
+   */
+  maxUpdateCount: 100,
+
   /**
    * Check if a tag is reserved so that it cannot be registered as a
    * component. This is platform-dependent and may be overwritten.
@@ -0,0 +1,174 @@
+/* @flow */
+
+import config from '../config'
+import { ASSET_TYPES } from 'shared/constants'
+import { nextCid } from './extend'
+import { warn, extend, hasOwn, toArray } from '../util/index'
+
+// 内置的组件和指令（keep-alive、transition、v-model 等），所有应用都可以使用
+const builtInAssets = Object.create(null)
+ASSET_TYPES.forEach(type => {
+  builtInAssets[type + 's'] = Object.create(null)
+})
+
+// 作用于整个页面的配置项（例如所有应用共用同一个调度队列），
+// 应用的 config 上只能读取 Vue.config 中的值
+const sharedConfigKeys = [
+  'silent',
+  'productionTip',
+  'performance',
+  'devtools',
+  'onInfiniteLoop',
+  'onOptionConflict',
+  'reactivity',
+  'timeSlicing',
+  'frameBudget',
+  'maxUpdateCount'
+]
+
+/**
+ * Register built-in assets (e.g. 'components' or 'directives') on Vue.
+ * Unlike assets registered through Vue.component() and friends, these are
+ * also available in apps created by Vue.createApp().
+ */
+export function installBuiltIns (Vue: GlobalAPI, type: string, assets: Object) {
+  extend(builtInAssets[type], assets)
+  extend(Vue.options[type], assets)
+}
+
+export function initCreateApp (Vue: GlobalAPI) {
+  /**
+   * Create an isolated app. It has its own config, asset registries,
+   * mixins, plugins and provided values, and components rendered by it
+   * resolve assets against the app only, never against the global Vue.
+   * `errorHandler`, `warnHandler`, `globalProperties`, `keyCodes`,
+   * `ignoredElements` and `optionMergeStrategies` are scoped to the app.
+   * The last four fall back to their Vue.config / Vue.prototype
+   * counterparts, so globally registered entries remain visible. The other
+   * config keys are shared by all apps and read-only on `app.config`,
+   * reflecting Vue.config.
+   */
+  Vue.createApp = function (rootOptions?: Object): Object {
+    return createApp(this, rootOptions || {})
+  }
+}
+
+function createApp (Vue: any, rootOptions: Object): Object {
+  // 原型链：App.prototype -> globalProperties -> Vue.prototype
+  const globalProperties = Object.create(Vue.prototype)
+  const App: any = function VueApp (options) {
+    this._init(options)
+  }
+  App.prototype = Object.create(globalProperties)
+  App.prototype.constructor = App
+  App.cid = nextCid()
+
+  const provides = Object.create(null)
+  const installedPlugins = []
+  let instance = null
+
+  const app: Object = {
+    version: Vue.version,
+
+    config: createAppConfig(globalProperties),
+
+    // 供 inject 在组件树中找不到对应值时使用
+    _provides: provides,
+
+    use (plugin: Function | Object) {
+      if (installedPlugins.indexOf(plugin) > -1) {
+        return app
+      }
+      // 插件的 install 方法接收 app 而不是全局的 Vue
+      const args = toArray(arguments, 1)
+      args.unshift(app)
+      if (typeof plugin.install === 'function') {
+        plugin.install.apply(plugin, args)
+      } else if (typeof plugin === 'function') {
+        plugin.apply(null, args)
+      }
+      installedPlugins.push(plugin)
+      return app
+    },
+
+    mixin (mixin: Object) {
+      App.mixin(mixin)
+      return app
+    },
+
+    provide (key: string | Symbol, value: any) {
+      if (process.env.NODE_ENV !== 'production' && hasOwn(provides, (key: any))) {
+        warn(`App already provides property with key "${String(key)}". It will be overwritten.`)
+      }
+      provides[(key: any)] = value
+      return app
+    },
+
+    mount (el?: string | Element, hydrating?: boolean): Component {
+      if (instance) {
+        process.env.NODE_ENV !== 'production' && warn(
+          'App has already been mounted. Create a new app with Vue.createApp() instead.'
+        )
+        return instance
+      }
+      instance = new App(rootOptions)
+      return instance.$mount(el, hydrating)
+    },
+
+    unmount () {
+      if (instance) {
+        instance.$destroy()
+        instance = null
+      }
+    }
+  }
+
+  // 应用自己的选项：只包含内置资源，不继承全局注册的组件、指令、过滤器和全局混入。
+  // 不设置 App.super，因此之后对全局 Vue 的修改也不会合并进来
+  App.options = Object.create(null)
+  ASSET_TYPES.forEach(type => {
+    App.options[type + 's'] = Object.create(builtInAssets[type + 's'])
+  })
+  App.options._base = App
+  App.options._app = app
+
+  App.extend = Vue.extend
+  App.mixin = Vue.mixin
+  App.use = Vue.use
+  ASSET_TYPES.forEach(type => {
+    App[type] = Vue[type]
+    // 注册时返回 app 以便链式调用，只传 id 时返回已注册的资源
+    app[type] = function (id: string, definition?: Function | Object) {
+      const res = App[type](id, definition)
+      return definition ? app : res
+    }
+  })
+
+  return app
+}
+
+function createAppConfig (globalProperties: Object): Object {
+  const appConfig = {
+    errorHandler: null,
+    warnHandler: null,
+    globalProperties,
+    // 以下三项在使用时先查找应用自己的配置，再回退到 Vue.config
+    keyCodes: Object.create(null),
+    ignoredElements: [],
+    optionMergeStrategies: Object.create(null)
+  }
+  sharedConfigKeys.forEach(key => {
+    Object.defineProperty(appConfig, key, {
+      enumerable: true,
+      configurable: true,
+      get: () => (config: any)[key],
+      set: () => {
+        process.env.NODE_ENV !== 'production' && warn(
+          `app.config.${key} is shared by all apps and cannot be set per app. ` +
+          `Set Vue.config.${key} instead.`
+        )
+      }
+    })
+  })
+  return appConfig
+}
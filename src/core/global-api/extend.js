@@ -4,14 +4,20 @@ import { ASSET_TYPES } from 'shared/constants'
 import { defineComputed, proxy } from '../instance/state'
 import { extend, mergeOptions, validateComponentName } from '../util/index'
 
+/**
+ * Each instance constructor, including Vue, has a unique
+ * cid. This enables us to create wrapped "child
+ * constructors" for prototypal inheritance and cache them.
+ */
+let cid = 1
+
+// 应用（Vue.createApp）的构造函数同样需要唯一的 cid
+export function nextCid (): number {
+  return cid++
+}
+
 export function initExtend (Vue: GlobalAPI) {
-  /**
-   * Each instance constructor, including Vue, has a unique
-   * cid. This enables us to create wrapped "child
-   * constructors" for prototypal inheritance and cache them.
-   */
   Vue.cid = 0
-  let cid = 1
 
   /**
    * Class inheritance
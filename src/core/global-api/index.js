@@ -5,10 +5,31 @@ import { initUse } from './use'
 import { initMixin } from './mixin'
 import { initExtend } from './extend'
 import { initAssetRegisters } from './assets'
+import { initCreateApp, installBuiltIns } from './app'
 import { set, del } from '../observer/index'
 import { ASSET_TYPES } from 'shared/constants'
 import builtInComponents from '../components/index'
-import { observe } from 'core/observer/index'
+import { observe, toReactive, toRaw, markRaw, shallowEntry } from 'core/observer/index'
+import { effect, computed, watch, effectScope } from 'core/observer/effect'
+import { readonly } from 'core/observer/readonly'
+import { batch, batchAsync } from 'core/observer/batch'
+import { snapshot } from 'core/observer/snapshot'
+import { ref, isRef, unref } from 'core/observer/ref'
+import { shape, arrayOf, objectOf, oneOf } from 'core/util/prop-types'
+import {
+  onBeforeMount,
+  onMounted,
+  onBeforeUpdate,
+  onUpdated,
+  onBeforeUnmount,
+  onUnmounted,
+  onActivated,
+  onDeactivated,
+  onErrorCaptured,
+  onServerPrefetch,
+  onRenderTracked,
+  onRenderTriggered
+} from 'core/instance/setup'
 
 import {
   warn,
@@ -59,12 +80,62 @@ export function initGlobalAPI (Vue: GlobalAPI) {
 
   // 2.6 explicit observable API
   // 全局 observable 方法，本质就是 observe 方法，将接收对象转换为响应式对象
-  Vue.observable = <>(obj: T): T => {
+  // Proxy 模式下返回的是代理对象
+  Vue.observable = <T>(obj: T): T => {
     observe(obj)
-    return obj
+    return toReactive(obj)
+  }
+
+  // 只将顶层属性转换为响应式，嵌套对象保持原样，适用于大数据量的只读列表
+  Vue.shallowObservable = <T>(obj: T): T => {
+    observe(obj, false, true)
+    return toReactive(obj)
   }
 
- {/* 为全局 options 设置指定的配置项 Vue.options = { components:{}, directive: {}, filters:{} }  */}
+  // 标记对象，使其永远不会被转换为响应式对象
+  Vue.markRaw = markRaw
+
+  // 在 data 中使用：data: () => ({ rows: Vue.shallow(rows) })，该属性的值不会被深度观察
+  Vue.shallow = shallowEntry
+
+  // 返回深层只读视图：读取时照常收集依赖，写入时在开发环境下给出警告
+  Vue.readonly = readonly
+
+  // 取出响应式对象背后的原始对象；snapshot 生成脱离响应式的深拷贝，可用于撤销栈、日志和状态传输
+  Vue.toRaw = toRaw
+  Vue.snapshot = snapshot
+
+  // 脱离组件实例使用的响应式 API，可通过 effectScope 统一收集并停止
+  Vue.effect = effect
+  Vue.computed = computed
+  Vue.watch = watch
+  Vue.effectScope = effectScope
+  Vue.ref = ref
+  Vue.isRef = isRef
+  Vue.unref = unref
+
+  // setup() 中使用的生命周期注册函数，如 Vue.onMounted(fn)
+  Vue.onBeforeMount = onBeforeMount
+  Vue.onMounted = onMounted
+  Vue.onBeforeUpdate = onBeforeUpdate
+  Vue.onUpdated = onUpdated
+  Vue.onBeforeUnmount = onBeforeUnmount
+  Vue.onUnmounted = onUnmounted
+  Vue.onActivated = onActivated
+  Vue.onDeactivated = onDeactivated
+  Vue.onErrorCaptured = onErrorCaptured
+  Vue.onServerPrefetch = onServerPrefetch
+  Vue.onRenderTracked = onRenderTracked
+  Vue.onRenderTriggered = onRenderTriggered
+
+  // 批量更新：推迟依赖通知直到函数执行完毕，执行出错时回滚其中的修改
+  Vue.batch = batch
+  Vue.batchAsync = batchAsync
+
+  // 声明式的嵌套 prop 类型，仅在开发环境下校验
+  Vue.PropTypes = { shape, arrayOf, objectOf, oneOf }
+
+  // 为全局 options 设置指定的配置项 Vue.options = { components:{}, directive: {}, filters:{} }
   Vue.options = Object.create(null)
   ASSET_TYPES.forEach(type => {
     Vue.options[type + 's'] = Object.create(null)
@@ -72,21 +143,21 @@ export function initGlobalAPI (Vue: GlobalAPI) {
 
   // this is used to identify the "base" constructor to extend all plain-object
   // components with in Weex's multi-instance scenarios.
-  {/* 将 Vue 赋值给 Vue.options._base，向外进行暴露  */}
+  // 将 Vue 赋值给 Vue.options._base，向外进行暴露
   Vue.options._base = Vue
 
-  {/* 
-   builtInComponents 实际上就是 KeepAlive 组件
-   将 KeepAlive 注册到 components 全局组件配置当中，即可以直接在全局使用 <keep-alive></keep-alive>
-  */}
-  extend(Vue.options.components, builtInComponents)
+  // builtInComponents 即 KeepAlive、ErrorBoundary 和 Suspense 组件
+  // 将它们注册到 components 全局组件配置当中，即可以直接在全局使用 <keep-alive></keep-alive>、<error-boundary></error-boundary>、<suspense></suspense>
+  installBuiltIns(Vue, 'components', builtInComponents)
 
- {/* 初始化 Vue.use 方法 */}
+  // 初始化 Vue.use 方法
   initUse(Vue)
-  {/* 初始化 Vue.mixin 方法 */}
+  // 初始化 Vue.mixin 方法
   initMixin(Vue)
-  {/* 初始化 Vue.extend 方法 */}
+  // 初始化 Vue.extend 方法
   initExtend(Vue)
-  {/* 初始化 Vue.component、Vue.directive、Vue.filter 方法 */}
+  // 初始化 Vue.component、Vue.directive、Vue.filter 方法
   initAssetRegisters(Vue)
+  // 初始化 Vue.createApp 方法
+  initCreateApp(Vue)
 }
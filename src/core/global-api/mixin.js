@@ -6,7 +6,9 @@ export function initMixin (Vue: GlobalAPI) {
   // 向组件配置中进行混入配置项
   Vue.mixin = function (mixin: Object) {
     // 本质就是合并配配置项
-    this.options = mergeOptions(this.options, mixin)
+    // app.mixin() 复用了这个方法，但只作用于该应用
+    const source = this.options._app ? 'app mixin' : 'global mixin'
+    this.options = mergeOptions(this.options, mixin, undefined, source)
     return this
   }
 }
@@ -2,13 +2,52 @@
 
 import {
   tip,
+  warn,
+  extend,
+  hasOwn,
   toArray,
+  camelize,
   hyphenate,
+  isPromise,
+  handleError,
   formatComponentName,
   invokeWithErrorHandling
 } from '../util/index'
 import { updateListeners } from '../vdom/helpers/index'
 
+/**
+ * Resolve the key under which an event is declared in the normalized `emits`
+ * option, accepting both camelCase and kebab-case names. Event modifiers
+ * added by the compiler (e.g. `~` for .once) are ignored.
+ */
+export function resolveEmit (emits: Object, event: string): ?string {
+  event = event.replace(/^[~!&]+/, '')
+  if (hasOwn(emits, event)) return event
+  const camelized = camelize(event)
+  if (hasOwn(emits, camelized)) return camelized
+  const hyphenated = hyphenate(event)
+  if (hasOwn(emits, hyphenated)) return hyphenated
+}
+
+/**
+ * Remove the listeners of declared emits, so that passing `$listeners` on
+ * to a native root element does not bind the component's own events to it.
+ * Note that $attrs never holds listeners, so it needs no filtering.
+ */
+export function omitDeclaredEmits (listeners: ?Object, emits: any): ?Object {
+  if (!listeners || !emits) {
+    return listeners
+  }
+  let res
+  for (const key in listeners) {
+    if (resolveEmit(emits, key) != null) {
+      if (!res) res = extend({}, listeners)
+      delete res[key]
+    }
+  }
+  return res || listeners
+}
+
 export function initEvents (vm: Component) {
   vm._events = Object.create(null)
   vm._hasHookEvent = false
@@ -32,12 +71,15 @@ function remove (event, fn) {
 
 function createOnceHandler (event, fn) {
   const _target = target
-  return function onceHandler () {
+  function onceHandler () {
     const res = fn.apply(null, arguments)
     if (res !== null) {
       _target.$off(event, onceHandler)
     }
   }
+  // 供 $emitAsync 绕过调用器，直接调用其中的原始回调
+  onceHandler.invoker = fn
+  return onceHandler
 }
 
 export function updateComponentListeners (
@@ -83,7 +125,7 @@ export function eventsMixin (Vue: Class<Component>) {
     // 调用方法前先移出指定事件的回调，然后通过 apply 调用外部传入的 fn
     function on () {
       vm.$off(event, on)
-      fn.apply(vm, arguments)
+      return fn.apply(vm, arguments)
     }
     on.fn = fn
     // 将包装的 on 函数作为，vm.$on 中的事件回调
@@ -141,26 +183,8 @@ export function eventsMixin (Vue: Class<Component>) {
 
   Vue.prototype.$emit = function (event: string): Component {
     const vm: Component = this
-    /*
-     这里是提示使用者，注意 HTML 属性不区分大小写，对于 HTML 上的属性尽量不要使用驼峰命名，因为编译之后全部都会变成小写形式，比如：
-      html 模板中：<comp @customEvent="handler" /> 等价于 <comp @customevent="handler" />
-      js 中：this.$emit('customEvent')
-      
-      这样就会导致在 js 中触发的事件名和在 HTML 模板上监听的事件名不一致的问题，更推荐用法是： 
-       html 模板中：<comp @custom-event="handler" />
-       js 中：this.$emit('custom-event')
-    */ 
     if (process.env.NODE_ENV !== 'production') {
-      const lowerCaseEvent = event.toLowerCase()
-      if (lowerCaseEvent !== event && vm._events[lowerCaseEvent]) {
-        tip(
-          `Event "${lowerCaseEvent}" is emitted in component ` +
-          `${formatComponentName(vm)} but the handler is registered for "${event}". ` +
-          `Note that HTML attributes are case-insensitive and you cannot use ` +
-          `v-on to listen to camelCase events when using in-DOM templates. ` +
-          `You should probably use "${hyphenate(event)}" instead of "${event}".`
-        )
-      }
+      checkEmittedEvent(vm, event, toArray(arguments, 1))
     }
     // 获取到对应事件类型的事件回调数组
     let cbs = vm._events[event]
@@ -178,4 +202,106 @@ export function eventsMixin (Vue: Class<Component>) {
     }
     return vm
   }
+
+  /**
+   * 与 $emit 相同地触发事件，但返回一个 promise，resolve 为所有回调的返回值（异步回调会被等待）。
+   * 回调抛出异常或返回的 promise 失败时，错误只经过 handleError / errorCaptured 处理，
+   * 返回的 promise 不会失败，该回调对应的结果为 undefined
+   */
+  Vue.prototype.$emitAsync = function (event: string): Promise<Array<any>> {
+    const vm: Component = this
+    const args = toArray(arguments, 1)
+    if (process.env.NODE_ENV !== 'production') {
+      checkEmittedEvent(vm, event, args)
+    }
+    const cbs = vm._events[event]
+    if (!cbs) {
+      return Promise.resolve([])
+    }
+    const info = `event handler for "${event}"`
+    const results = []
+    toArray(cbs).forEach(cb => {
+      // 模板中的 @event 监听器是 createFnInvoker 创建的调用器，它会捕获异常并丢弃合并回调的返回值，
+      // 因此直接调用其中的原始回调。.once 监听器在调用器外还包了一层，需要先自行移除
+      let invoker = cb
+      if (cb.invoker) {
+        invoker = cb.invoker
+        vm.$off(event, cb)
+      }
+      const fns = invoker.fns
+      if (fns) {
+        const handlers = Array.isArray(fns) ? fns.slice() : [fns]
+        for (let i = 0; i < handlers.length; i++) {
+          results.push(invokeAsyncHandler(handlers[i], null, args, vm, info))
+        }
+      } else {
+        results.push(invokeAsyncHandler(cb, vm, args, vm, info))
+      }
+    })
+    return Promise.all(results)
+  }
+}
+
+function invokeAsyncHandler (
+  handler: Function,
+  context: any,
+  args: Array<any>,
+  vm: Component,
+  info: string
+): any {
+  let res
+  try {
+    res = handler.apply(context, args)
+  } catch (e) {
+    handleError(e, vm, info)
+    return
+  }
+  if (isPromise(res)) {
+    res._handled = true
+    return res.then(null, e => {
+      handleError(e, vm, `${info} (Promise/async)`)
+    })
+  }
+  return res
+}
+
+/**
+ * Development checks shared by $emit and $emitAsync.
+ */
+function checkEmittedEvent (vm: Component, event: string, args: Array<any>) {
+  /*
+   这里是提示使用者，注意 HTML 属性不区分大小写，对于 HTML 上的属性尽量不要使用驼峰命名，因为编译之后全部都会变成小写形式，比如：
+    html 模板中：<comp @customEvent="handler" /> 等价于 <comp @customevent="handler" />
+    js 中：this.$emit('customEvent')
+
+    这样就会导致在 js 中触发的事件名和在 HTML 模板上监听的事件名不一致的问题，更推荐用法是：
+     html 模板中：<comp @custom-event="handler" />
+     js 中：this.$emit('custom-event')
+  */
+  const lowerCaseEvent = event.toLowerCase()
+  if (lowerCaseEvent !== event && vm._events[lowerCaseEvent]) {
+    tip(
+      `Event "${lowerCaseEvent}" is emitted in component ` +
+      `${formatComponentName(vm)} but the handler is registered for "${event}". ` +
+      `Note that HTML attributes are case-insensitive and you cannot use ` +
+      `v-on to listen to camelCase events when using in-DOM templates. ` +
+      `You should probably use "${hyphenate(event)}" instead of "${event}".`
+    )
+  }
+  // 声明了 emits 选项时，检查事件是否已声明，并使用对应的校验函数校验参数
+  const emits: any = vm.$options.emits
+  if (emits && event.indexOf('hook:') !== 0) {
+    const key = resolveEmit(emits, event)
+    if (key == null) {
+      warn(
+        `Component emitted event "${event}" but it is not declared in the emits option.`,
+        vm
+      )
+    } else if (typeof emits[key] === 'function' && !emits[key].apply(vm, args)) {
+      warn(
+        `Invalid event arguments: event validation failed for event "${event}".`,
+        vm
+      )
+    }
+  }
 }
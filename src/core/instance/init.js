@@ -7,6 +7,7 @@ import { initRender } from './render'
 import { initEvents } from './events'
 import { mark, measure } from '../util/perf'
 import { initLifecycle, callHook } from './lifecycle'
+import { prefetchInSuspense } from './suspense'
 import { initProvide, initInjections } from './inject'
 import { extend, mergeOptions, formatComponentName } from '../util/index'
 
@@ -84,6 +85,9 @@ export function initMixin (Vue: Class<Component>) {
     // 通过 callHook 执行 created 生命周期函数
     callHook(vm, 'created')
 
+    // 位于等待中的 <suspense> 内时，在客户端同样执行并等待 serverPrefetch
+    prefetchInSuspense(vm)
+
     // 如果指定了 el 选项，就自动调用 $mount 方法进行挂载
     if (vm.$options.el) {
       vm.$mount(vm.$options.el)
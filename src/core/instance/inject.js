@@ -82,8 +82,12 @@ export function resolveInject (inject: any, vm: Component): ?Object {
 
       // 如果到了根组件都没有找到
       if (!source) {
-        // 会先判断当前的 inject 配置中有没有设置默认值，有就进行设置
-        if ('default' in inject[key]) {
+        // 先查找所属应用（Vue.createApp）通过 app.provide 提供的值
+        const app = vm.$options._app
+        if (app && hasOwn(app._provides, provideKey)) {
+          result[key] = app._provides[provideKey]
+        // 再判断当前的 inject 配置中有没有设置默认值，有就进行设置
+        } else if ('default' in inject[key]) {
           const provideDefault = inject[key].default
           result[key] = typeof provideDefault === 'function'
             ? provideDefault.call(vm)
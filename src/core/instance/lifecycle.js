@@ -4,7 +4,7 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import { mark, measure } from '../util/perf'
 import { createEmptyVNode } from '../vdom/vnode'
-import { updateComponentListeners } from './events'
+import { updateComponentListeners, omitDeclaredEmits } from './events'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { toggleObserving } from '../observer/index'
 import { pushTarget, popTarget } from '../observer/dep'
@@ -136,6 +136,10 @@ export function lifecycleMixin (Vue: Class<Component>) {
     while (i--) {
       vm._watchers[i].teardown()
     }
+    // 停止 setup() 中创建的 effect、computed 和 watch
+    if (vm._scope) {
+      vm._scope.stop()
+    }
 
     // remove reference from data ob
     // frozen object may not have observer.
@@ -232,13 +236,23 @@ export function mountComponent (
     因为观察者的初始 patch 时，可能会调用 $forceUpdate（例如，在子组件的挂载钩子中）
     它依赖于已定义的观察者 vm._watcher 
   */
-  new Watcher(vm, updateComponent, noop, {
+  const watcherOptions: Object = {
     before () {
       if (vm._isMounted && !vm._isDestroyed) {
         callHook(vm, 'beforeUpdate')
       }
     }
-  }, true /* isRenderWatcher */)
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    // 渲染 watcher 收集依赖、依赖触发重新渲染时，分别调用 renderTracked、renderTriggered 钩子
+    if (vm.$options.renderTracked) {
+      watcherOptions.onTrack = e => callHook(vm, 'renderTracked', [e])
+    }
+    if (vm.$options.renderTriggered) {
+      watcherOptions.onTrigger = e => callHook(vm, 'renderTriggered', [e])
+    }
+  }
+  new Watcher(vm, updateComponent, noop, watcherOptions, true /* isRenderWatcher */)
   hydrating = false
 
   // manually mounted instance, call mounted on self
@@ -297,7 +311,7 @@ export function updateChildComponent (
   // these are also reactive so they may trigger child update if the child
   // used them during render
   vm.$attrs = parentVnode.data.attrs || emptyObject
-  vm.$listeners = listeners || emptyObject
+  vm.$listeners = omitDeclaredEmits(listeners, vm.$options.emits) || emptyObject
 
   // update props
   if (propsData && vm.$options.props) {
@@ -372,7 +386,7 @@ export function deactivateChildComponent (vm: Component, direct?: boolean) {
   }
 }
 
-export function callHook (vm: Component, hook: string) {
+export function callHook (vm: Component, hook: string, args?: Array<any>) {
   // #7573 disable dep collection when invoking lifecycle hooks
   
   // 调用前打开依赖收集 
@@ -386,7 +400,7 @@ export function callHook (vm: Component, hook: string) {
   if (handlers) {
     for (let i = 0, j = handlers.length; i < j; i++) {
       // 通过 apply 或 call 的方式调用生命周期函数
-      invokeWithErrorHandling(handlers[i], vm, null, vm, info)
+      invokeWithErrorHandling(handlers[i], vm, args || null, vm, info)
     }
   }
 
@@ -394,7 +408,7 @@ export function callHook (vm: Component, hook: string) {
   // 如果有 HookEvent 事件传入，则通过 $emit 调用这个事件，如 hook:mounted
   if (vm._hasHookEvent) {
   // 本质就是执行 vm._events['hook:mounted'] 数组中的所有处理函数
-    vm.$emit('hook:' + hook)
+    vm.$emit('hook:' + hook, ...(args || []))
   }
 
   // 调用完成后关闭依赖收集
@@ -12,7 +12,8 @@ function isKeyNotMatch<T> (expect: T | Array<T>, actual: T): boolean {
 }
 
 /**
- * Runtime helper for checking keyCodes from config.
+ * Runtime helper for checking keyCodes from config, and from the app config
+ * for components rendered by an app created with Vue.createApp().
  * exposed as Vue.prototype._k
  * passing in eventKeyName as last argument separately for backwards compat
  */
@@ -23,8 +24,11 @@ export function checkKeyCodes (
   eventKeyName?: string,
   builtInKeyName?: string | Array<string>
 ): ?boolean {
-  const mappedKeyCode = config.keyCodes[key] || builtInKeyCode
-  if (builtInKeyName && eventKeyName && !config.keyCodes[key]) {
+  // 作为 vm._k 调用，this 指向渲染该模板的组件实例
+  const app = this && this.$options && this.$options._app
+  const userKeyCode = (app && app.config.keyCodes[key]) || config.keyCodes[key]
+  const mappedKeyCode = userKeyCode || builtInKeyCode
+  if (builtInKeyName && eventKeyName && !userKeyCode) {
     return isKeyNotMatch(builtInKeyName, eventKeyName)
   } else if (mappedKeyCode) {
     return isKeyNotMatch(mappedKeyCode, eventKeyCode)
@@ -12,9 +12,11 @@ import { createElement } from '../vdom/create-element'
 import { installRenderHelpers } from './render-helpers/index'
 import { resolveSlots } from './render-helpers/resolve-slots'
 import { normalizeScopedSlots } from '../vdom/helpers/normalize-scoped-slots'
-import VNode, { createEmptyVNode } from '../vdom/vnode'
+import VNode, { createEmptyVNode, createFragmentVNode } from '../vdom/vnode'
+import { normalizeChildren } from '../vdom/helpers/normalize-children'
 
 import { isUpdatingChildComponent } from './lifecycle'
+import { omitDeclaredEmits } from './events'
 
 export function initRender (vm: Component) {
   vm._vnode = null // the root of the child tree
@@ -46,12 +48,12 @@ export function initRender (vm: Component) {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$attrs is readonly.`, vm)
     }, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, () => {
+    defineReactive(vm, '$listeners', omitDeclaredEmits(options._parentListeners, options.emits) || emptyObject, () => {
       !isUpdatingChildComponent && warn(`$listeners is readonly.`, vm)
     }, true)
   } else {
     defineReactive(vm, '$attrs', parentData && parentData.attrs || emptyObject, null, true)
-    defineReactive(vm, '$listeners', options._parentListeners || emptyObject, null, true)
+    defineReactive(vm, '$listeners', omitDeclaredEmits(options._parentListeners, options.emits) || emptyObject, null, true)
   }
 }
 
@@ -101,8 +103,10 @@ export function renderMixin (Vue: Class<Component>) {
       // separately from one another. Nested component's render fns are called
       // when parent component is patched.
       currentRenderingInstance = vm
-      // 执行 render 函数得到组件的 vnode
-      vnode = render.call(vm._renderProxy, vm.$createElement)
+      // 执行 render 函数得到组件的 vnode，async setup() 完成前渲染为空节点
+      vnode = vm._setupPending
+        ? createEmptyVNode()
+        : render.call(vm._renderProxy, vm.$createElement)
     } catch (e) {
       handleError(e, vm, `render`)
       // return error render result,
@@ -122,21 +126,18 @@ export function renderMixin (Vue: Class<Component>) {
       currentRenderingInstance = null
     }
 
-    // 如果返回的 vnode 数组只包含一个节点，则则直接 vnode 取这个节点 
-    if (Array.isArray(vnode) && vnode.length === 1) {
-      vnode = vnode[0]
+    // 渲染函数返回多个根节点时，将它们包裹在片段 vnode 中
+    if (Array.isArray(vnode)) {
+      const children = normalizeChildren(vnode) || []
+      vnode = children.length === 1
+        ? children[0]
+        : children.length
+          ? createFragment(vm, children, _parentVnode)
+          : null
     }
 
     // return empty vnode in case the render function errored out
-    // 如果渲染函数中包含了多个根节点，则返回空的 vnode
     if (!(vnode instanceof VNode)) {
-      if (process.env.NODE_ENV !== 'production' && Array.isArray(vnode)) {
-        warn(
-          'Multiple root nodes returned from render function. Render function ' +
-          'should return a single root node.',
-          vm
-        )
-      }
       vnode = createEmptyVNode()
     }
 
@@ -145,3 +146,52 @@ export function renderMixin (Vue: Class<Component>) {
     return vnode
   }
 }
+
+function createFragment (
+  vm: Component,
+  children: Array<VNode>,
+  parentVnode: ?VNode
+): VNode {
+  const data = parentVnode && parentVnode.data
+  if (data) {
+    // 片段没有唯一的根元素，被 <transition> 包裹时由每个根元素分别执行过渡
+    const transition = data.transition
+    if (transition) {
+      children.forEach(child => {
+        if (child.tag && !(child.data && child.data.transition)) {
+          (child.data || (child.data = {})).transition = transition
+        }
+      })
+    }
+    if (process.env.NODE_ENV !== 'production' && !vm._vnode) {
+      checkFragmentAttrs(vm, children, data)
+    }
+  }
+  return createFragmentVNode(children)
+}
+
+/**
+ * Non-prop attributes, class and style on the placeholder are applied to the
+ * root element, which a fragment does not have. Warn about the ones that are
+ * not explicitly bound to one of the root nodes (e.g. via v-bind="$attrs").
+ */
+function checkFragmentAttrs (vm: Component, children: Array<VNode>, data: VNodeData) {
+  if (vm.$options.inheritAttrs === false) return
+  const attrs = data.attrs
+  const keys = attrs
+    ? Object.keys(attrs).filter(key => !children.some(child =>
+      child.data != null && child.data.attrs != null && key in child.data.attrs
+    ))
+    : []
+  if (data.staticClass || data.class) keys.push('class')
+  if (data.staticStyle || data.style) keys.push('style')
+  if (keys.length) {
+    warn(
+      `Extraneous non-prop attributes (${keys.join(', ')}) were passed to ` +
+      `component but could not be automatically inherited because it ` +
+      `renders multiple root nodes. Bind them explicitly with ` +
+      `v-bind="$attrs", or set "inheritAttrs: false" to silence this warning.`,
+      vm
+    )
+  }
+}
@@ -0,0 +1,174 @@
+/* @flow */
+
+import { EffectScope } from '../observer/effect'
+import { pushTarget, popTarget } from '../observer/dep'
+import { isRef } from '../observer/ref'
+import { registerAsyncDep } from './suspense'
+import {
+  warn,
+  hasOwn,
+  isPromise,
+  isReserved,
+  isPlainObject,
+  handleError
+} from '../util/index'
+
+// 正在执行 setup() 的组件实例，生命周期注册函数（如 onMounted）依赖它找到所属组件
+export let currentInstance: ?Component = null
+
+/**
+ * Run the setup() option. Returned bindings are exposed on the instance (refs
+ * are unwrapped), while a returned function is used as the render function.
+ * Effects created inside setup() are stopped when the instance is destroyed.
+ */
+export function initSetup (vm: Component) {
+  const setup: any = vm.$options.setup
+  const scope = vm._scope = new EffectScope(true /* detached */)
+  const ctx = createSetupContext(vm)
+  const prevInstance = currentInstance
+  currentInstance = vm
+  // #7573 setup 期间不收集依赖
+  pushTarget()
+  let result: any = undefined
+  try {
+    result = scope.run(() => setup.call(vm, vm._props || {}, ctx))
+  } catch (e) {
+    handleError(e, vm, `setup()`)
+  } finally {
+    popTarget()
+    currentInstance = prevInstance
+  }
+  if (isPromise(result)) {
+    initAsyncSetup(vm, result)
+  } else {
+    applySetupResult(vm, result)
+  }
+}
+
+function applySetupResult (vm: Component, result: any) {
+  if (typeof result === 'function') {
+    vm.$options.render = result
+  } else if (isPlainObject(result)) {
+    exposeSetupState(vm, result)
+  } else if (process.env.NODE_ENV !== 'production' && result !== undefined) {
+    warn(
+      `setup() should return an object or a render function. ` +
+      `Received: ${result === null ? 'null' : typeof result}`,
+      vm
+    )
+  }
+}
+
+// async setup()：完成前组件渲染为空节点，位于 <suspense> 中时由 suspense 等待它完成。
+// 服务端渲染会等待 vm._setupPromise 后再渲染该组件
+function initAsyncSetup (vm: Component, promise: Promise<any>) {
+  vm._setupPending = true
+  const ready = vm._setupPromise = promise.then(result => {
+    vm._setupPending = false
+    if (!vm._isDestroyed) {
+      applySetupResult(vm, result)
+      vm.$forceUpdate()
+    }
+  }, e => {
+    handleError(e, vm, `setup()`)
+  })
+  registerAsyncDep(vm, vm, ready)
+}
+
+function createSetupContext (vm: Component): Object {
+  return {
+    get attrs () {
+      return vm.$attrs
+    },
+    get listeners () {
+      return vm.$listeners
+    },
+    get slots () {
+      return vm.$scopedSlots
+    },
+    emit (event: string, ...args: Array<any>) {
+      return vm.$emit(event, ...args)
+    }
+  }
+}
+
+function exposeSetupState (vm: Component, state: Object) {
+  vm._setupState = state
+  const props = vm.$options.props
+  const keys = Object.keys(state)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    if (props && hasOwn(props, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The setup binding "${key}" is already declared as a prop.`,
+        vm
+      )
+    } else if (isReserved(key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The setup binding "${key}" starts with a reserved character ` +
+        `and will not be exposed on the instance.`,
+        vm
+      )
+    } else {
+      proxySetupBinding(vm, state, key)
+    }
+  }
+}
+
+function proxySetupBinding (vm: Component, state: Object, key: string) {
+  Object.defineProperty(vm, key, {
+    enumerable: true,
+    configurable: true,
+    get () {
+      const value = state[key]
+      return isRef(value) ? value.value : value
+    },
+    set (val) {
+      const value = state[key]
+      if (isRef(value) && !isRef(val)) {
+        value.value = val
+      } else {
+        state[key] = val
+      }
+    }
+  })
+}
+
+function injectHook (hook: string): Function {
+  return (fn: Function) => {
+    const vm = currentInstance
+    if (!vm) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `${hookRegistrationName(hook)}() can only be called during setup().`
+      )
+      return
+    }
+    // 生成新数组，避免修改同一构造函数下所有实例共享的 options
+    const options: any = vm.$options
+    const hooks = options[hook]
+    options[hook] = hooks ? hooks.concat(fn) : [fn]
+  }
+}
+
+const hookRegistrationNames = {
+  beforeDestroy: 'onBeforeUnmount',
+  destroyed: 'onUnmounted'
+}
+
+function hookRegistrationName (hook: string): string {
+  return hookRegistrationNames[hook] ||
+    `on${hook.charAt(0).toUpperCase()}${hook.slice(1)}`
+}
+
+export const onBeforeMount = injectHook('beforeMount')
+export const onMounted = injectHook('mounted')
+export const onBeforeUpdate = injectHook('beforeUpdate')
+export const onUpdated = injectHook('updated')
+export const onBeforeUnmount = injectHook('beforeDestroy')
+export const onUnmounted = injectHook('destroyed')
+export const onActivated = injectHook('activated')
+export const onDeactivated = injectHook('deactivated')
+export const onErrorCaptured = injectHook('errorCaptured')
+export const onServerPrefetch = injectHook('serverPrefetch')
+export const onRenderTracked = injectHook('renderTracked')
+export const onRenderTriggered = injectHook('renderTriggered')
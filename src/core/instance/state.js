@@ -4,18 +4,22 @@ import config from '../config'
 import Watcher from '../observer/watcher'
 import Dep, { pushTarget, popTarget } from '../observer/dep'
 import { isUpdatingChildComponent } from './lifecycle'
+import { initSetup } from './setup'
 
 import {
   set,
   del,
   observe,
+  toReactive,
   defineReactive,
+  isShallowEntry,
   toggleObserving
 } from '../observer/index'
 
 import {
   warn,
   bind,
+  extend,
   noop,
   hasOwn,
   hyphenate,
@@ -48,9 +52,13 @@ export function proxy (target: Object, sourceKey: string, key: string) {
 
 export function initState (vm: Component) {
   vm._watchers = []
+  vm.$asyncComputed = {}
   const opts = vm.$options
   
   if (opts.props) initProps(vm, opts.props)
+
+  // setup() 在 props 之后、data 之前执行，返回的绑定会暴露到实例上
+  if (opts.setup) initSetup(vm)
   
   if (opts.methods) initMethods(vm, opts.methods)
   
@@ -81,6 +89,8 @@ function initProps (vm: Component, propsOptions: Object) {
   for (const key in propsOptions) {
     keys.push(key)
     const value = validateProp(key, propsOptions, propsData, vm)
+    // shallow: true 的 prop 只对 prop 本身做响应式处理，不深度观察其值
+    const shallow = !!propsOptions[key].shallow
     /* istanbul ignore else */
     if (process.env.NODE_ENV !== 'production') {
       const hyphenatedKey = hyphenate(key)
@@ -101,9 +111,9 @@ function initProps (vm: Component, propsOptions: Object) {
             vm
           )
         }
-      })
+      }, shallow)
     } else {
-      defineReactive(props, key, value)
+      defineReactive(props, key, value, null, shallow)
     }
     // static props are already proxied on the component's prototype
     // during Vue.extend(). We only need to proxy props defined at
@@ -132,9 +142,15 @@ function initData (vm: Component) {
   const keys = Object.keys(data)
   const props = vm.$options.props
   const methods = vm.$options.methods
+  let shallowKeys = null
   let i = keys.length
   while (i--) {
     const key = keys[i]
+    // Vue.shallow(value) 包装的条目只对该属性本身做响应式处理，不深度观察其值
+    if (isShallowEntry(data[key])) {
+      data[key] = data[key].value
+      ;(shallowKeys || (shallowKeys = {}))[key] = true
+    }
     if (process.env.NODE_ENV !== 'production') {
       if (methods && hasOwn(methods, key)) {
         warn(
@@ -149,12 +165,21 @@ function initData (vm: Component) {
         `Use prop default value instead.`,
         vm
       )
+    } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `The data property "${key}" is already declared as a setup binding.`,
+        vm
+      )
     } else if (!isReserved(key)) {
       proxy(vm, `_data`, key)
     }
   }
   // observe data
-  observe(data, true /* asRootData */)
+  const ob = observe(data, true /* asRootData */, false, shallowKeys)
+  // Proxy 模式下 vm._data 指向代理对象，this.xxx 的读写都会经过代理
+  if (ob && ob.proxy) {
+    vm._data = ob.proxy
+  }
 }
 
 export function getData (data: Function, vm: Component): any {
@@ -192,15 +217,26 @@ function initComputed (vm: Component, computed: Object) {
       )
     }
 
-    if (!isSSR) {
+    if (typeof userDef !== 'function' && userDef.async) {
+      // 异步计算属性：getter 返回 Promise，其值和状态保存在 vm.$asyncComputed[key] 中
+      initAsyncComputed(vm, key, userDef, isSSR)
+    } else if (!isSSR) {
       // create internal watcher for the computed property.
       // 为每个 key 实例化一个 watcher，其实 computed 就是通过 Watcher 实现的
       // 并且 computedWatcherOptions 选项中配置了 { lazy: true }，即懒执行
+      // 开发环境下支持在计算属性定义上声明 onTrack / onTrigger 调试钩子
+      const options = process.env.NODE_ENV !== 'production' &&
+        typeof userDef !== 'function' && (userDef.onTrack || userDef.onTrigger)
+        ? extend({
+          onTrack: userDef.onTrack,
+          onTrigger: userDef.onTrigger
+        }, computedWatcherOptions)
+        : computedWatcherOptions
       watchers[key] = new Watcher(
         vm,
         getter || noop,
         noop,
-        computedWatcherOptions
+        options
       )
     }
 
@@ -217,6 +253,8 @@ function initComputed (vm: Component, computed: Object) {
         warn(`The computed property "${key}" is already defined as a prop.`, vm)
       } else if (vm.$options.methods && key in vm.$options.methods) {
         warn(`The computed property "${key}" is already defined as a method.`, vm)
+      } else if (vm._setupState && hasOwn(vm._setupState, key)) {
+        warn(`The computed property "${key}" is already defined as a setup binding.`, vm)
       }
     }
   }
@@ -228,7 +266,10 @@ export function defineComputed (
   userDef: Object | Function
 ) {
   const shouldCache = !isServerRendering()
-  if (typeof userDef === 'function') {
+  if (typeof userDef !== 'function' && userDef.async) {
+    sharedPropertyDefinition.get = createAsyncComputedGetter(key)
+    sharedPropertyDefinition.set = noop
+  } else if (typeof userDef === 'function') {
     sharedPropertyDefinition.get = shouldCache
       ? createComputedGetter(key)
       : createGetterInvoker(userDef)
@@ -278,6 +319,78 @@ function createComputedGetter (key) {
   }
 }
 
+function createAsyncComputedGetter (key) {
+  return function asyncComputedGetter () {
+    const state = this.$asyncComputed && this.$asyncComputed[key]
+    return state ? state.value : undefined
+  }
+}
+
+/**
+ * Async computed properties are driven by their own watcher: whenever a
+ * dependency read synchronously by the getter changes, the getter runs again
+ * and results of earlier, still pending runs are discarded. During SSR the
+ * getter runs once and is awaited through a serverPrefetch hook.
+ */
+function initAsyncComputed (
+  vm: Component,
+  key: string,
+  userDef: Object,
+  isSSR: boolean
+) {
+  const getter = userDef.get || noop
+  const defaultValue = userDef.default
+  const raw = {
+    value: typeof defaultValue === 'function' ? defaultValue.call(vm) : defaultValue,
+    pending: false,
+    error: null
+  }
+  observe(raw)
+  const state = vm.$asyncComputed[key] = toReactive(raw)
+  const info = `async computed property "${key}"`
+
+  let runId = 0
+  const evaluate = () => {
+    // 每次执行都会生成新的 id，旧的 Promise 完成时 id 已不匹配，其结果会被丢弃
+    const id = ++runId
+    const isStale = () => id !== runId || vm._isDestroyed
+    let result
+    try {
+      result = getter.call(vm, vm)
+    } catch (e) {
+      state.error = e
+      state.pending = false
+      handleError(e, vm, info)
+      return
+    }
+    state.pending = true
+    return Promise.resolve(result).then(value => {
+      if (isStale()) return
+      state.value = value
+      state.error = null
+      state.pending = false
+    }, e => {
+      if (isStale()) return
+      state.error = e
+      state.pending = false
+      handleError(e, vm, info)
+    })
+  }
+
+  if (isSSR) {
+    const promise = evaluate()
+    const options: any = vm.$options
+    const handlers = options.serverPrefetch
+    const prefetch = () => promise
+    // 不能直接 push，serverPrefetch 数组可能来自组件构造器的选项，被所有实例共享
+    options.serverPrefetch = handlers
+      ? (Array.isArray(handlers) ? handlers : [handlers]).concat(prefetch)
+      : [prefetch]
+  } else {
+    new Watcher(vm, evaluate, noop)
+  }
+}
+
 function createGetterInvoker(fn) {
   return function computedGetter () {
     return fn.call(this, this)
@@ -301,6 +414,12 @@ function initMethods (vm: Component, methods: Object) {
           vm
         )
       }
+      if (vm._setupState && hasOwn(vm._setupState, key)) {
+        warn(
+          `Method "${key}" has already been defined as a setup binding.`,
+          vm
+        )
+      }
       if ((key in vm) && isReserved(key)) {
         warn(
           `Method "${key}" conflicts with an existing Vue instance method. ` +
@@ -329,7 +448,7 @@ function initWatch (vm: Component, watch: Object) {
 
 function createWatcher (
   vm: Component,
-  expOrFn: string | Function,
+  expOrFn: string | Function | Array<string | Function>,
   handler: any,
   options?: Object
 ) {
@@ -337,6 +456,10 @@ function createWatcher (
   if (isPlainObject(handler)) {
     options = handler
     handler = handler.handler
+    // 通过 source 指定监听来源（如同时监听多个来源的数组），此时 watch 配置项的 key 仅作为名称
+    if (options.source) {
+      expOrFn = options.source
+    }
   }
   // handler 是一个字符串
   if (typeof handler === 'string') {
@@ -384,7 +507,7 @@ export function stateMixin (Vue: Class<Component>) {
 
   // 定义实例 this.$watch 方法
   Vue.prototype.$watch = function (
-    expOrFn: string | Function,
+    expOrFn: string | Function | Array<string | Function>,
     cb: any,
     options?: Object
   ): Function {
@@ -0,0 +1,89 @@
+/* @flow */
+
+import {
+  isPromise,
+  isServerRendering,
+  invokeWithErrorHandling
+} from '../util/index'
+
+// 找到 vm 所在的、仍在等待中的 <suspense>。
+// 沿创建时的父链（包含抽象组件）向上查找：先遇到 suspense 的默认内容包装组件说明 vm 位于默认插槽中，
+// 先遇到 suspense 本身则说明 vm 位于 fallback 中，无需等待
+function findPendingSuspense (vm: Component): ?Component {
+  let cur: any = vm
+  while (cur) {
+    if (cur.$options._suspense) {
+      return null
+    }
+    if (cur.$options._suspenseContent) {
+      const suspense: any = cur.$parent
+      return suspense && suspense.pending ? suspense : null
+    }
+    cur = cur.$options.parent
+  }
+  return null
+}
+
+/**
+ * Register an async dependency of `vm` (async component, async setup(),
+ * serverPrefetch) with the nearest pending <suspense> around it. The same
+ * `key` is only tracked once. Returns whether a suspense is waiting for it.
+ */
+export function registerAsyncDep (vm: ?Component, key: any, dep: Promise<any>): boolean {
+  const suspense: any = vm && findPendingSuspense(vm)
+  if (suspense) {
+    suspense._registerDep(key, dep)
+    return true
+  }
+  return false
+}
+
+export function isInPendingSuspense (vm: ?Component): boolean {
+  return !!vm && !!findPendingSuspense(vm)
+}
+
+/**
+ * Insert hooks (mounted, directive `inserted` hooks...) of vnodes created
+ * inside the offscreen content of a pending <suspense> are held by the
+ * suspense until the content is moved into the document. `vm` is the
+ * instance being patched. Returns whether the hooks were held.
+ */
+export function holdInsertHooks (vm: ?Component, queue: Array<VNode>): boolean {
+  const suspense: any = vm && findPendingSuspense(vm)
+  if (suspense) {
+    suspense._heldInsert.push.apply(suspense._heldInsert, queue)
+    return true
+  }
+  return false
+}
+
+// 默认内容移入文档时，将暂存的 insert 钩子交给本次 patch 执行；vm 为默认内容的包装组件
+export function releaseInsertHooks (vm: ?Component, queue: Array<VNode>) {
+  const suspense: any = vm && vm.$options._suspenseContent && vm.$parent
+  if (suspense && suspense._heldInsert.length) {
+    queue.push.apply(queue, suspense._heldInsert)
+    suspense._heldInsert = []
+  }
+}
+
+/**
+ * On the client, serverPrefetch hooks of components rendered inside a pending
+ * <suspense> are called as well, and the suspense waits for them.
+ */
+export function prefetchInSuspense (vm: Component) {
+  const handlers = vm.$options.serverPrefetch
+  if (!handlers || isServerRendering() || !findPendingSuspense(vm)) {
+    return
+  }
+  const promises = []
+  for (let i = 0; i < handlers.length; i++) {
+    const res = invokeWithErrorHandling(handlers[i], vm, null, vm, 'serverPrefetch hook')
+    if (isPromise(res)) {
+      promises.push(res)
+    }
+  }
+  if (promises.length) {
+    const dep = Promise.all(promises)
+    registerAsyncDep(vm, dep, dep)
+  }
+}
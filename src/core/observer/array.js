@@ -4,6 +4,8 @@
  */
 
 import { def } from '../util/index'
+import { isBatching, recordMutation } from './batch'
+import { shouldReportTrigger } from './dep'
 
 const arrayProto = Array.prototype
 export const arrayMethods = Object.create(arrayProto)
@@ -25,6 +27,13 @@ methodsToPatch.forEach(function (method) {
   // cache original method
   const original = arrayProto[method]
   def(arrayMethods, method, function mutator (...args) {
+    if (isBatching()) {
+      // 记录修改前的数组内容，batch 失败时整体还原
+      const snapshot = arrayProto.slice.call(this)
+      recordMutation(() => {
+        arrayProto.splice.apply(this, [0, this.length].concat(snapshot))
+      })
+    }
     const result = original.apply(this, args)
     const ob = this.__ob__
     let inserted
@@ -39,7 +48,9 @@ methodsToPatch.forEach(function (method) {
     }
     if (inserted) ob.observeArray(inserted)
     // notify change
-    ob.dep.notify()
+    ob.dep.notify(
+      shouldReportTrigger() ? { target: this, type: 'array mutation', key: method } : undefined
+    )
     return result
   })
 })
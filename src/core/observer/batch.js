@@ -0,0 +1,97 @@
+/* @flow */
+
+import { startBatch, endBatch } from './dep'
+
+// 每次 batch 调用各自记录修改，嵌套的调用成功后并入外层调用的记录
+const mutationLogs: Array<Array<Function>> = []
+let rollingBack = false
+
+/**
+ * Whether reactive writes should currently be recorded for rollback.
+ */
+export function isBatching (): boolean {
+  return mutationLogs.length > 0 && !rollingBack
+}
+
+/**
+ * Record how to undo a reactive write made inside a batch. Callers check
+ * isBatching() first so that no undo closure is created outside of batches.
+ */
+export function recordMutation (undo: Function) {
+  if (mutationLogs.length && !rollingBack) {
+    mutationLogs[mutationLogs.length - 1].push(undo)
+  }
+}
+
+function begin (): Array<Function> {
+  startBatch()
+  const log = []
+  mutationLogs.push(log)
+  return log
+}
+
+function finish (log: Array<Function>, failed: boolean) {
+  mutationLogs.pop()
+  if (failed) {
+    // 逆序撤销本次 batch 中的所有修改
+    rollingBack = true
+    try {
+      for (let i = log.length - 1; i >= 0; i--) {
+        log[i]()
+      }
+    } finally {
+      rollingBack = false
+    }
+  } else if (mutationLogs.length) {
+    // 外层 batch 失败时也需要撤销嵌套 batch 中的修改
+    const parent = mutationLogs[mutationLogs.length - 1]
+    for (let i = 0; i < log.length; i++) {
+      parent.push(log[i])
+    }
+  }
+  endBatch()
+}
+
+/**
+ * Run `fn` while deferring all reactive notifications until it returns, so
+ * that every affected watcher is notified once with the final state. If `fn`
+ * throws, the reactive writes made inside it are rolled back and the error
+ * is re-thrown.
+ */
+export function batch<T> (fn: () => T): T {
+  const log = begin()
+  let result
+  try {
+    result = fn()
+  } catch (e) {
+    finish(log, true)
+    throw e
+  }
+  finish(log, false)
+  return result
+}
+
+/**
+ * Async variant of batch(): notifications are deferred until the promise
+ * returned by `fn` settles. Writes made after an `await` cannot be told
+ * apart from writes made by other code in the meantime, so the deferral
+ * applies app-wide while the promise is pending, and nothing is rolled back
+ * when it rejects.
+ */
+export function batchAsync<T> (fn: () => Promise<T> | T): Promise<T> {
+  startBatch()
+  let promise
+  try {
+    promise = Promise.resolve(fn())
+  } catch (e) {
+    endBatch()
+    return Promise.reject(e)
+  }
+  return promise.then(res => {
+    endBatch()
+    return res
+  }, e => {
+    endBatch()
+    throw e
+  })
+}
@@ -0,0 +1,268 @@
+/*
+ * not type checking this file because flow doesn't play well with
+ * dynamically accessing methods on Map / Set prototypes
+ */
+
+import Dep, { shouldReportTrack, shouldReportTrigger } from './dep'
+import { observe, toRaw, toReactive } from './index'
+import { isBatching, recordMutation } from './batch'
+import { def, hasSymbol } from '../util/index'
+
+const hasMap = typeof Map !== 'undefined'
+const hasSet = typeof Set !== 'undefined'
+
+const mapProto = hasMap ? Map.prototype : null
+const setProto = hasSet ? Set.prototype : null
+
+export const mapMethods = hasMap ? Object.create(mapProto) : null
+export const setMethods = hasSet ? Object.create(setProto) : null
+
+/**
+ * Only plain Map / Set instances (or already augmented ones) are observed.
+ * Subclasses are left alone since replacing their prototype would drop
+ * their own methods.
+ */
+export function isCollection (value) {
+  if (value == null) return false
+  const proto = Object.getPrototypeOf(value)
+  return (
+    (hasMap && (proto === mapProto || proto === mapMethods)) ||
+    (hasSet && (proto === setProto || proto === setMethods))
+  )
+}
+
+/**
+ * Get (or lazily create) the dep of a single Map key / Set value.
+ */
+function entryDep (ob, key) {
+  const deps = ob.entryDeps || (ob.entryDeps = new Map())
+  let dep = deps.get(key)
+  if (!dep) {
+    deps.set(key, (dep = new Dep()))
+  }
+  return dep
+}
+
+function trackEntry (ob, key, type) {
+  if (Dep.target) {
+    entryDep(ob, key).depend(
+      shouldReportTrack() ? { target: ob.value, type, key } : undefined
+    )
+  }
+}
+
+function trackIteration (ob) {
+  if (Dep.target) {
+    ob.dep.depend(
+      shouldReportTrack() ? { target: ob.value, type: 'iterate' } : undefined
+    )
+  }
+}
+
+function triggerEntry (ob, key, type, newValue, oldValue) {
+  const info = shouldReportTrigger()
+    ? { target: ob.value, type, key, newValue, oldValue }
+    : undefined
+  const dep = ob.entryDeps && ob.entryDeps.get(key)
+  if (dep) dep.notify(info)
+  ob.dep.notify(info)
+}
+
+/**
+ * Observe a value read out of a collection and collect the nested
+ * dependency, just like a reactive getter does for its child observer.
+ */
+function reactiveValue (ob, value) {
+  if (ob.shallow) {
+    return value
+  }
+  const childOb = observe(value)
+  if (childOb && Dep.target) {
+    childOb.dep.depend()
+  }
+  return toReactive(value)
+}
+
+function hasChanged (value, oldValue) {
+  /* eslint-disable no-self-compare */
+  return !(value === oldValue || (value !== value && oldValue !== oldValue))
+  /* eslint-enable no-self-compare */
+}
+
+function createIterator (ob, inner, wrap) {
+  const iterator = {
+    next () {
+      const result = inner.next()
+      return result.done
+        ? result
+        : { value: wrap(ob, result.value), done: false }
+    }
+  }
+  if (hasSymbol) {
+    iterator[Symbol.iterator] = function () {
+      return this
+    }
+  }
+  return iterator
+}
+
+/**
+ * Patch the iteration methods shared by Map and Set. Every iteration
+ * depends on the observer's own dep, which is notified on any mutation.
+ */
+function patchIteration (proto, methods, isMap) {
+  const wrapEntry = (ob, entry) => isMap
+    ? [entry[0], reactiveValue(ob, entry[1])]
+    : [reactiveValue(ob, entry[0]), reactiveValue(ob, entry[1])]
+  const iterationMethods = {
+    keys: isMap ? (ob, key) => key : reactiveValue,
+    values: reactiveValue,
+    entries: wrapEntry
+  }
+  Object.keys(iterationMethods).forEach(method => {
+    const original = proto[method]
+    const wrap = iterationMethods[method]
+    def(methods, method, function iterate () {
+      const ob = this.__ob__
+      trackIteration(ob)
+      return createIterator(ob, original.call(this), wrap)
+    })
+  })
+  if (hasSymbol) {
+    def(methods, Symbol.iterator, methods[isMap ? 'entries' : 'values'])
+  }
+
+  const forEach = proto.forEach
+  def(methods, 'forEach', function (cb, thisArg) {
+    const collection = this
+    const ob = collection.__ob__
+    trackIteration(ob)
+    return forEach.call(collection, (value, key) => {
+      cb.call(thisArg, reactiveValue(ob, value), isMap ? key : reactiveValue(ob, key), collection)
+    })
+  })
+
+  const sizeGetter = Object.getOwnPropertyDescriptor(proto, 'size').get
+  Object.defineProperty(methods, 'size', {
+    configurable: true,
+    get () {
+      trackIteration(this.__ob__)
+      return sizeGetter.call(this)
+    }
+  })
+
+  const has = proto.has
+  def(methods, 'has', function (key) {
+    key = toRaw(key)
+    trackEntry(this.__ob__, key, 'has')
+    return has.call(this, key)
+  })
+
+  const del = proto.delete
+  def(methods, 'delete', function (key) {
+    key = toRaw(key)
+    if (isBatching() && proto.has.call(this, key)) {
+      const oldValue = isMap ? proto.get.call(this, key) : key
+      recordMutation(() => {
+        isMap ? this.set(key, oldValue) : this.add(key)
+      })
+    }
+    const result = del.call(this, key)
+    if (result) {
+      triggerEntry(this.__ob__, key, 'delete')
+    }
+    return result
+  })
+
+  const clear = proto.clear
+  def(methods, 'clear', function () {
+    const ob = this.__ob__
+    const hadItems = sizeGetter.call(this) !== 0
+    if (hadItems && isBatching()) {
+      // 记录清空前的所有条目，batch 失败时逐一恢复
+      const entries = []
+      proto.forEach.call(this, (value, key) => entries.push([key, value]))
+      recordMutation(() => {
+        entries.forEach(([key, value]) => {
+          isMap ? this.set(key, value) : this.add(value)
+        })
+      })
+    }
+    const result = clear.call(this)
+    if (hadItems) {
+      const info = shouldReportTrigger() ? { target: ob.value, type: 'clear' } : undefined
+      if (ob.entryDeps) {
+        ob.entryDeps.forEach(dep => dep.notify(info))
+      }
+      ob.dep.notify(info)
+    }
+    return result
+  })
+}
+
+/**
+ * Intercept Map methods
+ */
+if (hasMap) {
+  patchIteration(mapProto, mapMethods, true)
+
+  const get = mapProto.get
+  def(mapMethods, 'get', function (key) {
+    const ob = this.__ob__
+    key = toRaw(key)
+    trackEntry(ob, key, 'get')
+    return reactiveValue(ob, get.call(this, key))
+  })
+
+  const has = mapProto.has
+  const set = mapProto.set
+  def(mapMethods, 'set', function (key, value) {
+    key = toRaw(key)
+    value = toRaw(value)
+    const hadKey = has.call(this, key)
+    const oldValue = get.call(this, key)
+    if (isBatching()) {
+      recordMutation(() => {
+        hadKey ? this.set(key, oldValue) : this.delete(key)
+      })
+    }
+    set.call(this, key, value)
+    if (!hadKey || hasChanged(value, oldValue)) {
+      triggerEntry(this.__ob__, key, hadKey ? 'set' : 'add', value, oldValue)
+    }
+    return this
+  })
+}
+
+/**
+ * Intercept Set methods
+ */
+if (hasSet) {
+  patchIteration(setProto, setMethods, false)
+
+  const has = setProto.has
+  const add = setProto.add
+  def(setMethods, 'add', function (value) {
+    value = toRaw(value)
+    if (!has.call(this, value)) {
+      if (isBatching()) {
+        recordMutation(() => this.delete(value))
+      }
+      add.call(this, value)
+      triggerEntry(this.__ob__, value, 'add', value)
+    }
+    return this
+  })
+}
+
+// 不支持 __proto__ 时需要将拦截方法逐个定义到实例上，包括 Symbol.iterator
+function methodKeys (methods) {
+  if (!methods) {
+    return []
+  }
+  const keys = Object.getOwnPropertyNames(methods)
+  return hasSymbol ? keys.concat(Object.getOwnPropertySymbols(methods)) : keys
+}
+
+export const mapKeys = methodKeys(mapMethods)
+export const setKeys = methodKeys(setMethods)
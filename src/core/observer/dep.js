@@ -1,11 +1,57 @@
 /* @flow */
 
 import type Watcher from './watcher'
-import { remove } from '../util/index'
+import { remove, extend } from '../util/index'
 import config from '../config'
 
 let uid = 0
 
+/**
+ * Extra information passed to Dep#depend and Dep#notify, reported to
+ * watchers through their onTrack / onTrigger hooks. Tracking info is only
+ * created in development for targets with an onTrack hook. Trigger info is also created in production while
+ * a deep watcher that reports changed paths exists, see shouldReportTrigger().
+ */
+export type DebuggerEventExtraInfo = {
+  target: Object;
+  type: string; // get | has | iterate | set | add | delete | clear | array mutation
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+};
+
+export type DebuggerEvent = {
+  effect: Watcher;
+} & DebuggerEventExtraInfo;
+
+// 记录变更路径的深度 watcher 的数量
+let pathWatcherCount = 0
+
+/**
+ * Called when a watcher that records changed paths is created (1) or torn
+ * down (-1).
+ */
+export function trackPathWatcher (delta: number) {
+  pathWatcherCount += delta
+}
+
+/**
+ * Whether notify() callers should build the trigger info object. Without
+ * debug hooks or path-reporting watchers it would be thrown away, so the
+ * production write path stays allocation-free.
+ */
+export function shouldReportTrigger (): boolean {
+  return process.env.NODE_ENV !== 'production' || pathWatcherCount > 0
+}
+
+/**
+ * Whether depend() callers should build the tracking info object, i.e. the
+ * current target has an onTrack hook. Only ever true in development.
+ */
+export function shouldReportTrack (): boolean {
+  return process.env.NODE_ENV !== 'production' && !!Dep.target && !!Dep.target.onTrack
+}
+
 /**
  * A dep is an observable that can have multiple
  * directives subscribing to it.
@@ -28,13 +74,18 @@ export default class Dep {
     remove(this.subs, sub)
   }
 
-  depend () {
-    if (Dep.target) {
-      Dep.target.addDep(this)
+  depend (info?: DebuggerEventExtraInfo) {
+    const target = Dep.target
+    // 只有在本次求值中首次收集该依赖时才触发 onTrack，重复读取不再触发
+    if (target && target.addDep(this)) {
+      const onTrack = target.onTrack
+      if (process.env.NODE_ENV !== 'production' && info && onTrack) {
+        onTrack(extend({ effect: target }, info))
+      }
     }
   }
 
-  notify () {
+  notify (info?: DebuggerEventExtraInfo) {
     // stabilize the subscriber list first
     const subs = this.subs.slice()
     if (process.env.NODE_ENV !== 'production' && !config.async) {
@@ -44,11 +95,66 @@ export default class Dep {
     }
     // 遍历当前 dep 收集的所有 watcher，并执行每个 watcher.update 方法
     for (let i = 0, l = subs.length; i < l; i++) {
-      subs[i].update()
+      const sub = subs[i]
+      // 深度监听的用户 watcher 需要记录每一次变更的路径，批量更新期间也不能遗漏
+      if (info && sub.changedPaths) {
+        sub.recordChange(info)
+      }
+      // 批量更新期间，计算属性只需标记为 dirty，其余 watcher 推迟到批量更新结束后统一通知
+      if (batchDepth > 0 && !(sub.lazy && !sub.scheduler)) {
+        if (!batchedIds[sub.id]) {
+          batchedIds[sub.id] = true
+          batchedSubs.push(sub)
+          batchedInfos.push(info)
+        }
+      } else {
+        triggerSub(sub, info)
+      }
     }
   }
 }
 
+function triggerSub (sub: Watcher, info?: DebuggerEventExtraInfo) {
+  const onTrigger = sub.onTrigger
+  if (process.env.NODE_ENV !== 'production' && info && onTrigger) {
+    onTrigger(extend({ effect: sub }, info))
+  }
+  sub.update(info)
+}
+
+let batchDepth = 0
+let batchedSubs: Array<Watcher> = []
+let batchedInfos: Array<DebuggerEventExtraInfo | void> = []
+let batchedIds: { [key: number]: ?true } = {}
+
+/**
+ * Defer subscriber notifications until the matching endBatch() call.
+ */
+export function startBatch () {
+  batchDepth++
+}
+
+/**
+ * Close a batch. Once the outermost batch ends, every deferred subscriber is
+ * notified exactly once, in creation order. This also happens after a
+ * rollback so that watchers re-collect deps replaced while undoing writes;
+ * their values are unchanged, so user callbacks are usually not fired.
+ */
+export function endBatch () {
+  if (--batchDepth > 0) {
+    return
+  }
+  const subs = batchedSubs
+  const infos = batchedInfos
+  batchedSubs = []
+  batchedInfos = []
+  batchedIds = {}
+  const order = subs.map((sub, i) => i).sort((a, b) => subs[a].id - subs[b].id)
+  for (let i = 0; i < order.length; i++) {
+    triggerSub(subs[order[i]], infos[order[i]])
+  }
+}
+
 // The current target watcher being evaluated.
 // This is globally unique because only one watcher
 // can be evaluated at a time.
@@ -0,0 +1,180 @@
+/* @flow */
+
+import Watcher from './watcher'
+import Dep, { pushTarget, popTarget } from './dep'
+import {
+  warn,
+  noop,
+  remove,
+  isObject,
+  invokeWithErrorHandling
+} from '../util/index'
+
+let activeEffectScope: ?EffectScope
+
+/**
+ * An effect scope collects the effects, computed refs and watchers created
+ * while it is running (including nested scopes) so that all of them can be
+ * stopped in one call.
+ */
+export class EffectScope {
+  active: boolean;
+  effects: Array<Watcher>;
+  scopes: Array<EffectScope>;
+  parent: ?EffectScope;
+
+  constructor (detached?: boolean) {
+    this.active = true
+    this.effects = []
+    this.scopes = []
+    this.parent = activeEffectScope
+    if (!detached && activeEffectScope) {
+      activeEffectScope.scopes.push(this)
+    }
+  }
+
+  run (fn: Function): any {
+    if (!this.active) {
+      process.env.NODE_ENV !== 'production' && warn(
+        `Cannot run an effect scope that has already been stopped.`
+      )
+      return
+    }
+    const prevScope = activeEffectScope
+    activeEffectScope = this
+    try {
+      return fn()
+    } finally {
+      activeEffectScope = prevScope
+    }
+  }
+
+  stop () {
+    if (this.active) {
+      let i = this.effects.length
+      while (i--) {
+        this.effects[i].teardown()
+      }
+      i = this.scopes.length
+      while (i--) {
+        this.scopes[i].stop()
+      }
+      if (this.parent) {
+        remove(this.parent.scopes, this)
+      }
+      this.active = false
+    }
+  }
+}
+
+export function effectScope (detached?: boolean): EffectScope {
+  return new EffectScope(detached)
+}
+
+function recordEffect (watcher: Watcher) {
+  if (activeEffectScope && activeEffectScope.active) {
+    activeEffectScope.effects.push(watcher)
+  }
+}
+
+/**
+ * Run a function and re-run it whenever its reactive dependencies change.
+ * By default the re-run is synchronous; a custom scheduler receives the
+ * runner instead and decides when to call it.
+ */
+export function effect (fn: Function, options?: Object): Function {
+  const scheduler = options && options.scheduler
+  const runner: any = () => {
+    if (!watcher.active) {
+      return fn()
+    }
+    watcher.evaluate()
+    return watcher.value
+  }
+  const watcher = new Watcher(null, fn, noop, {
+    lazy: true,
+    onTrack: options && options.onTrack,
+    onTrigger: options && options.onTrigger,
+    scheduler: () => {
+      // 避免 effect 在执行过程中修改自身依赖而导致的无限递归
+      if (Dep.target === watcher) return
+      scheduler ? scheduler(runner) : runner()
+    }
+  })
+  recordEffect(watcher)
+  runner.effect = watcher
+  runner.stop = () => watcher.teardown()
+  if (!options || !options.lazy) {
+    runner()
+  }
+  return runner
+}
+
+/**
+ * Create a ref-like object whose value is lazily computed from the getter
+ * and cached until one of its dependencies changes.
+ */
+export function computed (getter: Function, setter?: Function): Object {
+  const watcher = new Watcher(null, getter, noop, { lazy: true })
+  recordEffect(watcher)
+  return {
+    effect: watcher,
+    __v_isRef: true,
+    get value () {
+      if (watcher.dirty) {
+        watcher.evaluate()
+      }
+      if (Dep.target) {
+        watcher.depend()
+      }
+      return watcher.value
+    },
+    set value (val) {
+      if (setter) {
+        setter(val)
+      } else if (process.env.NODE_ENV !== 'production') {
+        warn(`Write operation failed: computed value is readonly.`)
+      }
+    }
+  }
+}
+
+/**
+ * Watch a getter function or a reactive object (deeply) and invoke the
+ * callback when it changes. Returns a function that stops the watcher.
+ */
+export function watch (source: any, cb: Function, options?: Object): Function {
+  options = options || {}
+  let getter
+  let deep = options.deep
+  if (typeof source === 'function') {
+    getter = source
+  } else if (isObject(source)) {
+    getter = () => source
+    deep = deep || true
+  } else {
+    getter = noop
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid watch source: ${String(source)}. ` +
+      `A watch source can only be a getter function or a reactive object.`
+    )
+  }
+  const watcher = new Watcher(null, getter, cb, {
+    user: true,
+    deep,
+    sync: !!options.sync,
+    flush: options.flush,
+    onTrack: options.onTrack,
+    onTrigger: options.onTrigger
+  })
+  recordEffect(watcher)
+  if (options.immediate) {
+    const info = `callback for immediate watcher "${watcher.expression}"`
+    pushTarget()
+    invokeWithErrorHandling(cb, null, [watcher.value], null, info)
+    popTarget()
+  }
+  return function unwatchFn () {
+    watcher.teardown()
+  }
+}
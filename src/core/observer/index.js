@@ -1,8 +1,11 @@
 /* @flow */
 
-import Dep from './dep'
+import Dep, { shouldReportTrack, shouldReportTrigger } from './dep'
 import VNode from '../vdom/vnode'
 import { arrayMethods } from './array'
+import { shouldUseProxy, createReactiveProxy } from './proxy'
+import { isCollection, mapMethods, setMethods, mapKeys, setKeys } from './collection'
+import { isBatching, recordMutation } from './batch'
 import {
   def,
   warn,
@@ -38,13 +41,32 @@ export class Observer {
   value: any;
   dep: Dep;
   vmCount: number; // number of vms that have this object as root $data
+  shallow: boolean; // only the top-level keys are made reactive
+  shallowKeys: ?{ [key: string]: true }; // keys whose values are not observed deeply
+  proxy: any; // reactive Proxy of value when config.reactivity is 'proxy'
+  keyDeps: ?{ [key: string]: Dep }; // per-key deps used by the proxy
+  entryDeps: ?Map<any, Dep>; // per-entry deps of an observed Map / Set
 
-  constructor (value: any) {
+  constructor (value: any, shallow?: boolean, shallowKeys?: ?{ [key: string]: true }) {
     this.value = value
     this.dep = new Dep()
     this.vmCount = 0
+    this.shallow = !!shallow
+    this.shallowKeys = shallowKeys
     def(value, '__ob__', this)
-    if (Array.isArray(value)) {
+    if (isCollection(value)) {
+      // Map / Set：与数组类似，通过改写原型拦截读写方法，按 key 收集依赖并派发更新
+      // 由于其内部插槽无法被 Proxy 转发，任何模式下都使用这种方式
+      const isMap = value instanceof Map
+      if (hasProto) {
+        protoAugment(value, isMap ? mapMethods : setMethods)
+      } else {
+        copyAugment(value, isMap ? mapMethods : setMethods, isMap ? mapKeys : setKeys)
+      }
+    } else if (shouldUseProxy()) {
+      // Proxy 模式：不再改写属性和数组原型，由代理对象拦截读写、新增及删除操作
+      this.proxy = createReactiveProxy(value, this)
+    } else if (Array.isArray(value)) {
       if (hasProto) {
         protoAugment(value, arrayMethods)
       } else {
@@ -63,8 +85,13 @@ export class Observer {
    */
   walk (obj: Object) {
     const keys = Object.keys(obj)
+    const shallowKeys = this.shallowKeys
     for (let i = 0; i < keys.length; i++) {
-      defineReactive(obj, keys[i])
+      if (this.shallow || (shallowKeys && hasOwn(shallowKeys, keys[i]))) {
+        defineReactive(obj, keys[i], obj[keys[i]], null, true)
+      } else {
+        defineReactive(obj, keys[i])
+      }
     }
   }
 
@@ -72,6 +99,8 @@ export class Observer {
    * Observe a list of Array items.
    */
   observeArray (items: Array<any>) {
+    // shallow 数组只对自身的变更方法做拦截，不观察数组元素
+    if (this.shallow) return
     for (let i = 0, l = items.length; i < l; i++) {
       observe(items[i])
     }
@@ -95,19 +124,49 @@ function protoAugment (target, src: Object) {
  * hidden properties.
  */
 /* istanbul ignore next */
-function copyAugment (target: Object, src: Object, keys: Array<string>) {
+function copyAugment (target: Object, src: Object, keys: Array<any>) {
   for (let i = 0, l = keys.length; i < l; i++) {
     const key = keys[i]
     def(target, key, src[key])
   }
 }
 
+/**
+ * Mark an object so that it will never be observed.
+ */
+export function markRaw<T> (value: T): T {
+  if (isObject(value) && Object.isExtensible(value)) {
+    def(value, '__v_skip', true)
+  }
+  return value
+}
+
+/**
+ * Wrap the value of a data entry that should only be reactive itself, without
+ * deeply observing its value. initData unwraps the entry; the marker is
+ * non-enumerable so plain data never matches by accident.
+ */
+export function shallowEntry (value: any): Object {
+  const entry = { value }
+  def(entry, '__v_shallow', true)
+  return entry
+}
+
+export function isShallowEntry (entry: any): boolean {
+  return isObject(entry) && entry.__v_shallow === true
+}
+
 /**
  * Attempt to create an observer instance for a value,
  * returns the new observer if successfully observed,
  * or the existing observer if the value already has one.
  */
-export function observe (value: any, asRootData: ?boolean): Observer | void {
+export function observe (
+  value: any,
+  asRootData: ?boolean,
+  shallow?: boolean,
+  shallowKeys?: ?{ [key: string]: true }
+): Observer | void {
   if (!isObject(value) || value instanceof VNode) {
     return
   }
@@ -118,12 +177,13 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   } else if (
     shouldObserve &&
     !isServerRendering() &&
-    (Array.isArray(value) || isPlainObject(value)) &&
+    (Array.isArray(value) || isPlainObject(value) || isCollection(value)) &&
     Object.isExtensible(value) &&
-    !value._isVue
+    !value._isVue &&
+    !value.__v_skip
   ) {
     // 为 value 实例化一个 Observer 实例
-    ob = new Observer(value)
+    ob = new Observer(value, shallow, shallowKeys)
   }
   if (asRootData && ob) {
     ob.vmCount++
@@ -131,6 +191,30 @@ export function observe (value: any, asRootData: ?boolean): Observer | void {
   return ob
 }
 
+/**
+ * Return the reactive Proxy of an observed value if it has one,
+ * otherwise the value itself.
+ */
+export function toReactive (value: any): any {
+  const ob = isObject(value) && hasOwn(value, '__ob__') ? value.__ob__ : null
+  return ob && ob.proxy ? ob.proxy : value
+}
+
+/**
+ * Return the original object behind a reactive Proxy or a readonly view.
+ */
+export function toRaw (value: any): any {
+  if (!isObject(value)) {
+    return value
+  }
+  // readonly 视图，先取出其背后的响应式对象
+  if (value.__v_raw) {
+    return toRaw(value.__v_raw)
+  }
+  const ob = value.__ob__
+  return ob && ob.proxy === value ? ob.value : value
+}
+
 /**
  * Define a reactive property on an Object.
  */
@@ -162,7 +246,11 @@ export function defineReactive (
     get: function reactiveGetter () {
       const value = getter ? getter.call(obj) : val
       if (Dep.target) {
-        dep.depend()
+        if (shouldReportTrack()) {
+          dep.depend({ target: obj, type: 'get', key })
+        } else {
+          dep.depend()
+        }
         if (childOb) {
           childOb.dep.depend()
           if (Array.isArray(value)) {
@@ -170,7 +258,8 @@ export function defineReactive (
           }
         }
       }
-      return value
+      // Proxy 模式下对外暴露的是代理对象，保证嵌套属性的读写同样可以被拦截
+      return childOb && childOb.proxy ? toReactive(value) : value
     },
     set: function reactiveSetter (newVal) {
       const value = getter ? getter.call(obj) : val
@@ -184,13 +273,21 @@ export function defineReactive (
       }
       // #7981: for accessor properties without setter
       if (getter && !setter) return
+      // 在 Vue.batch 中时记录旧值，以便 batch 失败时回滚
+      if (isBatching()) {
+        recordMutation(() => { obj[key] = value })
+      }
       if (setter) {
         setter.call(obj, newVal)
       } else {
         val = newVal
       }
       childOb = !shallow && observe(newVal)
-      dep.notify()
+      dep.notify(
+        shouldReportTrigger()
+          ? { target: obj, type: 'set', key, newValue: newVal, oldValue: value }
+          : undefined
+      )
     }
   })
 }
@@ -206,6 +303,8 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
   ) {
     warn(`Cannot set reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  // Proxy 模式下统一通过代理对象操作，新增属性和数组元素的依赖通知由代理负责
+  target = toReactive(target)
 
   // 处理数组：Vue.set(arr, index, value)，实现响应式
   if (Array.isArray(target) && isValidArrayIndex(key)) {
@@ -236,14 +335,19 @@ export function set (target: Array<any> | Object, key: any, val: any): any {
     return val
   }
   // 给普通对象进行 Vue.set(obj, key, value) 是可以设置成功的，但是不具备响应式 
-  if (!ob) {
+  if (!ob || ob.proxy) {
     target[key] = val
     return val
   }
   // 对新属性设置 getter 和 setter，读取时进行依赖收集，设置时进行依赖更新通知
   defineReactive(ob.value, key, val)
+  if (isBatching()) {
+    recordMutation(() => del(target, key))
+  }
   // 直接进行依赖更新通知
-  ob.dep.notify()
+  ob.dep.notify(
+    shouldReportTrigger() ? { target: ob.value, type: 'add', key, newValue: val } : undefined
+  )
   return val
 }
 
@@ -256,6 +360,7 @@ export function del (target: Array<any> | Object, key: any) {
   ) {
     warn(`Cannot delete reactive property on undefined, null, or primitive value: ${(target: any)}`)
   }
+  target = toReactive(target)
   // 删除数组元素：利用重写后的 splice 方法删除元素
   if (Array.isArray(target) && isValidArrayIndex(key)) {
     target.splice(key, 1)
@@ -275,14 +380,18 @@ export function del (target: Array<any> | Object, key: any) {
   if (!hasOwn(target, key)) {
     return
   }
+  if (ob && !ob.proxy && isBatching()) {
+    const oldVal = target[key]
+    recordMutation(() => set(target, key, oldVal))
+  }
   // 通过 delete 操作符删除对象属性
   delete target[key]
-  // 如果是普通对象，删除属性后不进行依赖更新通知
-  if (!ob) {
+  // 如果是普通对象，删除属性后不进行依赖更新通知，Proxy 模式下则已由代理完成通知
+  if (!ob || ob.proxy) {
     return
   }
   // 如果是响应式对象，删除属性后进行依赖更新通知
-  ob.dep.notify()
+  ob.dep.notify(shouldReportTrigger() ? { target: ob.value, type: 'delete', key } : undefined)
 }
 
 /**
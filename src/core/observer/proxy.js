@@ -0,0 +1,177 @@
+/* @flow */
+
+import Dep, { shouldReportTrack, shouldReportTrigger } from './dep'
+import type { DebuggerEventExtraInfo } from './dep'
+import config from '../config'
+import { observe, toRaw } from './index'
+import { isBatching, recordMutation } from './batch'
+import type { Observer } from './index'
+import { warn, hasOwn, hasProxy } from '../util/index'
+
+let warnedUnsupported = false
+
+/**
+ * Check whether newly observed values should be wrapped in an ES Proxy
+ * instead of being converted into getter/setters.
+ */
+export function shouldUseProxy (): boolean {
+  if (config.reactivity !== 'proxy') {
+    return false
+  }
+  if (!hasProxy) {
+    if (process.env.NODE_ENV !== 'production' && !warnedUnsupported) {
+      warnedUnsupported = true
+      warn(
+        `Vue.config.reactivity is set to "proxy" but Proxy is not supported ` +
+        `in this environment. Falling back to getter/setter reactivity.`
+      )
+    }
+    return false
+  }
+  return true
+}
+
+function isSymbol (key: any): boolean {
+  // $flow-disable-line
+  return typeof key === 'symbol'
+}
+
+/**
+ * Get (or lazily create) the dep of a single key of a proxied object.
+ */
+function keyDep (ob: Observer, key: string): Dep {
+  // $flow-disable-line
+  const deps = ob.keyDeps || (ob.keyDeps = Object.create(null))
+  return deps[key] || (deps[key] = new Dep())
+}
+
+function notifyKey (ob: Observer, key: string, info?: DebuggerEventExtraInfo) {
+  const dep = ob.keyDeps && ob.keyDeps[key]
+  if (dep) dep.notify(info)
+}
+
+/**
+ * Record how to restore a key of a proxied object before it is written or
+ * deleted inside Vue.batch(). Arrays also restore their length, since an
+ * index assignment past the end grows the array without a `length` trap.
+ */
+function recordProxyWrite (ob: Observer, target: Object, key: any) {
+  const hadOwn = hasOwn(target, key)
+  const oldVal = target[key]
+  const oldLength = Array.isArray(target) ? target.length : -1
+  recordMutation(() => {
+    const proxy: any = ob.proxy
+    if (hadOwn) {
+      proxy[key] = oldVal
+    } else {
+      delete proxy[key]
+    }
+    if (oldLength > -1) {
+      proxy.length = oldLength
+    }
+  })
+}
+
+/**
+ * Wrap an observed object or array in a Proxy. Property access is tracked
+ * per key, while key additions / deletions and every array mutation are
+ * reported through the observer's own dep, the same one Vue.set/delete use.
+ */
+export function createReactiveProxy (value: Object, ob: Observer): Object {
+  const isArray = Array.isArray(value)
+
+  const track = (key: any, type: string) => {
+    if (Dep.target && !isSymbol(key)) {
+      (isArray ? ob.dep : keyDep(ob, key)).depend(
+        shouldReportTrack() ? { target: value, type, key } : undefined
+      )
+    }
+  }
+
+  return new Proxy(value, {
+    get (target, key, receiver) {
+      if (key === '__ob__') {
+        return ob
+      }
+      const res = Reflect.get(target, key, receiver)
+      if (isSymbol(key)) {
+        return res
+      }
+      track(key, 'get')
+      if (ob.shallow || (ob.shallowKeys && hasOwn(ob.shallowKeys, key))) {
+        return res
+      }
+      // 嵌套对象在首次访问时才进行观察，并返回其代理对象
+      const childOb = observe(res)
+      if (childOb) {
+        if (Dep.target) {
+          childOb.dep.depend()
+        }
+        return childOb.proxy || res
+      }
+      return res
+    },
+
+    set (target, key, newVal, receiver) {
+      if (isSymbol(key)) {
+        return Reflect.set(target, key, newVal, receiver)
+      }
+      const hadKey = isArray && key !== 'length'
+        ? Number(key) < target.length
+        : hasOwn(target, key)
+      const oldVal = target[key]
+      // 始终存储原始对象，避免代理对象被嵌套进原始数据中
+      const val = toRaw(newVal)
+      if (isBatching()) {
+        recordProxyWrite(ob, target, key)
+      }
+      const result = Reflect.set(target, key, val, receiver)
+      /* eslint-disable no-self-compare */
+      const changed = !(val === oldVal || (val !== val && oldVal !== oldVal))
+      /* eslint-enable no-self-compare */
+      if (!result) {
+        return result
+      }
+      const info = shouldReportTrigger()
+        ? { target, type: hadKey ? 'set' : 'add', key, newValue: val, oldValue: oldVal }
+        : undefined
+      if (isArray) {
+        if (!hadKey || changed) ob.dep.notify(info)
+      } else if (!hadKey) {
+        notifyKey(ob, key, info)
+        ob.dep.notify(info)
+      } else if (changed) {
+        notifyKey(ob, key, info)
+      }
+      return result
+    },
+
+    has (target, key) {
+      track(key, 'has')
+      return Reflect.has(target, key)
+    },
+
+    ownKeys (target) {
+      if (Dep.target) {
+        ob.dep.depend(
+          shouldReportTrack() ? { target, type: 'iterate' } : undefined
+        )
+      }
+      return Reflect.ownKeys(target)
+    },
+
+    deleteProperty (target, key) {
+      const hadKey = hasOwn(target, key)
+      if (hadKey && isBatching()) {
+        recordProxyWrite(ob, target, key)
+      }
+      const result = Reflect.deleteProperty(target, key)
+      if (hadKey && result && !isSymbol(key)) {
+        const info = shouldReportTrigger() ? { target, type: 'delete', key } : undefined
+        if (!isArray) notifyKey(ob, key, info)
+        ob.dep.notify(info)
+      }
+      return result
+    }
+  })
+}
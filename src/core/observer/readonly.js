@@ -0,0 +1,188 @@
+/* @flow */
+
+import Dep from './dep'
+import { observe, toReactive } from './index'
+import { isCollection } from './collection'
+import { currentRenderingInstance } from '../instance/render'
+import { activeInstance } from '../instance/lifecycle'
+import {
+  warn,
+  hasSymbol,
+  hasProxy,
+  isObject,
+  isPlainObject,
+  invokingInstance
+} from '../util/index'
+
+const readonlyViews = hasProxy && typeof WeakMap !== 'undefined'
+  ? new WeakMap()
+  : null
+
+const collectionMutations = ['set', 'add', 'delete', 'clear']
+
+function joinPath (path: string, key: any): string {
+  return path ? `${path}.${String(key)}` : String(key)
+}
+
+/**
+ * Resolve the component that is currently running user code, so that the
+ * warning points at whoever attempted the write.
+ */
+function currentInstance (): ?Component {
+  return invokingInstance ||
+    currentRenderingInstance ||
+    (Dep.target && Dep.target.vm) ||
+    activeInstance
+}
+
+function warnReadonly (operation: string, path: string) {
+  if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `${operation} operation on "${path}" failed: target is readonly.`,
+      currentInstance()
+    )
+  }
+}
+
+function wrap (value: any, path: string): any {
+  return isPlainObject(value) || Array.isArray(value) || isCollection(value)
+    ? createReadonly(value, path)
+    : value
+}
+
+function createReadonly (target: Object, path: string): Object {
+  // $flow-disable-line
+  const existing = readonlyViews.get(target)
+  if (existing) {
+    return existing
+  }
+  const view = new Proxy(target, isCollection(target)
+    ? collectionHandlers(path)
+    : objectHandlers(path)
+  )
+  // $flow-disable-line
+  readonlyViews.set(target, view)
+  return view
+}
+
+function objectHandlers (path: string): Object {
+  return {
+    get (target, key) {
+      if (key === '__v_raw') {
+        return target
+      }
+      const res = Reflect.get(target, key)
+      if (key === '__ob__' || !isObject(res)) {
+        return res
+      }
+      // proxy invariant: non-configurable, non-writable values must be
+      // returned as is
+      const desc = Object.getOwnPropertyDescriptor(target, key)
+      if (desc && !desc.configurable && !desc.writable) {
+        return res
+      }
+      return wrap(res, joinPath(path, key))
+    },
+    set (target, key) {
+      warnReadonly('Set', joinPath(path, key))
+      return true
+    },
+    deleteProperty (target, key) {
+      warnReadonly('Delete', joinPath(path, key))
+      return true
+    },
+    defineProperty (target, key) {
+      warnReadonly('Define property', joinPath(path, key))
+      return true
+    }
+  }
+}
+
+function collectionHandlers (path: string): Object {
+  return {
+    get (target, key) {
+      if (key === '__v_raw') {
+        return target
+      }
+      if (key === 'size') {
+        return Reflect.get(target, key, target)
+      }
+      if (collectionMutations.indexOf(key) > -1) {
+        return function (entryKey) {
+          warnReadonly(
+            `"${key}"`,
+            key === 'clear' ? path || '<root>' : joinPath(path, entryKey)
+          )
+          return key === 'delete' ? false : this
+        }
+      }
+      if (key === 'get') {
+        return entryKey => wrap(target.get(entryKey), joinPath(path, entryKey))
+      }
+      if (key === 'forEach') {
+        const view = createReadonly(target, path)
+        return (cb, thisArg) => target.forEach((value, entryKey) => {
+          cb.call(thisArg, wrap(value, joinPath(path, entryKey)), entryKey, view)
+        })
+      }
+      const res = Reflect.get(target, key, target)
+      if (
+        key === 'values' ||
+        key === 'entries' ||
+        (hasSymbol && key === Symbol.iterator)
+      ) {
+        const isMap = target instanceof Map
+        const isEntries = key === 'entries' || (isMap && key !== 'values')
+        return function () {
+          const inner = res.call(target)
+          const iterator: Object = {
+            next () {
+              const result = inner.next()
+              if (result.done) return result
+              const value = result.value
+              return {
+                value: isEntries
+                  ? [
+                    isMap ? value[0] : wrap(value[0], path),
+                    wrap(value[1], isMap ? joinPath(path, value[0]) : path)
+                  ]
+                  : wrap(value, path),
+                done: false
+              }
+            }
+          }
+          if (hasSymbol) {
+            iterator[Symbol.iterator] = function () { return this }
+          }
+          return iterator
+        }
+      }
+      return typeof res === 'function' ? res.bind(target) : res
+    }
+  }
+}
+
+/**
+ * Return a deep readonly view of an object. The view reads through the
+ * reactive object, so dependencies are still tracked, while any write is
+ * rejected with a warning in development.
+ */
+export function readonly<T> (value: T): T {
+  if (!isObject(value)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `readonly() can only be used on objects, got: ${String(value)}`
+    )
+    return value
+  }
+  if (!readonlyViews) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `readonly() requires Proxy support, the object is returned as is.`
+    )
+    return value
+  }
+  if ((value: any).__v_raw) {
+    return value
+  }
+  observe(value)
+  return (createReadonly(toReactive(value), ''): any)
+}
@@ -0,0 +1,29 @@
+/* @flow */
+
+import { defineReactive } from './index'
+import { def, isObject } from '../util/index'
+
+/**
+ * Wrap a value into a reactive `{ value }` object. Object values are
+ * observed deeply, just like data properties.
+ */
+export function ref<T> (value: T): { value: T } {
+  if (isRef(value)) {
+    return (value: any)
+  }
+  const r = {}
+  def(r, '__v_isRef', true)
+  defineReactive(r, 'value', value)
+  return (r: any)
+}
+
+export function isRef (value: any): boolean {
+  return isObject(value) && value.__v_isRef === true
+}
+
+/**
+ * Return the inner value of a ref, or the value itself if it is not one.
+ */
+export function unref<T> (value: T | { value: T }): T {
+  return isRef(value) ? (value: any).value : (value: any)
+}
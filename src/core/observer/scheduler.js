@@ -1,23 +1,39 @@
 /* @flow */
 
 import type Watcher from './watcher'
+import type { DebuggerEventExtraInfo } from './dep'
 import config from '../config'
 import { callHook, activateChildComponent } from '../instance/lifecycle'
 
 import {
   warn,
   nextTick,
+  holdNextTick,
+  releaseNextTick,
   devtools,
   inBrowser,
-  isIE
+  isIE,
+  handleError,
+  formatComponentName,
+  invokeWithErrorHandling
 } from '../util/index'
 
+// default value of config.maxUpdateCount
 export const MAX_UPDATE_COUNT = 100
 
+type TriggerRecord = {
+  by: ?Watcher;
+  info: ?DebuggerEventExtraInfo;
+};
+
 const queue: Array<Watcher> = []
+const postQueue: Array<Watcher> = []
 const activatedChildren: Array<Component> = []
 let has: { [key: number]: ?true } = {}
+let postHas: { [key: number]: ?true } = {}
 let circular: { [key: number]: number } = {}
+let triggers: { [key: number]: TriggerRecord } = {}
+let runningWatcher: ?Watcher = null
 let waiting = false
 let flushing = false
 let index = 0
@@ -28,9 +44,8 @@ let index = 0
 function resetSchedulerState () {
   index = queue.length = activatedChildren.length = 0
   has = {}
-  if (process.env.NODE_ENV !== 'production') {
-    circular = {}
-  }
+  circular = {}
+  triggers = {}
   waiting = flushing = false
 }
 
@@ -65,6 +80,33 @@ if (inBrowser && !isIE) {
   }
 }
 
+/**
+ * Yield to the host so that the browser gets a chance to handle input and
+ * paint before the rest of a time-sliced flush runs. MessageChannel is
+ * preferred over setTimeout since nested timers are clamped to >= 4ms.
+ */
+let yieldToHost: (cb: Function) => void
+function scheduleSlice (cb: Function) {
+  if (!yieldToHost) {
+    if (inBrowser && typeof MessageChannel !== 'undefined') {
+      const channel = new MessageChannel()
+      let pending: ?Function = null
+      channel.port1.onmessage = () => {
+        const fn = pending
+        pending = null
+        fn && fn()
+      }
+      yieldToHost = fn => {
+        pending = fn
+        channel.port2.postMessage(null)
+      }
+    } else {
+      yieldToHost = fn => { setTimeout(fn, 0) }
+    }
+  }
+  yieldToHost(cb)
+}
+
 /**
  * Flush both queues and run the watchers.
  */
@@ -72,7 +114,6 @@ function flushSchedulerQueue () {
   currentFlushTimestamp = getNow()
   // flushing = true 表示当前 watcher 队列正在进行刷新
   flushing = true
-  let watcher, id
 
   // 再刷新 watcher 队列之前，需要对所以 watcher 进行排序.
   // 需要确保的内容:
@@ -81,49 +122,170 @@ function flushSchedulerQueue () {
   // 3. 如果组件在父组件 watcher 运行时被销毁了，那么这个 watchers 是可以被跳过的
   queue.sort((a, b) => a.id - b.id)
 
+  index = 0
+  runQueue()
+}
+
+/**
+ * Run the queued watchers starting at the current index. With time slicing
+ * enabled, the loop stops once the frame budget is used up and resumes in a
+ * new task; `flushing` and `waiting` stay set in between, so newly queued
+ * watchers are still inserted by id and no second flush gets scheduled.
+ */
+function runQueue () {
+  const timeSliced = config.timeSlicing && config.async
+  const sliceStart = timeSliced ? getNow() : 0
+  let watcher, id
+
   // 通过循环执行每个 watcher 的 run 方法
   // 注意：queue.length 没有被缓存，而是每一次执行循环时都会重新读取，主要目的就是为了实时获取当前 watcher 队列的长度，因为 flushing = true 在 queueWatcher 函数中需要对当前 watcher 进行对应位置的插入，即队列长度是会变化的
-  for (index = 0; index < queue.length; index++) {
+  for (; index < queue.length; index++) {
     watcher = queue[index]
+    id = watcher.id
+
+    // in dev build (or when an onInfiniteLoop hook is registered), check and
+    // stop circular updates. Every re-run within the same flush is counted,
+    // so that watchers re-triggering each other are caught as well.
+    if (shouldTrackLoops()) {
+      if (circular[id] == null) {
+        circular[id] = 0
+      } else if (++circular[id] > config.maxUpdateCount) {
+        reportInfiniteLoop(watcher, circular[id])
+        break
+      }
+    }
+
     // 如果配置了 watcher.before 就在 watcher.run 方法之前进行执行
     if (watcher.before) {
       watcher.before()
     }
-    id = watcher.id
 
     // 清空对应 watcher 的缓存，在 queueWatcher 函数中，如果 has[id] 存在就不会进入到队列中，而在这  has[id] = null 表示这个 watcher 已经被执行，如果后续这个 watcher 在queueWatcher 函数中需要被添加到队列时，就可以正常添加
     has[id] = null
 
     // 执行 watcher.run 方法
+    runningWatcher = watcher
     watcher.run()
-    
-    // in dev build, check and stop circular updates.
-    if (process.env.NODE_ENV !== 'production' && has[id] != null) {
-      circular[id] = (circular[id] || 0) + 1
-      if (circular[id] > MAX_UPDATE_COUNT) {
-        warn(
-          'You may have an infinite update loop ' + (
-            watcher.user
-              ? `in watcher with expression "${watcher.expression}"`
-              : `in a component render function.`
-          ),
-          watcher.vm
-        )
-        break
-      }
+    runningWatcher = null
+
+    // 开启时间切片后，超出帧预算时让出主线程，剩余的 watcher 在下一个任务中继续执行
+    if (
+      timeSliced &&
+      index < queue.length - 1 &&
+      getNow() - sliceStart >= config.frameBudget
+    ) {
+      index++
+      holdNextTick()
+      scheduleSlice(resumeQueue)
+      return
     }
   }
 
+  finishFlush()
+}
+
+function shouldTrackLoops (): boolean {
+  return process.env.NODE_ENV !== 'production' || !!config.onInfiniteLoop
+}
+
+/**
+ * Walk back from the looping watcher through the watchers whose changes
+ * re-queued it, until the cycle closes.
+ */
+function collectUpdateCycle (watcher: Watcher): Array<Object> {
+  const cycle = []
+  const visited = []
+  let current = watcher
+  while (current && visited.indexOf(current) < 0) {
+    visited.push(current)
+    const record = triggers[current.id]
+    const info = record && record.info
+    cycle.push({
+      watcher: current,
+      vm: current.vm,
+      triggeredBy: record ? record.by : null,
+      type: info ? info.type : undefined,
+      key: info ? info.key : undefined,
+      target: info ? info.target : undefined
+    })
+    current = record && record.by
+  }
+  return cycle
+}
+
+function describeWatcher (watcher: ?Watcher): string {
+  if (!watcher) {
+    return 'outside of the update queue'
+  }
+  const vm = watcher.vm
+  const name = vm ? ` of ${formatComponentName(vm, false)}` : ''
+  return vm && vm._watcher === watcher
+    ? `render watcher${name}`
+    : `watcher "${watcher.expression}"${name}`
+}
+
+function reportInfiniteLoop (watcher: Watcher, count: number) {
+  const cycle = collectUpdateCycle(watcher)
+  if (process.env.NODE_ENV !== 'production') {
+    // 列出互相触发更新的 watcher，以及触发更新的响应式 key 和所在组件
+    const lines = cycle.map(entry => {
+      const change = entry.type
+        ? `${entry.type}${entry.key !== undefined ? ` "${String(entry.key)}"` : ''}`
+        : 'a change'
+      return `  ${describeWatcher(entry.watcher)} was triggered by ` +
+        `${change} in ${describeWatcher(entry.triggeredBy)}`
+    })
+    warn(
+      'You may have an infinite update loop ' + (
+        watcher.user
+          ? `in watcher with expression "${watcher.expression}"`
+          : `in a component render function.`
+      ) + `\n\nUpdate cycle:\n${lines.join('\n')}`,
+      watcher.vm
+    )
+  }
+  if (config.onInfiniteLoop) {
+    invokeWithErrorHandling(
+      config.onInfiniteLoop,
+      null,
+      [{ watcher, vm: watcher.vm, count, cycle }],
+      watcher.vm,
+      'onInfiniteLoop hook'
+    )
+  }
+}
+
+function resumeQueue () {
+  // 继续刷新时更新时间戳，保证这期间绑定的事件监听器不会响应之前触发的事件
+  currentFlushTimestamp = getNow()
+  try {
+    runQueue()
+  } catch (e) {
+    // 跳过抛出异常的 watcher 继续刷新，否则 waiting / flushing 会一直保持为 true，
+    // 暂缓的 nextTick 回调也永远不会执行
+    runningWatcher = null
+    handleError(e, null, 'scheduler flush')
+    index++
+    resumeQueue()
+  }
+}
+
+function finishFlush () {
   // keep copies of post queues before resetting state
   const activatedQueue = activatedChildren.slice()
   const updatedQueue = queue.slice()
 
   resetSchedulerState()
+  // 切片刷新期间暂缓的 nextTick 回调在刷新完成后执行
+  releaseNextTick()
 
   // call component updated and activated hooks
   callActivatedHooks(activatedQueue)
   callUpdatedHooks(updatedQueue)
 
+  // flush: 'post' 的 watcher 在 DOM 更新完成、updated 钩子执行之后运行
+  flushPostQueue()
+
   // devtool hook
   /* istanbul ignore if */
   if (devtools && config.devtools) {
@@ -136,12 +298,28 @@ function callUpdatedHooks (queue) {
   while (i--) {
     const watcher = queue[i]
     const vm = watcher.vm
-    if (vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
+    if (vm && vm._watcher === watcher && vm._isMounted && !vm._isDestroyed) {
       callHook(vm, 'updated')
     }
   }
 }
 
+/**
+ * Run the watchers created with `flush: 'post'`. Watchers queued again while
+ * this runs are picked up by the next flush.
+ */
+function flushPostQueue () {
+  if (!postQueue.length) {
+    return
+  }
+  const watchers = postQueue.slice().sort((a, b) => a.id - b.id)
+  postQueue.length = 0
+  postHas = {}
+  for (let i = 0; i < watchers.length; i++) {
+    watchers[i].run()
+  }
+}
+
 /**
  * Queue a kept-alive component that was activated during patch.
  * The queue will be processed after the entire tree has been patched.
@@ -168,14 +346,29 @@ function callActivatedHooks (queue) {
  * Jobs with duplicate IDs will be skipped unless it's
  * pushed when the queue is being flushed.
  */
-export function queueWatcher (watcher: Watcher) {
+export function queueWatcher (watcher: Watcher, info?: DebuggerEventExtraInfo) {
   const id = watcher.id
 
+  // flush: 'post' 的 watcher 单独放入 postQueue 中，等待当前这轮刷新结束后再执行
+  if (watcher.post) {
+    if (postHas[id] == null) {
+      postHas[id] = true
+      postQueue.push(watcher)
+      scheduleFlush()
+    }
+    return
+  }
+
   // 判重处理，获取 watcher.id 是为了判断同一个 watcher 只会进入队列一次
   // 目的是当某个响应式数据被多个地方进行修改时，只会记录最后一次修改
   if (has[id] == null) {
     has[id] = true
 
+    // 记录是哪个 watcher 以及哪个响应式 key 使当前 watcher 重新入队，用于无限循环时的诊断
+    if (flushing && shouldTrackLoops()) {
+      triggers[id] = { by: runningWatcher, info }
+    }
+
     if (!flushing) {
       // flushing = false 时，表示 watcher 队列还未被刷新
       queue.push(watcher)
@@ -191,18 +384,22 @@ export function queueWatcher (watcher: Watcher) {
       queue.splice(i + 1, 0, watcher)
     }
     // queue the flush
-    // waiting = false 时，表示当前浏览器的异步任务队列中没有 flushSchedulerQueue 函数
-    if (!waiting) {
-      waiting = true
-
-      if (process.env.NODE_ENV !== 'production' && !config.async) {
-        // config.async = false 表示同步执行，直接通过 flushSchedulerQueue 去刷新 watcher 队列
-        flushSchedulerQueue()
-        return
-      }
-      // config.async = true 表示异步执行，执行 nextTick 方法，并且将 flushSchedulerQueue 函数当做参数传入
-      // 这就是常用的 this.$nextTick()，或者是 Vue.nextTick()
-      nextTick(flushSchedulerQueue)
+    scheduleFlush()
+  }
+}
+
+function scheduleFlush () {
+  // waiting = false 时，表示当前浏览器的异步任务队列中没有 flushSchedulerQueue 函数
+  if (!waiting) {
+    waiting = true
+
+    if (process.env.NODE_ENV !== 'production' && !config.async) {
+      // config.async = false 表示同步执行，直接通过 flushSchedulerQueue 去刷新 watcher 队列
+      flushSchedulerQueue()
+      return
     }
+    // config.async = true 表示异步执行，执行 nextTick 方法，并且将 flushSchedulerQueue 函数当做参数传入
+    // 这就是常用的 this.$nextTick()，或者是 Vue.nextTick()
+    nextTick(flushSchedulerQueue)
   }
 }
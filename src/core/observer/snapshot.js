@@ -0,0 +1,111 @@
+/* @flow */
+
+import { pushTarget, popTarget } from './dep'
+import { toRaw } from './index'
+import { isCollection } from './collection'
+import { isPlainObject, isObject, isRegExp } from '../util/index'
+
+type SnapshotOptions = {
+  depth?: number;
+};
+
+/**
+ * Keeps track of the copies made so far, so that shared references and
+ * cycles in the source are preserved in the snapshot.
+ */
+function createCopyCache () {
+  if (typeof Map !== 'undefined') {
+    const map = new Map()
+    return {
+      get: (key: Object) => map.get(key),
+      set: (key: Object, value: any) => { map.set(key, value) }
+    }
+  }
+  const keys = []
+  const values = []
+  return {
+    get: (key: Object) => {
+      const i = keys.indexOf(key)
+      return i > -1 ? values[i] : undefined
+    },
+    set: (key: Object, value: any) => {
+      keys.push(key)
+      values.push(value)
+    }
+  }
+}
+
+function isObjectLiteral (value: Object): boolean {
+  const proto = Object.getPrototypeOf(value)
+  return proto === Object.prototype || proto === null
+}
+
+function copy (value: any, depth: number, cache: Object): any {
+  value = toRaw(value)
+  // 原始值、markRaw 标记的对象以及超出深度的值直接返回原始引用
+  if (!isObject(value) || value.__v_skip || depth <= 0) {
+    return value
+  }
+  const cached = cache.get(value)
+  if (cached !== undefined) {
+    return cached
+  }
+  let res
+  if (value instanceof Date) {
+    res = new Date(value.getTime())
+    cache.set(value, res)
+  } else if (isRegExp(value)) {
+    res = new RegExp(value.source, value.flags)
+    cache.set(value, res)
+  } else if (Array.isArray(value)) {
+    res = []
+    cache.set(value, res)
+    for (let i = 0; i < value.length; i++) {
+      res.push(copy(value[i], depth - 1, cache))
+    }
+  } else if (isCollection(value)) {
+    if (value instanceof Map) {
+      const map = res = new Map()
+      cache.set(value, map)
+      // Map 的 key 保持原始引用，只复制 value
+      value.forEach((val, key) => {
+        map.set(toRaw(key), copy(val, depth - 1, cache))
+      })
+    } else {
+      const set = res = new Set()
+      cache.set(value, set)
+      value.forEach(val => {
+        set.add(copy(val, depth - 1, cache))
+      })
+    }
+  } else if (isPlainObject(value) && isObjectLiteral(value)) {
+    res = {}
+    cache.set(value, res)
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      res[keys[i]] = copy(value[keys[i]], depth - 1, cache)
+    }
+  } else {
+    // 类实例等无法可靠复制的对象保持原始引用
+    res = value
+  }
+  return res
+}
+
+/**
+ * Create a plain, non-reactive deep copy of a (reactive) value. Cycles and
+ * shared references are preserved, Dates, RegExps, Maps and Sets are copied,
+ * while objects marked with markRaw() and class instances are kept by
+ * reference. With `depth`, only that many levels are copied and deeper values
+ * are kept by (raw) reference. Reading the source does not collect
+ * dependencies.
+ */
+export function snapshot<T> (value: T, options?: SnapshotOptions): T {
+  const depth = options && options.depth != null ? options.depth : Infinity
+  pushTarget()
+  try {
+    return copy(value, depth, createCopyCache())
+  } finally {
+    popTarget()
+  }
+}
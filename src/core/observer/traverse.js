@@ -1,18 +1,39 @@
 /* @flow */
 
-import { _Set as Set, isObject } from '../util/index'
+import { _Set as Set, isObject, warn } from '../util/index'
 import type { SimpleSet } from '../util/index'
 import VNode from '../vdom/vnode'
+import { isCollection } from './collection'
+import { toRaw } from './index'
 
 const seenObjects = new Set()
 
+export type DeepOptions = {
+  depth: number;
+  include: ?Array<Array<string>>;
+  exclude: ?Array<Array<string>>;
+  paths: boolean; // whether the watcher reports the changed paths
+};
+
 /**
  * Recursively traverse an object to evoke all converted
  * getters, so that every nested property inside the object
  * is collected as a "deep" dependency.
+ * With `options`, traversal stops at the given depth and only follows the
+ * paths allowed by the include / exclude globs. With `paths`, the path of
+ * every object reached is recorded so that watchers can tell which paths
+ * have changed.
  */
-export function traverse (val: any) {
-  _traverse(val, seenObjects)
+export function traverse (
+  val: any,
+  options?: ?DeepOptions,
+  paths?: ?Map<Object, string>
+) {
+  if (options || paths) {
+    _traverseWithPaths(val, [], false, seenObjects, options, paths)
+  } else {
+    _traverse(val, seenObjects)
+  }
   seenObjects.clear()
 }
 
@@ -32,9 +53,151 @@ function _traverse (val: any, seen: SimpleSet) {
   if (isA) {
     i = val.length
     while (i--) _traverse(val[i], seen)
+  } else if (isCollection(val)) {
+    val.forEach(item => _traverse(item, seen))
   } else {
     keys = Object.keys(val)
     i = keys.length
     while (i--) _traverse(val[keys[i]], seen)
   }
 }
+
+function _traverseWithPaths (
+  val: any,
+  segments: Array<string>,
+  included: boolean,
+  seen: SimpleSet,
+  options: ?DeepOptions,
+  paths: ?Map<Object, string>
+) {
+  const isA = Array.isArray(val)
+  if ((!isA && !isObject(val)) || Object.isFrozen(val) || val instanceof VNode) {
+    return
+  }
+  if (paths && !paths.has(toRaw(val))) {
+    paths.set(toRaw(val), segments.join('.'))
+  }
+  // 超出最大深度时只读取到当前层，不再继续向下遍历
+  if (options && segments.length >= options.depth) {
+    return
+  }
+  if (val.__ob__) {
+    const depId = val.__ob__.dep.id
+    if (seen.has(depId)) {
+      return
+    }
+    seen.add(depId)
+  }
+  // 先按 include / exclude 过滤路径，被过滤掉的属性不会被读取，因此也不会被收集为依赖
+  const visit = (key: string, get: () => any) => {
+    const childSegments = segments.concat(key)
+    let childIncluded = included
+    if (options) {
+      if (options.exclude && matchAny(options.exclude, childSegments, false)) {
+        return
+      }
+      if (!childIncluded && options.include) {
+        if (matchAny(options.include, childSegments, false)) {
+          childIncluded = true
+        } else if (!matchAny(options.include, childSegments, true)) {
+          return
+        }
+      }
+    }
+    _traverseWithPaths(get(), childSegments, childIncluded, seen, options, paths)
+  }
+  if (isA) {
+    for (let i = 0; i < val.length; i++) {
+      visit(String(i), () => val[i])
+    }
+  } else if (isCollection(val)) {
+    let i = 0
+    val.forEach((item, key) => {
+      visit(val instanceof Map ? String(key) : String(i++), () => item)
+    })
+  } else {
+    const keys = Object.keys(val)
+    for (let i = 0; i < keys.length; i++) {
+      visit(keys[i], () => val[keys[i]])
+    }
+  }
+}
+
+function matchAny (
+  patterns: Array<Array<string>>,
+  segments: Array<string>,
+  partial: boolean
+): boolean {
+  for (let i = 0; i < patterns.length; i++) {
+    if (matchSegments(patterns[i], 0, segments, 0, partial)) {
+      return true
+    }
+  }
+  return false
+}
+
+/**
+ * Match a path against a glob split into segments, where `*` matches a single
+ * segment and `**` any number of segments. With `partial`, the path only has
+ * to be a prefix of a matching path.
+ */
+function matchSegments (
+  pattern: Array<string>,
+  pi: number,
+  segments: Array<string>,
+  si: number,
+  partial: boolean
+): boolean {
+  if (si === segments.length) {
+    return partial ||
+      pi === pattern.length ||
+      (pattern[pi] === '**' && matchSegments(pattern, pi + 1, segments, si, partial))
+  }
+  if (pi === pattern.length) {
+    return false
+  }
+  const segment = pattern[pi]
+  if (segment === '**') {
+    return matchSegments(pattern, pi + 1, segments, si, partial) ||
+      matchSegments(pattern, pi, segments, si + 1, partial)
+  }
+  return (segment === '*' || segment === segments[si]) &&
+    matchSegments(pattern, pi + 1, segments, si + 1, partial)
+}
+
+function normalizeGlobs (globs: any, name: string, vm: ?Component): ?Array<Array<string>> {
+  if (globs == null) {
+    return null
+  }
+  if (typeof globs === 'string') {
+    globs = [globs]
+  }
+  if (!Array.isArray(globs)) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Invalid "deep.${name}" option: expected a path glob or an array of path globs.`,
+      vm
+    )
+    return null
+  }
+  return globs.map(glob => String(glob).split('.'))
+}
+
+/**
+ * Normalize the `deep` watcher option. `true` means an unrestricted deep
+ * watch and returns null, a number limits the depth, and an object may
+ * specify `depth`, `include` and `exclude`.
+ */
+export function normalizeDeepOptions (deep: any, vm: ?Component): ?DeepOptions {
+  if (typeof deep === 'number') {
+    return { depth: deep, include: null, exclude: null, paths: false }
+  }
+  if (isObject(deep)) {
+    return {
+      depth: typeof deep.depth === 'number' ? deep.depth : Infinity,
+      include: normalizeGlobs(deep.include, 'include', vm),
+      exclude: normalizeGlobs(deep.exclude, 'exclude', vm),
+      paths: !!deep.paths
+    }
+  }
+  return null
+}
@@ -11,28 +11,80 @@ import {
   noop
 } from '../util/index'
 
-import { traverse } from './traverse'
+import { traverse, normalizeDeepOptions } from './traverse'
+import { toRaw } from './index'
 import { queueWatcher } from './scheduler'
-import Dep, { pushTarget, popTarget } from './dep'
+import Dep, { pushTarget, popTarget, trackPathWatcher } from './dep'
 
 import type { SimpleSet } from '../util/index'
+import type { DebuggerEventExtraInfo } from './dep'
+import type { DeepOptions } from './traverse'
 
 let uid = 0
 
+const hasMap = typeof Map !== 'undefined'
+
+/**
+ * Create the getter of a single watch source, which is either a function or
+ * a dot-delimited path on the vm.
+ */
+function createGetter (source: string | Function, vm: ?Component): Function {
+  if (typeof source === 'function') {
+    return source
+  }
+  // source 为一个路径，执行 parsePath(source) 得到一个函数，这个函数专门处理取值，比如 传递的是一个 key，最终会被转换成 obj[key] 的形式返回
+  const getter = parsePath(source)
+  if (!getter) {
+    process.env.NODE_ENV !== 'production' && warn(
+      `Failed watching path: "${source}" ` +
+      'Watcher only accepts simple dot-delimited paths. ' +
+      'For full control, use a function instead.',
+      vm
+    )
+    return noop
+  }
+  return getter
+}
+
+function hasChanged (value: any, oldValue: any, deep: boolean): boolean {
+  return (
+    // 新值和旧值不相等
+    value !== oldValue ||
+    // 深度监测 Object/Array 类型，因为即使它们的引用地址一致，但是里面的值也可能发生了更改
+    isObject(value) ||
+    // 设置深度监听
+    deep
+  )
+}
+
+function sourcesChanged (values: Array<any>, oldValues: Array<any>, deep: boolean): boolean {
+  for (let i = 0; i < values.length; i++) {
+    if (hasChanged(values[i], oldValues[i], deep)) {
+      return true
+    }
+  }
+  return false
+}
+
 /**
  * A watcher parses an expression, collects dependencies,
  * and fires callback when the expression value changes.
  * This is used for both the $watch() api and directives.
  */
 export default class Watcher {
-  vm: Component;
+  vm: ?Component;
   expression: string;
   cb: Function;
   id: number;
   deep: boolean;
+  multi: boolean;
+  deepOptions: ?DeepOptions;
+  deepPaths: ?Map<Object, string>;
+  changedPaths: ?Array<string>;
   user: boolean;
   lazy: boolean;
   sync: boolean;
+  post: boolean;
   dirty: boolean;
   active: boolean;
   deps: Array<Dep>;
@@ -40,30 +92,64 @@ export default class Watcher {
   depIds: SimpleSet;
   newDepIds: SimpleSet;
   before: ?Function;
+  scheduler: ?Function;
+  onTrack: ?Function;
+  onTrigger: ?Function;
   getter: Function;
   value: any;
 
   constructor (
-    vm: Component,
-    expOrFn: string | Function,
+    vm: ?Component,
+    expOrFn: string | Function | Array<string | Function>,
     cb: Function,
     options?: ?Object,
     isRenderWatcher?: boolean
   ) {
     this.vm = vm
-    if (isRenderWatcher) {
-      vm._watcher = this
+    // 独立于组件之外创建的 watcher（如 Vue.effect、Vue.computed）没有 vm，由 effect scope 负责销毁
+    if (vm) {
+      if (isRenderWatcher) {
+        vm._watcher = this
+      }
+      vm._watchers.push(this)
     }
-    vm._watchers.push(this)
     // options
     if (options) {
       this.deep = !!options.deep
+      // deep 可以是 true、最大深度（数字）或 { depth, include, exclude } 配置对象
+      this.deepOptions = normalizeDeepOptions(options.deep, vm)
       this.user = !!options.user
       this.lazy = !!options.lazy
-      this.sync = !!options.sync
+      // flush 选项：'pre'（默认，与渲染 watcher 在同一轮刷新中执行）、'post'（DOM 更新后执行）、'sync'（同步执行）
+      this.sync = !!options.sync || options.flush === 'sync'
+      this.post = options.flush === 'post'
+      if (
+        process.env.NODE_ENV !== 'production' &&
+        options.flush != null &&
+        options.flush !== 'pre' && !this.sync && !this.post
+      ) {
+        warn(
+          `Invalid flush option "${String(options.flush)}" for watcher: ` +
+          `expected "pre", "post" or "sync".`,
+          vm
+        )
+      }
       this.before = options.before
+      this.scheduler = options.scheduler
+      if (process.env.NODE_ENV !== 'production') {
+        // 调试钩子：依赖被收集、依赖触发更新时调用
+        this.onTrack = options.onTrack
+        this.onTrigger = options.onTrigger
+      }
     } else {
-      this.deep = this.user = this.lazy = this.sync = false
+      this.deep = this.user = this.lazy = this.sync = this.post = false
+    }
+    // 配置了 deep: { paths: true } 的用户 watcher 会记录每个被遍历对象的路径，从而在回调中给出发生变更的路径
+    this.deepPaths = null
+    const deepOptions = this.deepOptions
+    this.changedPaths = deepOptions && deepOptions.paths && this.user && hasMap ? [] : null
+    if (this.changedPaths) {
+      trackPathWatcher(1)
     }
     this.cb = cb
     this.id = ++uid // uid for batching
@@ -77,20 +163,15 @@ export default class Watcher {
       ? expOrFn.toString()
       : ''
     // parse expression for getter
-    if (typeof expOrFn === 'function') {
-      this.getter = expOrFn
-    } else {
-      // expOrFn 为一个路径，执行 parsePath(expOrFn) 得到一个函数，这个函数专门处理取值，比如 传递的是一个 key，最终会被转换成 obj[key] 的形式返回
-      this.getter = parsePath(expOrFn)
-      if (!this.getter) {
-        this.getter = noop
-        process.env.NODE_ENV !== 'production' && warn(
-          `Failed watching path: "${expOrFn}" ` +
-          'Watcher only accepts simple dot-delimited paths. ' +
-          'For full control, use a function instead.',
-          vm
-        )
+    this.multi = Array.isArray(expOrFn)
+    if (Array.isArray(expOrFn)) {
+      // 监听多个来源：依次读取每个来源的值，组成数组作为 watcher 的值
+      const getters = expOrFn.map(source => createGetter(source, vm))
+      this.getter = function (obj) {
+        return getters.map(getter => getter.call(obj, obj))
       }
+    } else {
+      this.getter = createGetter(expOrFn, vm)
     }
     this.value = this.lazy
       ? undefined
@@ -123,7 +204,10 @@ export default class Watcher {
       // "touch" every property so they are all tracked as
       // dependencies for deep watching
       if (this.deep) {
-        traverse(value)
+        if (this.changedPaths) {
+          this.deepPaths = new Map()
+        }
+        traverse(value, this.deepOptions, this.deepPaths)
       }
       popTarget()
       this.cleanupDeps()
@@ -134,7 +218,7 @@ export default class Watcher {
   /**
    * Add a dependency to this directive.
    */
-  addDep (dep: Dep) {
+  addDep (dep: Dep): boolean {
     const id = dep.id
     if (!this.newDepIds.has(id)) {
       this.newDepIds.add(id)
@@ -142,7 +226,9 @@ export default class Watcher {
       if (!this.depIds.has(id)) {
         dep.addSub(this)
       }
+      return true
     }
+    return false
   }
 
   /**
@@ -166,13 +252,39 @@ export default class Watcher {
     this.newDeps.length = 0
   }
 
+  /**
+   * Record the path of a change that will trigger this deep watcher. Changes
+   * to objects outside of the traversed value, e.g. replacing the watched
+   * value itself, are recorded as the empty path.
+   */
+  recordChange (info: DebuggerEventExtraInfo) {
+    const changedPaths = this.changedPaths
+    if (!changedPaths) {
+      return
+    }
+    const base = this.deepPaths ? this.deepPaths.get(toRaw(info.target)) : undefined
+    let path = ''
+    if (base !== undefined) {
+      // 数组变异方法和 clear 作用于整个对象，路径即对象本身的路径
+      path = info.key === undefined || info.type === 'array mutation'
+        ? base
+        : base ? `${base}.${String(info.key)}` : String(info.key)
+    }
+    if (changedPaths.indexOf(path) < 0) {
+      changedPaths.push(path)
+    }
+  }
+
   /**
    * Subscriber interface.
    * Will be called when a dependency changes.
    */
-  update () {
+  update (info?: DebuggerEventExtraInfo) {
     /* istanbul ignore else */
-    if (this.lazy) {
+    if (this.scheduler) {
+      // 配置了 scheduler 时，由调用方自行决定何时重新求值
+      this.scheduler(this)
+    } else if (this.lazy) {
       // 当前 watcher 属于懒执行，如 computed 就默认懒执行
       // 把 dirty 设置为 true，但是注意此时并没有执行
       // 即 当组件更新之后，它所依赖的响应式数据再次被更新时，会执行 computed 中的 getter 计算最新值，并缓存到 watcher.value 中
@@ -183,7 +295,7 @@ export default class Watcher {
       this.run()
     } else {
       // 把当前 watcher 加入到 watcher 队列，并对其进行排序
-      queueWatcher(this)
+      queueWatcher(this, info)
     }
   }
 
@@ -193,15 +305,18 @@ export default class Watcher {
    */
   run () {
     if (this.active) {
+      // 取出本轮记录的变更路径，求值期间产生的新变更归入下一轮
+      const changedPaths = this.changedPaths
+      if (changedPaths) {
+        this.changedPaths = []
+      }
       // 执行 this.get() 方法，得到新值
       const value = this.get()
       if (
-        // 新值和旧值不相等
-        value !== this.value ||
-        // 深度监测 Object/Array 类型，因为即使它们的引用地址一致，但是里面的值也可能发生了更改
-        isObject(value) ||
-        // 设置深度监听
-        this.deep
+        this.multi && Array.isArray(value) && Array.isArray(this.value)
+          // 监听多个来源时，只有其中某个来源发生变化才触发回调
+          ? sourcesChanged(value, this.value, this.deep)
+          : hasChanged(value, this.value, this.deep)
       ) {
         // 统一将新值直接覆盖旧值，这也就是为什么当深层对象响应式失效时，我们可以直接将当前对象赋为一个新值去触发响应式
         const oldValue = this.value
@@ -211,7 +326,13 @@ export default class Watcher {
         // 比如：会处理 wathch(key, (value, oldValue) => {})
         if (this.user) {
           const info = `callback for watcher "${this.expression}"`
-          invokeWithErrorHandling(this.cb, this.vm, [value, oldValue], this.vm, info)
+          invokeWithErrorHandling(
+            this.cb,
+            this.vm,
+            changedPaths ? [value, oldValue, changedPaths] : [value, oldValue],
+            this.vm,
+            info
+          )
         } else {
           this.cb.call(this.vm, value, oldValue)
         }
@@ -246,13 +367,17 @@ export default class Watcher {
       // remove self from vm's watcher list
       // this is a somewhat expensive operation so we skip it
       // if the vm is being destroyed.
-      if (!this.vm._isBeingDestroyed) {
-        remove(this.vm._watchers, this)
+      const vm = this.vm
+      if (vm && !vm._isBeingDestroyed) {
+        remove(vm._watchers, this)
       }
       let i = this.deps.length
       while (i--) {
         this.deps[i].removeSub(this)
       }
+      if (this.changedPaths) {
+        trackPathWatcher(-1)
+      }
       this.active = false
     }
   }
@@ -18,8 +18,11 @@ if (process.env.NODE_ENV !== 'production') {
   warn = (msg, vm) => {
     const trace = vm ? generateComponentTrace(vm) : ''
 
-    if (config.warnHandler) {
-      config.warnHandler.call(null, msg, vm, trace)
+    // 通过 Vue.createApp 创建的应用使用自己的 warnHandler
+    const app = vm && vm.$options && vm.$options._app
+    const warnHandler = app ? app.config.warnHandler : config.warnHandler
+    if (warnHandler) {
+      warnHandler.call(null, msg, vm, trace)
     } else if (hasConsole && (!config.silent)) {
       console.error(`[Vue warn]: ${msg}${trace}`)
     }
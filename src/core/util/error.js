@@ -33,6 +33,10 @@ export function handleError (err: Error, vm: any, info: string) {
   }
 }
 
+// 当前正在执行用户代码（生命周期钩子、事件处理函数、watcher 回调）的组件实例，
+// 用于在警告信息中定位是哪个组件触发了操作
+export let invokingInstance: ?Component = null
+
 /*
   1. 使用 try catch 包裹生命周期钩子中的逻辑，便于进行异常捕获
   2. 调用生命周钩子：有 args 参数通过 apply 调用，否则通过 call 调用
@@ -46,6 +50,8 @@ export function invokeWithErrorHandling (
   info: string
 ) {
   let res
+  const prevInstance = invokingInstance
+  invokingInstance = vm
   try {
     res = args ? handler.apply(context, args) : handler.call(context)
     if (res && !res._isVue && isPromise(res) && !res._handled) {
@@ -57,14 +63,19 @@ export function invokeWithErrorHandling (
   } catch (e) {
     // 异常处理
     handleError(e, vm, info)
+  } finally {
+    invokingInstance = prevInstance
   }
   return res
 }
 
 function globalHandleError (err, vm, info) {
-  if (config.errorHandler) {
+  // 通过 Vue.createApp 创建的应用使用自己的 errorHandler
+  const app = vm && vm.$options._app
+  const errorHandler = app ? app.config.errorHandler : config.errorHandler
+  if (errorHandler) {
     try {
-      return config.errorHandler.call(null, err, vm, info)
+      return errorHandler.call(null, err, vm, info)
     } catch (e) {
       // if the user intentionally throws the original error in the handler,
       // do not log it twice
@@ -9,6 +9,8 @@ export let isUsingMicroTask = false
 
 const callbacks = []
 let pending = false
+// 时间切片的刷新尚未完成时暂缓执行回调，保证回调中看到的是更新完成后的 DOM
+let held = false
 
 function flushCallbacks() {
   // 在执行 timerFunc 方法之前，pending = true，表示当前浏览器的异步任务队列中只能存在一个 flushCallbacks 函数
@@ -21,6 +23,33 @@ function flushCallbacks() {
   // 通过循环执行 callbacks 中原有的所有回调函数，即 Vue 内部传递的 flushSchedulerQueue 函数，或是用户通过 this.$nextTick() 和 Vue.nextTick() 传递的回调
   for (let i = 0; i < copies.length; i++) {
     copies[i]()
+    // 刷新让出了主线程：剩余的回调放回队列，等刷新完成后再执行
+    if (held) {
+      callbacks.unshift.apply(callbacks, copies.slice(i + 1))
+      return
+    }
+  }
+}
+
+/**
+ * Hold back nextTick callbacks until releaseNextTick() is called. Used by
+ * the scheduler while a time-sliced flush yields to the browser.
+ */
+export function holdNextTick () {
+  held = true
+}
+
+/**
+ * Release the callbacks held back by holdNextTick() and schedule them.
+ */
+export function releaseNextTick () {
+  if (!held) {
+    return
+  }
+  held = false
+  if (callbacks.length && !pending) {
+    pending = true
+    timerFunc()
   }
 }
 
@@ -90,8 +119,8 @@ export function nextTick(cb?: Function, ctx?: Object) {
     }
   })
 
-  // pending = false 时，需要执行 timerFunc()
-  if (!pending) {
+  // pending = false 时，需要执行 timerFunc()；回调被暂缓时由 releaseNextTick 负责调度
+  if (!pending && !held) {
     pending = true
     // 利用浏览器的异步任务执行 flushCallbacks() 函数
     timerFunc()
@@ -2,8 +2,9 @@
 
 import config from '../config'
 import { warn } from './debug'
+import { invokeWithErrorHandling } from './error'
 import { set } from '../observer/index'
-import { unicodeRegExp } from './lang'
+import { def, unicodeRegExp } from './lang'
 import { nativeWatch, hasSymbol } from './env'
 
 import {
@@ -95,10 +96,12 @@ export function mergeDataOrFn (
     // check if parentVal is a function here because
     // it has to be a function to pass previous merges.
     return function mergedDataFn () {
-      return mergeData(
-        typeof childVal === 'function' ? childVal.call(this, this) : childVal,
-        typeof parentVal === 'function' ? parentVal.call(this, this) : parentVal
-      )
+      const childData = typeof childVal === 'function' ? childVal.call(this, this) : childVal
+      const parentData = typeof parentVal === 'function' ? parentVal.call(this, this) : parentVal
+      if (process.env.NODE_ENV !== 'production' && (mergedDataFn: any)._sources) {
+        checkDataConflicts(childData, parentData, (mergedDataFn: any)._sources, this)
+      }
+      return mergeData(childData, parentData)
     }
   } else {
     return function mergedInstanceDataFn () {
@@ -110,6 +113,9 @@ export function mergeDataOrFn (
         ? parentVal.call(vm, vm)
         : parentVal
       if (instanceData) {
+        if (process.env.NODE_ENV !== 'production' && (mergedInstanceDataFn: any)._sources) {
+          checkDataConflicts(instanceData, defaultData, (mergedInstanceDataFn: any)._sources, vm)
+        }
         return mergeData(instanceData, defaultData)
       } else {
         return defaultData
@@ -239,6 +245,7 @@ strats.watch = function (
  * Other object hashes.
  */
 strats.props =
+strats.emits =
 strats.methods =
 strats.inject =
 strats.computed = function (
@@ -356,6 +363,41 @@ function normalizeInject (options: Object, vm: ?Component) {
   }
 }
 
+/**
+ * Normalize the emits option into the Object-based format, where each
+ * declared event maps to its payload validator or null.
+ */
+function normalizeEmits (options: Object, vm: ?Component) {
+  const emits = options.emits
+  if (!emits) return
+  const normalized = options.emits = {}
+  if (Array.isArray(emits)) {
+    for (let i = 0; i < emits.length; i++) {
+      normalized[emits[i]] = null
+    }
+  } else if (isPlainObject(emits)) {
+    for (const key in emits) {
+      const val = emits[key]
+      if (val == null || typeof val === 'function') {
+        normalized[key] = val || null
+      } else if (process.env.NODE_ENV !== 'production') {
+        normalized[key] = null
+        warn(
+          `Invalid validator for emitted event "${key}": expected a Function ` +
+          `or null, but got ${toRawType(val)}.`,
+          vm
+        )
+      }
+    }
+  } else if (process.env.NODE_ENV !== 'production') {
+    warn(
+      `Invalid value for option "emits": expected an Array or an Object, ` +
+      `but got ${toRawType(emits)}.`,
+      vm
+    )
+  }
+}
+
 /**
  * Normalize raw function directives into object format.
  */
@@ -381,17 +423,154 @@ function assertObjectType (name: string, value: any, vm: ?Component) {
   }
 }
 
+type DataSource = {
+  label: string;
+  data: any;
+};
+
+type DataSources = {
+  parent: DataSource;
+  child: DataSource;
+  reported: { [key: string]: true };
+};
+
+const conflictTypeNames = {
+  props: 'prop',
+  methods: 'method',
+  computed: 'computed property',
+  data: 'data property'
+}
+
+// 开发环境下记录合并后的 data 对象中每个属性来自哪个来源，用于嵌套的 mixins / extends
+const dataKeySources = process.env.NODE_ENV !== 'production' && typeof WeakMap !== 'undefined'
+  ? new WeakMap()
+  : null
+
+/**
+ * Report a key defined by two option sources. The later source (`winner`)
+ * overrides the earlier one.
+ */
+function reportOptionConflict (
+  type: string,
+  key: string,
+  overridden: string,
+  winner: string,
+  vm: ?Component
+) {
+  if (config.onOptionConflict) {
+    invokeWithErrorHandling(
+      config.onOptionConflict,
+      null,
+      [{ type, key, sources: [overridden, winner], winner }, vm],
+      vm,
+      'onOptionConflict hook'
+    )
+  } else {
+    warn(
+      `Option conflict: ${conflictTypeNames[type]} "${key}" is defined by both ` +
+      `${overridden} and ${winner}. The one from ${winner} wins.`,
+      vm
+    )
+  }
+}
+
+function describeSource (label: ?string, options: any): string {
+  const name = typeof options === 'function' ? options.options.name : options.name
+  if (!label) {
+    return name ? `<${name}>` : '<Anonymous>'
+  }
+  return name ? `${label} <${name}>` : label
+}
+
+/**
+ * Record which source defined each props / methods / computed key of the
+ * merged options, and report the keys defined by both parent and child.
+ * Data keys are only known once the data function runs, so the merged data
+ * function is tagged with its sources and checked when it is called. Each
+ * data conflict is reported by the first call only.
+ */
+function trackOptionSources (
+  parent: Object,
+  child: Object,
+  options: Object,
+  source: string,
+  vm: ?Component
+) {
+  const parentSources = parent._optionSources || {}
+  const parentLabel = describeSource('parent options', parent)
+  const sources = {}
+  ;['props', 'methods', 'computed'].forEach(type => {
+    const typeSources = sources[type] = extend({}, parentSources[type])
+    const parentVal = parent[type]
+    const childVal = child[type]
+    if (!isPlainObject(childVal)) return
+    for (const key in childVal) {
+      // 同一个 mixin 被多次混入时值相同，不算冲突
+      if (parentVal && hasOwn(parentVal, key) && parentVal[key] !== childVal[key]) {
+        reportOptionConflict(type, key, typeSources[key] || parentLabel, source, vm)
+      }
+      typeSources[key] = source
+    }
+  })
+  sources.data = child.data ? source : parentSources.data
+  def(options, '_optionSources', sources)
+  if (
+    parent.data && child.data &&
+    typeof options.data === 'function' &&
+    options.data !== parent.data &&
+    options.data !== child.data
+  ) {
+    options.data._sources = {
+      parent: { label: parentSources.data || parentLabel, data: parent.data },
+      child: { label: source, data: child.data },
+      // 合并后的 data 函数每创建一个实例都会执行一次，冲突只需报告一次
+      reported: Object.create(null)
+    }
+  }
+}
+
+function checkDataConflicts (
+  childData: any,
+  parentData: any,
+  sources: DataSources,
+  vm: ?Component
+) {
+  if (!isPlainObject(childData) || !isPlainObject(parentData)) return
+  const parentKeySources = dataKeySources && dataKeySources.get(parentData)
+  const keySources = {}
+  Object.keys(parentData).forEach(key => {
+    keySources[key] = (parentKeySources && parentKeySources[key]) || sources.parent
+  })
+  Object.keys(childData).forEach(key => {
+    const prev = keySources[key]
+    // 两边都是普通对象时会被递归合并，不存在覆盖
+    if (
+      prev && prev.data !== sources.child.data &&
+      !(isPlainObject(childData[key]) && isPlainObject(parentData[key])) &&
+      !sources.reported[key]
+    ) {
+      sources.reported[key] = true
+      reportOptionConflict('data', key, prev.label, sources.child.label, vm)
+    }
+    keySources[key] = sources.child
+  })
+  dataKeySources && dataKeySources.set(childData, keySources)
+}
+
 /**
   * 将两个选项对象合并为一个新对象
   * 用于实例化和继承的核心实用程序
+  * source 用于在开发环境下描述 child 所处的位置（如 "<UserCard> > mixins[0]"），以便报告选项冲突
  */
 export function mergeOptions (
   parent: Object,
   child: Object,
-  vm?: Component
+  vm?: Component,
+  source?: string
 ): Object {
   if (process.env.NODE_ENV !== 'production') {
     checkComponents(child)
+    source = describeSource(source, child)
   }
 
   // 如果 child 是函数，就送函数上获取配置项
@@ -402,6 +581,7 @@ export function mergeOptions (
   // 对选项配置进行标准化
   normalizeProps(child, vm)
   normalizeInject(child, vm)
+  normalizeEmits(child, vm)
   normalizeDirectives(child)
 
   // 在子选项上进行 extends (扩展) 和 mixins (混合)
@@ -411,15 +591,28 @@ export function mergeOptions (
     // 组件的 extents 和 Vue.extend 是一样的，extents 为了便于扩展单文件组件
     // var CompA = { ... } , var CompB = { extends: CompA, ... }, B 继承了 A
     if (child.extends) {
-      parent = mergeOptions(parent, child.extends, vm)
+      parent = mergeOptions(
+        parent,
+        child.extends,
+        vm,
+        source && `${source} > extends`
+      )
     }
     if (child.mixins) {
       for (let i = 0, l = child.mixins.length; i < l; i++) {
-        parent = mergeOptions(parent, child.mixins[i], vm)
+        parent = mergeOptions(
+          parent,
+          child.mixins[i],
+          vm,
+          source && `${source} > mixins[${i}]`
+        )
       }
     }
   }
 
+  // 通过 Vue.createApp 创建的应用优先使用自己的合并策略
+  const app = parent._app
+  const appStrats = app && app.config.optionMergeStrategies
   const options = {}
   let key
   for (key in parent) {
@@ -434,9 +627,12 @@ export function mergeOptions (
   function mergeField (key) {
     // 选项合并策略
     // 默认策略为：如果 child 有值，就会覆盖 parent 值，否则使用 parent 值
-    const strat = strats[key] || defaultStrat
+    const strat: Function = (appStrats && appStrats[key]) || strats[key] || defaultStrat
     options[key] = strat(parent[key], child[key], vm, key)
   }
+  if (process.env.NODE_ENV !== 'production' && source) {
+    trackOptionSources(parent, child, options, source, vm)
+  }
   return options
 }
 
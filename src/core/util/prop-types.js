@@ -0,0 +1,62 @@
+/* @flow */
+
+/**
+ * Declarative prop types describing nested values, e.g.
+ *
+ *   props: {
+ *     user: shape({ name: { type: String, required: true }, tags: arrayOf(String) }),
+ *     size: oneOf(['small', 'large'])
+ *   }
+ *
+ * The schema is only checked in development. In production builds the
+ * factories return the plain base constructor, so both the schema and the
+ * code validating it can be stripped.
+ */
+
+export type PropSchema = {
+  kind: 'shape' | 'arrayOf' | 'objectOf' | 'oneOf';
+  arg: any;
+};
+
+function createSchemaType (kind: $PropertyType<PropSchema, 'kind'>, arg: any, base: ?Function): any {
+  if (process.env.NODE_ENV === 'production') {
+    return base
+  }
+  // 用函数承载 schema，这样它可以像构造函数一样直接作为 prop 的值或放入 type 数组中
+  const type: any = function () {}
+  type._propSchema = { kind, arg }
+  return type
+}
+
+export function isSchemaType (type: any): boolean {
+  return typeof type === 'function' && type._propSchema != null
+}
+
+/**
+ * A plain object whose fields match the given types. Fields may also be
+ * declared with `{ type, required }`; other fields are optional.
+ */
+export function shape (fields: Object): any {
+  return createSchemaType('shape', fields, Object)
+}
+
+/**
+ * An array whose items all match the given type.
+ */
+export function arrayOf (type: any): any {
+  return createSchemaType('arrayOf', type, Array)
+}
+
+/**
+ * A plain object whose values all match the given type.
+ */
+export function objectOf (type: any): any {
+  return createSchemaType('objectOf', type, Object)
+}
+
+/**
+ * One of the given values.
+ */
+export function oneOf (values: Array<any>): any {
+  return createSchemaType('oneOf', values, null)
+}
@@ -2,6 +2,7 @@
 
 import { warn } from './debug'
 import { observe, toggleObserving, shouldObserve } from '../observer/index'
+import { isSchemaType } from './prop-types'
 import {
   hasOwn,
   isObject,
@@ -11,11 +12,18 @@ import {
   isPlainObject
 } from 'shared/util'
 
+type SchemaMismatch = {
+  path: string;
+  value: any;
+  expectedTypes: Array<string>;
+};
+
 type PropOptions = {
   type: Function | Array<Function> | null,
   default: any,
   required: ?boolean,
-  validator: ?Function
+  validator: ?Function,
+  shallow: ?boolean
 };
 
 export function validateProp (
@@ -48,7 +56,7 @@ export function validateProp (
     // make sure to observe it.
     const prevShouldObserve = shouldObserve
     toggleObserving(true)
-    observe(value)
+    observe(value, false, !!prop.shallow)
     toggleObserving(prevShouldObserve)
   }
   if (
@@ -121,6 +129,15 @@ function assertProp (
     if (!Array.isArray(type)) {
       type = [type]
     }
+    if (type.some(isSchemaType)) {
+      // 含有 shape / arrayOf 等声明式类型时递归校验，并报告具体出错的路径
+      const mismatch = checkPropType(value, type, name, vm)
+      if (mismatch) {
+        warn(getSchemaMismatchMessage(name, mismatch), vm)
+        return
+      }
+      valid = true
+    }
     for (let i = 0; i < type.length && !valid; i++) {
       const assertedType = assertType(value, type[i], vm)
       expectedTypes.push(assertedType.expectedType || '')
@@ -180,6 +197,102 @@ function assertType (value: any, type: Function, vm: ?Component): {
   }
 }
 
+/**
+ * Check a value against a type, a list of alternative types or a schema type
+ * created by shape / arrayOf / objectOf / oneOf. Returns the first mismatch
+ * found, or null if the value is valid.
+ */
+function checkPropType (
+  value: any,
+  type: any,
+  path: string,
+  vm: ?Component
+): ?SchemaMismatch {
+  if (type == null || type === true) {
+    return null
+  }
+  if (Array.isArray(type)) {
+    const expectedTypes = []
+    let nested = null
+    for (let i = 0; i < type.length; i++) {
+      const mismatch = checkPropType(value, type[i], path, vm)
+      if (!mismatch) {
+        return null
+      }
+      // 更深层路径上的错误比顶层的类型列表更有参考价值
+      if (!nested && mismatch.path !== path) {
+        nested = mismatch
+      }
+      expectedTypes.push.apply(expectedTypes, mismatch.expectedTypes)
+    }
+    return nested || { path, value, expectedTypes }
+  }
+  if (!isSchemaType(type)) {
+    const assertedType = assertType(value, type, vm)
+    return assertedType.valid
+      ? null
+      : { path, value, expectedTypes: [assertedType.expectedType] }
+  }
+  const { kind, arg } = type._propSchema
+  if (kind === 'oneOf') {
+    return arg.indexOf(value) > -1
+      ? null
+      : { path, value, expectedTypes: [`one of [${arg.map(formatValue).join(', ')}]`] }
+  }
+  if (kind === 'arrayOf') {
+    if (!Array.isArray(value)) {
+      return { path, value, expectedTypes: ['Array'] }
+    }
+    for (let i = 0; i < value.length; i++) {
+      const mismatch = checkPropType(value[i], arg, `${path}[${i}]`, vm)
+      if (mismatch) return mismatch
+    }
+    return null
+  }
+  if (!isPlainObject(value)) {
+    return { path, value, expectedTypes: ['Object'] }
+  }
+  if (kind === 'objectOf') {
+    const keys = Object.keys(value)
+    for (let i = 0; i < keys.length; i++) {
+      const mismatch = checkPropType(value[keys[i]], arg, `${path}.${keys[i]}`, vm)
+      if (mismatch) return mismatch
+    }
+    return null
+  }
+  // shape
+  const keys = Object.keys(arg)
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i]
+    const field = arg[key]
+    const fieldType = isPlainObject(field) ? field.type : field
+    const fieldValue = value[key]
+    if (fieldValue == null && !(isPlainObject(field) && field.required)) {
+      continue
+    }
+    const mismatch = checkPropType(fieldValue, fieldType, `${path}.${key}`, vm)
+    if (mismatch) return mismatch
+  }
+  return null
+}
+
+function getSchemaMismatchMessage (name: string, mismatch: SchemaMismatch): string {
+  const { path, value, expectedTypes } = mismatch
+  let message = `Invalid prop: type check failed for prop "${name}"`
+  if (path !== name) {
+    message += ` at path "${path}"`
+  }
+  message += `. Expected ${expectedTypes.join(', ')}, got ${toRawType(value)}`
+  if (isExplicable(typeof value)) {
+    message += ` with value ${formatValue(value)}`
+  }
+  return message + '.'
+}
+
+function formatValue (value: any): string {
+  return typeof value === 'string' ? `"${value}"` : String(value)
+}
+
 const functionTypeCheckRE = /^\s*function (\w+)/
 
 /**
@@ -14,6 +14,7 @@ import {
 
 import { createEmptyVNode } from 'core/vdom/vnode'
 import { currentRenderingInstance } from 'core/instance/render'
+import { registerAsyncDep } from 'core/instance/suspense'
 
 function ensureCtor (comp: any, base) {
   if (
@@ -40,6 +41,27 @@ export function createAsyncPlaceholder (
   return node
 }
 
+// 异步组件加载完成或失败后 resolve，供 <suspense> 等待
+export function whenAsyncResolved (factory: Function): Promise<void> {
+  if (isDef(factory.resolved) || isTrue(factory.settled)) {
+    return Promise.resolve()
+  }
+  return new Promise(resolve => {
+    (factory.settleCbs || (factory.settleCbs = [])).push(resolve)
+  })
+}
+
+function settleAsyncFactory (factory: Function) {
+  factory.settled = true
+  const cbs = factory.settleCbs
+  if (isDef(cbs)) {
+    factory.settleCbs = null
+    for (let i = 0; i < cbs.length; i++) {
+      cbs[i]()
+    }
+  }
+}
+
 export function resolveAsyncComponent (
   factory: Function,
   baseCtor: Class<Component>
@@ -56,6 +78,7 @@ export function resolveAsyncComponent (
   if (owner && isDef(factory.owners) && factory.owners.indexOf(owner) === -1) {
     // already pending
     factory.owners.push(owner)
+    registerAsyncDep(owner, factory, whenAsyncResolved(factory))
   }
 
   if (isTrue(factory.loading) && isDef(factory.loadingComp)) {
@@ -98,6 +121,7 @@ export function resolveAsyncComponent (
       } else {
         owners.length = 0
       }
+      settleAsyncFactory(factory)
     })
 
     const reject = once(reason => {
@@ -109,6 +133,7 @@ export function resolveAsyncComponent (
         factory.error = true
         forceRender(true)
       }
+      settleAsyncFactory(factory)
     })
 
     const res = factory(resolve, reject)
@@ -157,6 +182,9 @@ export function resolveAsyncComponent (
     }
 
     sync = false
+    if (isUndef(factory.resolved)) {
+      registerAsyncDep(owner, factory, whenAsyncResolved(factory))
+    }
     // return in case resolved synchronously
     return factory.loading
       ? factory.loadingComp
@@ -16,6 +16,11 @@ import { SSR_ATTR } from 'shared/constants'
 import { registerRef } from './modules/ref'
 import { traverse } from '../observer/traverse'
 import { activeInstance } from '../instance/lifecycle'
+import {
+  isInPendingSuspense,
+  holdInsertHooks,
+  releaseInsertHooks
+} from '../instance/suspense'
 import { isTextInputType } from 'web/util/element'
 
 import {
@@ -40,6 +45,10 @@ function sameVnode(a, b) {
       (
         // 标签相同
         a.tag === b.tag &&
+        // 都属于片段节点
+        a.isFragment === b.isFragment &&
+        // 都属于传送门
+        isDef(a.teleport) === isDef(b.teleport) &&
         // 都属于注释节点
         a.isComment === b.isComment &&
         // 都有 data 属性
@@ -129,18 +138,66 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // 组件的根节点可能是片段，沿着组件实例找到最终渲染出 DOM 的 vnode
+  function resolveRoot(vnode) {
+    while (isDef(vnode.componentInstance) && isDef(vnode.componentInstance._vnode)) {
+      vnode = vnode.componentInstance._vnode
+    }
+    return vnode
+  }
+
+  // vnode 对应的最后一个 DOM 节点，片段为结束锚点
+  function lastElm(vnode) {
+    const root = resolveRoot(vnode)
+    return isTrue(root.isFragment) ? root.anchor : vnode.elm
+  }
+
+  // 按文档顺序收集片段的所有 DOM 节点，包括起止锚点
+  function collectFragmentElms(vnode, elms) {
+    elms.push(vnode.elm)
+    const children = vnode.children
+    // 离屏片段的子节点留在容器中，只移动锚点
+    for (let i = 0; i < children.length && !vnode.offscreen; ++i) {
+      const root = resolveRoot(children[i])
+      if (isTrue(root.isFragment)) {
+        collectFragmentElms(root, elms)
+      } else {
+        elms.push(children[i].elm)
+      }
+    }
+    elms.push(vnode.anchor)
+    return elms
+  }
+
+  // 插入 vnode 对应的 DOM，片段会连同锚点整体插入
+  function insertVnode(parent, vnode, ref) {
+    const root = resolveRoot(vnode)
+    if (isTrue(root.isFragment)) {
+      const elms = collectFragmentElms(root, [])
+      for (let i = 0; i < elms.length; ++i) {
+        insert(parent, elms[i], ref)
+      }
+    } else {
+      insert(parent, vnode.elm, ref)
+    }
+  }
+
+  function isIgnoredElement(ignoredElements, tag) {
+    return ignoredElements.length > 0 && ignoredElements.some(ignore => {
+      return isRegExp(ignore)
+        ? ignore.test(tag)
+        : ignore === tag
+    })
+  }
+
   function isUnknownElement(vnode, inVPre) {
+    // 通过 Vue.createApp 创建的应用还会检查自己的 ignoredElements
+    const app = vnode.context && vnode.context.$options._app
     return (
       !inVPre &&
       !vnode.ns &&
-      !(
-        config.ignoredElements.length &&
-        config.ignoredElements.some(ignore => {
-          return isRegExp(ignore)
-            ? ignore.test(vnode.tag)
-            : ignore === vnode.tag
-        })
-      ) &&
+      !isIgnoredElement(config.ignoredElements, vnode.tag) &&
+      !(app && isIgnoredElement(app.config.ignoredElements, vnode.tag)) &&
       config.isUnknownElement(vnode.tag)
     )
   }
@@ -185,6 +242,39 @@ export function createPatchFunction(backend) {
     const children = vnode.children
     const tag = vnode.tag
 
+    if (isTrue(vnode.isFragment)) {
+      // 片段：用两个空文本节点作为起止锚点，子节点依次插入它们之间
+      vnode.elm = nodeOps.createTextNode('')
+      vnode.anchor = nodeOps.createTextNode('')
+      insert(parentElm, vnode.elm, refElm)
+      if (process.env.NODE_ENV !== 'production') {
+        checkDuplicateKeys(children)
+      }
+      if (isTrue(vnode.offscreen)) {
+        // 离屏片段：子节点先渲染到脱离文档的容器中，显示时再整体移入锚点之间
+        const container = vnode.container = nodeOps.createElement('div', vnode)
+        const offscreenQueue = []
+        for (let i = 0; i < children.length; ++i) {
+          createElm(children[i], offscreenQueue, container, null, nested, children, i)
+        }
+        queueOffscreenInsert(offscreenQueue, insertedVnodeQueue)
+      } else {
+        for (let i = 0; i < children.length; ++i) {
+          createElm(children[i], insertedVnodeQueue, parentElm, refElm, nested, children, i)
+        }
+      }
+      insert(parentElm, vnode.anchor, refElm)
+      return
+    }
+
+    if (isDef(vnode.teleport)) {
+      // 传送门：原位置只保留一个注释节点，子节点渲染到目标节点中
+      vnode.elm = nodeOps.createComment('teleport')
+      insert(parentElm, vnode.elm, refElm)
+      createTeleportChildren(vnode, insertedVnodeQueue, nested)
+      return
+    }
+
     // tag 有值
     if (isDef(tag)) {
       if (process.env.NODE_ENV !== 'production') {
@@ -289,7 +379,7 @@ export function createPatchFunction(backend) {
         */
         initComponent(vnode, insertedVnodeQueue)
         // 将组件的 DOM 节点插入到父节点内
-        insert(parentElm, vnode.elm, refElm)
+        insertVnode(parentElm, vnode, refElm)
 
         if (isTrue(isReactivated)) {
           // 组件被 keep-alive 包裹的情况，激活组件
@@ -337,7 +427,32 @@ export function createPatchFunction(backend) {
     }
     // unlike a newly created component,
     // a reactivated keep-alive component doesn't insert itself
-    insert(parentElm, vnode.elm, refElm)
+    insertVnode(parentElm, vnode, refElm)
+    // 失活时暂存起来的传送门内容移回各自的目标节点
+    moveTeleports(vnode, null)
+  }
+
+  // keep-alive 组件失活时，其中传送到目标节点的内容不会随组件根节点一起移除，
+  // 因此将锚点和子节点暂存到游离的 container 中；container 为 null 时移回目标节点。
+  // suspense 的离屏内容移入文档时也用它将暂存的传送门内容移到目标节点
+  function moveTeleports(vnode, container) {
+    if (isDef(vnode.componentInstance)) {
+      const childVnode = vnode.componentInstance._vnode
+      if (isDef(childVnode)) moveTeleports(childVnode, container)
+      return
+    }
+    const children = vnode.children
+    if (isUndef(children)) return
+    if (isDef(vnode.teleport) && isDef(vnode.anchor)) {
+      const parent = container || vnode.teleport.target
+      nodeOps.appendChild(parent, vnode.anchor)
+      for (let i = 0; i < children.length; ++i) {
+        insertVnode(parent, children[i], vnode.anchor)
+      }
+    }
+    for (let i = 0; i < children.length; ++i) {
+      moveTeleports(children[i], container)
+    }
   }
 
   // 向父节点插入节点 
@@ -356,6 +471,30 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // 离屏内容（等待中的 suspense）的 insert 钩子在内容移入文档后才执行
+  function queueOffscreenInsert(queue, insertedVnodeQueue) {
+    if (queue.length && !holdInsertHooks(activeInstance, queue)) {
+      insertedVnodeQueue.push.apply(insertedVnodeQueue, queue)
+    }
+  }
+
+  // 在目标节点末尾追加结束锚点，将传送门的子节点依次插入到锚点之前。
+  // 位于等待中的 suspense 内时先暂存到游离的容器中，内容移入文档时再移到目标节点
+  function createTeleportChildren(vnode, insertedVnodeQueue, nested) {
+    const target = isInPendingSuspense(activeInstance)
+      ? nodeOps.createElement('div')
+      : vnode.teleport.target
+    const children = vnode.children
+    vnode.anchor = nodeOps.createTextNode('')
+    nodeOps.appendChild(target, vnode.anchor)
+    if (process.env.NODE_ENV !== 'production') {
+      checkDuplicateKeys(children)
+    }
+    for (let i = 0; i < children.length; ++i) {
+      createElm(children[i], insertedVnodeQueue, target, vnode.anchor, nested, children, i)
+    }
+  }
+
   // 创建所有子节点，并将子节点插入父节点，形成一棵 DOM 树
   function createChildren(vnode, children, insertedVnodeQueue) {
     if (Array.isArray(children)) {
@@ -443,6 +582,14 @@ export function createPatchFunction(backend) {
     if (isDef(data)) {
       if (isDef(i = data.hook) && isDef(i = i.destroy)) i(vnode)
       for (i = 0; i < cbs.destroy.length; ++i) cbs.destroy[i](vnode)
+      if (isTrue(data.keepAlive) && isDef(i = vnode.componentInstance) && !i._isDestroyed) {
+        moveTeleports(vnode, nodeOps.createElement('div'))
+      }
+    }
+    // 传送门的内容不在祖先节点的 DOM 中：祖先节点被移除（或根实例销毁）时锚点仍在目标节点里，
+    // 需要在这里一并移除。直接移除传送门时 removeFragment 已经移除了锚点
+    if (isDef(vnode.teleport) && isDef(vnode.anchor) && isDef(nodeOps.parentNode(vnode.anchor))) {
+      removeFragment(vnode)
     }
     if (isDef(i = vnode.children)) {
       for (j = 0; j < vnode.children.length; ++j) {
@@ -456,7 +603,7 @@ export function createPatchFunction(backend) {
     for (; startIdx <= endIdx; ++startIdx) {
       const ch = vnodes[startIdx]
       if (isDef(ch)) {
-        if (isDef(ch.tag)) {
+        if (isDef(ch.tag) || isTrue(ch.isFragment) || isDef(ch.teleport)) {
           removeAndInvokeRemoveHook(ch)
           invokeDestroyHook(ch)
         } else { // Text node
@@ -467,7 +614,10 @@ export function createPatchFunction(backend) {
   }
 
   function removeAndInvokeRemoveHook(vnode, rm) {
-    if (isDef(rm) || isDef(vnode.data)) {
+    const root = resolveRoot(vnode)
+    if (isTrue(root.isFragment) || isDef(root.teleport)) {
+      removeFragment(root)
+    } else if (isDef(rm) || isDef(vnode.data)) {
       let i
       const listeners = cbs.remove.length + 1
       if (isDef(rm)) {
@@ -495,6 +645,21 @@ export function createPatchFunction(backend) {
     }
   }
 
+  // 移除片段或传送门：子节点各自执行 remove 钩子（例如离开过渡），锚点直接移除
+  function removeFragment(vnode) {
+    const children = vnode.children
+    for (let i = 0; i < children.length; ++i) {
+      const ch = children[i]
+      if (isDef(ch.tag) || isTrue(ch.isFragment) || isDef(ch.teleport)) {
+        removeAndInvokeRemoveHook(ch)
+      } else {
+        removeNode(ch.elm)
+      }
+    }
+    removeNode(vnode.elm)
+    removeNode(vnode.anchor)
+  }
+
   /*
    diff 过程:
      diff 优化：
@@ -512,7 +677,7 @@ export function createPatchFunction(backend) {
      如果老节点先于新节点遍历结束，则剩余的新节点执行新增节点操作
      如果新节点先于老节点遍历结束，则剩余的老节点执行删除操作，移除这些老节点
   */
-  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly) {
+  function updateChildren(parentElm, oldCh, newCh, insertedVnodeQueue, removeOnly, endElm) {
     // 老节点的开始索引
     let oldStartIdx = 0
     // 新节点的开始索引
@@ -565,14 +730,14 @@ export function createPatchFunction(backend) {
         // 老开始和新结束是同一个节点，执行 patch
         patchVnode(oldStartVnode, newEndVnode, insertedVnodeQueue, newCh, newEndIdx)
         // 处理被 transtion-group 包裹的组件时使用
-        canMove && nodeOps.insertBefore(parentElm, oldStartVnode.elm, nodeOps.nextSibling(oldEndVnode.elm))
+        canMove && insertVnode(parentElm, oldStartVnode, nodeOps.nextSibling(lastElm(oldEndVnode)))
         // patch 结束后老开始索引加 1，新结束索引减 1，开始下一个节点
         oldStartVnode = oldCh[++oldStartIdx]
         newEndVnode = newCh[--newEndIdx]
       } else if (sameVnode(oldEndVnode, newStartVnode)) { // Vnode moved left
         // 老结束和新开始是同一个节点，执行 patch
         patchVnode(oldEndVnode, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
-        canMove && nodeOps.insertBefore(parentElm, oldEndVnode.elm, oldStartVnode.elm)
+        canMove && insertVnode(parentElm, oldEndVnode, oldStartVnode.elm)
         // patch 结束后，老结束的索引减 1，新开始的索引加 1，开始下一个节点
         oldEndVnode = oldCh[--oldEndIdx]
         newStartVnode = newCh[++newStartIdx]
@@ -599,7 +764,7 @@ export function createPatchFunction(backend) {
             patchVnode(vnodeToMove, newStartVnode, insertedVnodeQueue, newCh, newStartIdx)
             // patch 结束后将该老节点置为 undefined
             oldCh[idxInOld] = undefined
-            canMove && nodeOps.insertBefore(parentElm, vnodeToMove.elm, oldStartVnode.elm)
+            canMove && insertVnode(parentElm, vnodeToMove, oldStartVnode.elm)
           } else {
             // same key but different element. treat as new element
             // 最后这种情况是，找到节点了，但是发现两个节点不是同一个节点，
@@ -615,7 +780,8 @@ export function createPatchFunction(backend) {
     // 走到这里，说明老节点或者新节点被遍历完了
     if (oldStartIdx > oldEndIdx) {
       // 老节点被遍历完了，新节点有剩余，则说明这部分剩余的节点是新增的节点，然后添加这些节点
-      refElm = isUndef(newCh[newEndIdx + 1]) ? null : newCh[newEndIdx + 1].elm
+      // 片段的子节点没有后续兄弟节点时，插入到结束锚点之前
+      refElm = isUndef(newCh[newEndIdx + 1]) ? endElm : newCh[newEndIdx + 1].elm
       addVnodes(parentElm, refElm, newCh, newStartIdx, newEndIdx, insertedVnodeQueue)
     } else if (newStartIdx > newEndIdx) {
       // 新节点被遍历完了，老节点有剩余，说明这部分的节点被删掉了，则移除这些节点
@@ -726,7 +892,55 @@ export function createPatchFunction(backend) {
       if (isDef(i = data.hook) && isDef(i = i.update)) i(oldVnode, vnode)
     }
 
-    if (isUndef(vnode.text)) {
+    if (isTrue(vnode.isFragment)) {
+      // 片段的子节点位于起止锚点之间，在锚点所在的父元素中执行 diff
+      const anchor = vnode.anchor = oldVnode.anchor
+      let container = oldVnode.container
+      if (vnode.offscreen !== oldVnode.offscreen) {
+        // 在离屏容器和锚点之间整体移动已渲染的子节点
+        if (isTrue(vnode.offscreen)) {
+          container = nodeOps.createElement('div', vnode)
+          for (i = 0; i < oldCh.length; ++i) {
+            insertVnode(container, oldCh[i], null)
+          }
+        } else {
+          for (i = 0; i < oldCh.length; ++i) {
+            insertVnode(nodeOps.parentNode(anchor), oldCh[i], anchor)
+          }
+          for (i = 0; i < oldCh.length; ++i) {
+            moveTeleports(oldCh[i], null)
+          }
+          releaseInsertHooks(activeInstance, insertedVnodeQueue)
+          container = undefined
+        }
+      }
+      vnode.container = container
+      if (oldCh !== ch) {
+        if (container) {
+          const offscreenQueue = []
+          updateChildren(container, oldCh, ch, offscreenQueue, removeOnly, null)
+          queueOffscreenInsert(offscreenQueue, insertedVnodeQueue)
+        } else {
+          updateChildren(nodeOps.parentNode(elm), oldCh, ch, insertedVnodeQueue, removeOnly, anchor)
+        }
+      }
+    } else if (isDef(vnode.teleport)) {
+      const anchor = vnode.anchor = oldVnode.anchor
+      const target = vnode.teleport.target
+      // keep-alive 失活期间内容暂存在游离的容器中，此时只在容器中更新，重新激活时再移到目标节点
+      let parent = nodeOps.parentNode(anchor)
+      if (target !== oldVnode.teleport.target && parent === oldVnode.teleport.target) {
+        // 目标节点改变时，将锚点和已渲染的子节点整体移动到新的目标节点中
+        nodeOps.appendChild(target, anchor)
+        for (i = 0; i < oldCh.length; ++i) {
+          insertVnode(target, oldCh[i], anchor)
+        }
+        parent = target
+      }
+      if (oldCh !== ch) {
+        updateChildren(parent, oldCh, ch, insertedVnodeQueue, removeOnly, anchor)
+      }
+    } else if (isUndef(vnode.text)) {
       // 新节点不是文本节点
       if (isDef(oldCh) && isDef(ch)) {
         // 如果新老节点都有孩子，则递归执行 diff 过程
@@ -759,7 +973,7 @@ export function createPatchFunction(backend) {
     // element is really inserted
     if (isTrue(initial) && isDef(vnode.parent)) {
       vnode.parent.data.pendingInsert = queue
-    } else {
+    } else if (!queue.length || !holdInsertHooks(activeInstance, queue)) {
       for (let i = 0; i < queue.length; ++i) {
         queue[i].data.hook.insert(queue[i])
       }
@@ -798,6 +1012,12 @@ export function createPatchFunction(backend) {
         return true
       }
     }
+    if (isTrue(vnode.isFragment)) {
+      return hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre)
+    }
+    if (isDef(vnode.teleport)) {
+      return hydrateTeleport(vnode, insertedVnodeQueue, inVPre)
+    }
     if (isDef(tag)) {
       if (isDef(children)) {
         // empty element, allow client to pick up and populate children
@@ -828,7 +1048,7 @@ export function createPatchFunction(backend) {
                 childrenMatch = false
                 break
               }
-              childNode = childNode.nextSibling
+              childNode = lastElm(children[i]).nextSibling
             }
             // if childNode is not null, it means the actual childNodes list is
             // longer than the virtual children list.
@@ -867,8 +1087,58 @@ export function createPatchFunction(backend) {
     return true
   }
 
+  // 服务端将片段渲染为 <!--[-->...<!--]-->，两个注释节点分别作为起止锚点
+  function hydrateFragment(elm, vnode, insertedVnodeQueue, inVPre) {
+    const children = vnode.children
+    let childNode = elm.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      childNode = lastElm(children[i]).nextSibling
+    }
+    if (!childNode || childNode.nodeType !== 8) {
+      return false
+    }
+    vnode.anchor = childNode
+    return true
+  }
+
+  // 服务端将传送门的内容以 <!--[-->...<!--]--> 的形式输出到目标节点中，
+  // 多个传送门指向同一目标时按渲染顺序依次认领
+  function hydrateTeleport(vnode, insertedVnodeQueue, inVPre) {
+    const target = vnode.teleport.target
+    let start = isDef(target._teleportAnchor)
+      ? target._teleportAnchor.nextSibling
+      : target.firstChild
+    while (start && !(start.nodeType === 8 && start.data === '[')) {
+      start = start.nextSibling
+    }
+    if (!start) {
+      // 目标节点中没有服务端渲染的内容，直接在客户端创建
+      createTeleportChildren(vnode, insertedVnodeQueue, false)
+      return true
+    }
+    const children = vnode.children
+    let childNode = start.nextSibling
+    for (let i = 0; i < children.length; i++) {
+      if (!childNode || !hydrate(childNode, children[i], insertedVnodeQueue, inVPre)) {
+        return false
+      }
+      childNode = lastElm(children[i]).nextSibling
+    }
+    if (!childNode || childNode.nodeType !== 8) {
+      return false
+    }
+    nodeOps.removeChild(target, start)
+    vnode.anchor = target._teleportAnchor = childNode
+    return true
+  }
+
   function assertNodeMatch(node, vnode, inVPre) {
-    if (isDef(vnode.tag)) {
+    if (isTrue(vnode.isFragment) || isDef(vnode.teleport)) {
+      return node.nodeType === 8
+    } else if (isDef(vnode.tag)) {
       return vnode.tag.indexOf('vue-component') === 0 || (
         !isUnknownElement(vnode, inVPre) &&
         vnode.tag.toLowerCase() === (node.tagName && node.tagName.toLowerCase())
@@ -878,6 +1148,42 @@ export function createPatchFunction(backend) {
     }
   }
 
+  function warnHydrationMismatch() {
+    warn(
+      'The client-side rendered virtual DOM tree is not matching ' +
+      'server-rendered content. This is likely caused by incorrect ' +
+      'HTML markup, for example nesting block-level elements inside ' +
+      '<p>, or missing <tbody>. Bailing hydration and performing ' +
+      'full client-side render.'
+    )
+  }
+
+  // 根节点为片段时服务端渲染的内容没有根元素，需要挂载到包含它的容器元素上，
+  // 内容以带有标记的 <!--[data-server-rendered--> 开头（忽略容器内开头的空白文本）
+  function findServerRenderedFragment(container) {
+    let node = container.firstChild
+    while (node && node.nodeType === 3 && !node.data.trim()) {
+      node = node.nextSibling
+    }
+    return node && node.nodeType === 8 && node.data === `[${SSR_ATTR}` ? node : null
+  }
+
+  function hydrateRootFragment(container, start, vnode, insertedVnodeQueue) {
+    start.data = '['
+    if (hydrate(start, vnode, insertedVnodeQueue)) {
+      invokeInsertHook(vnode, insertedVnodeQueue, true)
+      return start
+    }
+    if (process.env.NODE_ENV !== 'production') {
+      warnHydrationMismatch()
+    }
+    // 放弃激活：清空容器，在其中重新渲染
+    nodeOps.setTextContent(container, '')
+    createElm(vnode, insertedVnodeQueue, container, null)
+    invokeInsertHook(vnode, insertedVnodeQueue, false)
+    return vnode.elm
+  }
+
   /*
     vm.__patch__
       1、新节点不存在，老节点存在，调用 destroy，销毁老节点
@@ -928,6 +1234,12 @@ export function createPatchFunction(backend) {
             挂载到真实元素以及处理服务端渲染的情况
             oldVnode.nodeType === 1 代表的是 html 元素
           */
+          if (oldVnode.nodeType === 1 && isTrue(vnode.isFragment)) {
+            const start = findServerRenderedFragment(oldVnode)
+            if (start) {
+              return hydrateRootFragment(oldVnode, start, vnode, insertedVnodeQueue)
+            }
+          }
           if (oldVnode.nodeType === 1 && oldVnode.hasAttribute(SSR_ATTR)) {
             oldVnode.removeAttribute(SSR_ATTR)
             hydrating = true
@@ -937,13 +1249,7 @@ export function createPatchFunction(backend) {
               invokeInsertHook(vnode, insertedVnodeQueue, true)
               return oldVnode
             } else if (process.env.NODE_ENV !== 'production') {
-              warn(
-                'The client-side rendered virtual DOM tree is not matching ' +
-                'server-rendered content. This is likely caused by incorrect ' +
-                'HTML markup, for example nesting block-level elements inside ' +
-                '<p>, or missing <tbody>. Bailing hydration and performing ' +
-                'full client-side render.'
-              )
+              warnHydrationMismatch()
             }
           }
 
@@ -968,7 +1274,7 @@ export function createPatchFunction(backend) {
           // leaving transition. Only happens when combining transition +
           // keep-alive + HOCs. (#4590)
           oldElm._leaveCb ? null : parentElm,
-          nodeOps.nextSibling(oldElm)
+          nodeOps.nextSibling(lastElm(oldVnode))
         )
 
         // 递归更新父占位符节点元素
@@ -1005,7 +1311,7 @@ export function createPatchFunction(backend) {
         // 移除老节点
         if (isDef(parentElm)) {
           removeVnodes([oldVnode], 0, 0)
-        } else if (isDef(oldVnode.tag)) {
+        } else if (isDef(oldVnode.tag) || isTrue(oldVnode.isFragment) || isDef(oldVnode.teleport)) {
           invokeDestroyHook(oldVnode)
         }
       }
@@ -23,6 +23,11 @@ export default class VNode {
   asyncFactory: Function | void; // async component factory function
   asyncMeta: Object | void;
   isAsyncPlaceholder: boolean;
+  isFragment: boolean; // multiple root nodes rendered between two anchors
+  anchor: Node | void; // end anchor of a fragment or a teleport's content
+  teleport: { to: string | Node; target: ?Node } | void; // children are rendered into target
+  offscreen: boolean; // fragment children are kept in a detached container
+  container: Node | void; // the detached container of an offscreen fragment
   ssrContext: Object | void;
   fnContext: Component | void; // real context vm for functional nodes
   fnOptions: ?ComponentOptions; // for SSR caching
@@ -62,6 +67,11 @@ export default class VNode {
     this.asyncFactory = asyncFactory
     this.asyncMeta = undefined
     this.isAsyncPlaceholder = false
+    this.isFragment = false
+    this.anchor = undefined
+    this.teleport = undefined
+    this.offscreen = false
+    this.container = undefined
   }
 
   // DEPRECATED: alias for componentInstance for backwards compat.
@@ -78,6 +88,25 @@ export const createEmptyVNode = (text: string = '') => {
   return node
 }
 
+// 组件返回多个根节点时，用片段 vnode 包裹它们，
+// 挂载后 elm 指向起始锚点，anchor 指向结束锚点
+export function createFragmentVNode (children: Array<VNode>): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.isFragment = true
+  return node
+}
+
+// 传送门的子节点渲染到 target 中，原位置只保留一个注释节点
+export function createTeleportVNode (
+  children: Array<VNode>,
+  to: string | Node,
+  target: ?Node
+): VNode {
+  const node = new VNode(undefined, undefined, children)
+  node.teleport = { to, target }
+  return node
+}
+
 export function createTextVNode (val: string | number) {
   return new VNode(undefined, undefined, undefined, String(val))
 }
@@ -108,6 +137,9 @@ export function cloneVNode (vnode: VNode): VNode {
   cloned.fnOptions = vnode.fnOptions
   cloned.fnScopeId = vnode.fnScopeId
   cloned.asyncMeta = vnode.asyncMeta
+  cloned.isFragment = vnode.isFragment
+  cloned.teleport = vnode.teleport
+  cloned.offscreen = vnode.offscreen
   cloned.isCloned = true
   return cloned
 }
@@ -32,10 +32,18 @@ export default function model (
         el.rawAttrsMap['v-model']
       )
     }
+    // 带参数的 v-model 会被编译为 prop + update 事件，只对组件有意义
+    if (dir.arg && !el.component && config.isReservedTag(tag)) {
+      warn(
+        `<${el.tag} ${dir.rawName}="${value}">: ` +
+        `v-model arguments are only supported on components.`,
+        el.rawAttrsMap[dir.rawName]
+      )
+    }
   }
 
   if (el.component) {
-    genComponentModel(el, value, modifiers)
+    genComponentModel(el, value, modifiers, dir.arg, dir.isDynamicArg)
     // component v-model doesn't need extra runtime
     return false
   } else if (tag === 'select') {
@@ -47,7 +55,7 @@ export default function model (
   } else if (tag === 'input' || tag === 'textarea') {
     genDefaultModel(el, value, modifiers)
   } else if (!config.isReservedTag(tag)) {
-    genComponentModel(el, value, modifiers)
+    genComponentModel(el, value, modifiers, dir.arg, dir.isDynamicArg)
     // component v-model doesn't need extra runtime
     return false
   } else if (process.env.NODE_ENV !== 'production') {
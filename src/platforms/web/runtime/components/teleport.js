@@ -0,0 +1,51 @@
+/* @flow */
+
+// Renders its children into another DOM node, e.g. modals or tooltips that
+// must escape an `overflow: hidden` container. Only the DOM is moved: the
+// children stay in the logical component tree, so context, events, $parent,
+// provide/inject and devtools behave as if they were rendered in place.
+// During SSR the content is collected into `context.teleports[to]` so that
+// the template can place it.
+
+import { warn, inBrowser } from 'core/util/index'
+import { createEmptyVNode, createTeleportVNode } from 'core/vdom/vnode'
+
+function resolveTarget (to: any, vm: Component): ?Node {
+  const target = typeof to === 'string' ? document.querySelector(to) : to
+  if (target && target.nodeType) {
+    return target
+  }
+  if (process.env.NODE_ENV !== 'production') {
+    warn(`Failed to locate teleport target "${String(to)}".`, vm)
+  }
+  return null
+}
+
+export default {
+  name: 'teleport',
+  abstract: true,
+
+  props: {
+    to: {
+      required: true
+    },
+    disabled: Boolean
+  },
+
+  render () {
+    const children = this.$slots.default || []
+    // 禁用时在原位置渲染子节点
+    if (this.disabled) {
+      return children
+    }
+    const to = this.to
+    // 服务端没有真实的目标节点，内容由服务端渲染器单独输出
+    if (!inBrowser) {
+      return createTeleportVNode(children, to, null)
+    }
+    const target = resolveTarget(to, this)
+    return target
+      ? createTeleportVNode(children, to, target)
+      : createEmptyVNode()
+  }
+}
@@ -2,8 +2,9 @@
 
 import Vue from 'core/index'
 import config from 'core/config'
-import { extend, noop } from 'shared/util'
+import { noop } from 'shared/util'
 import { mountComponent } from 'core/instance/lifecycle'
+import { installBuiltIns } from 'core/global-api/app'
 import { devtools, inBrowser } from 'core/util/index'
 
 import {
@@ -27,8 +28,8 @@ Vue.config.getTagNamespace = getTagNamespace
 Vue.config.isUnknownElement = isUnknownElement
 
 // install platform runtime directives & components
-extend(Vue.options.directives, platformDirectives)
-extend(Vue.options.components, platformComponents)
+installBuiltIns(Vue, 'directives', platformDirectives)
+installBuiltIns(Vue, 'components', platformComponents)
 
 // install platform patch function
 Vue.prototype.__patch__ = inBrowser ? patch : noop
@@ -3,6 +3,7 @@
 import Vue from 'core/index'
 import { patch } from 'weex/runtime/patch'
 import { mountComponent } from 'core/instance/lifecycle'
+import { installBuiltIns } from 'core/global-api/app'
 import platformDirectives from 'weex/runtime/directives/index'
 import platformComponents from 'weex/runtime/components/index'
 
@@ -21,8 +22,8 @@ Vue.config.isRuntimeComponent = isRuntimeComponent
 Vue.config.isUnknownElement = isUnknownElement
 
 // install platform runtime directives and components
-Vue.options.directives = platformDirectives
-Vue.options.components = platformComponents
+installBuiltIns(Vue, 'directives', platformDirectives)
+installBuiltIns(Vue, 'components', platformComponents)
 
 // install platform patch function
 Vue.prototype.__patch__ = patch
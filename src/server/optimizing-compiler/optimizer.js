@@ -26,7 +26,31 @@ let isPlatformReservedTag
 export function optimize (root: ?ASTElement, options: CompilerOptions) {
   if (!root) return
   isPlatformReservedTag = options.isReservedTag || no
-  walk(root, true)
+  walkRoot(root)
+}
+
+// a <template> root (including the fragment wrapping multiple root elements)
+// may render multiple root vnodes. Each of them must stay a VNode instead of
+// being merged into a single string node, so that the fragment is preserved.
+function walkRoot (root: ASTElement) {
+  if (root.tag !== 'template') {
+    walk(root, true)
+    return
+  }
+  root.ssrOptimizability = optimizability.PARTIAL
+  for (let i = 0, l = root.children.length; i < l; i++) {
+    const child = root.children[i]
+    if (child.type === 1) {
+      walkRoot(child)
+    } else {
+      walk(child, true)
+    }
+  }
+  if (root.ifConditions) {
+    for (let i = 1, l = root.ifConditions.length; i < l; i++) {
+      walkRoot(root.ifConditions[i].block)
+    }
+  }
 }
 
 function walk (node: ASTNode, isRoot?: boolean) {
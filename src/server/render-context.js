@@ -16,12 +16,28 @@ type RenderState = {
 } | {
   type: 'Component';
   prevActive: Component;
+} | {
+  type: 'ErrorBoundary';
+  boundary: Component;
+  node: VNode;
+  isRoot: boolean;
+  prevActive: Component;
+  cacheLengths: ?Array<number>;
+  teleports: { [to: string]: string };
+} | {
+  type: 'Teleport';
+  to: string;
+  rendered: number;
+  total: number;
+  children: Array<VNode>;
+  cacheLengths: ?Array<number>;
 } | {
   type: 'ComponentWithCache';
   buffer: Array<string>;
   bufferIndex: number;
   componentBuffer: Array<Set<Class<Component>>>;
   key: string;
+  teleports: { [to: string]: string };
 };
 
 export class RenderContext {
@@ -93,10 +109,11 @@ export class RenderContext {
           break
         case 'ComponentWithCache':
           this.renderStates.pop()
-          const { buffer, bufferIndex, componentBuffer, key } = lastState
+          const { buffer, bufferIndex, componentBuffer, key, teleports: cachedTeleports } = lastState
           const result = {
             html: buffer[bufferIndex],
-            components: componentBuffer[bufferIndex]
+            components: componentBuffer[bufferIndex],
+            teleports: cachedTeleports
           }
           this.cache.set(key, result)
           if (bufferIndex === 0) {
@@ -113,11 +130,75 @@ export class RenderContext {
           buffer.length = bufferIndex
           componentBuffer.length = bufferIndex
           break
+        case 'Teleport':
+          if (lastState.rendered < lastState.total) {
+            return this.renderNode(lastState.children[lastState.rendered++], false, this)
+          }
+          this.renderStates.pop()
+          const teleportWrite: any = this.write
+          const content = teleportWrite.buffers.pop()
+          // 传送的内容不属于所在组件的缓存结果
+          truncateCacheBuffers(teleportWrite, lastState.cacheLengths)
+          collectTeleport(this, lastState.to, `<!--[-->${content}<!--]-->`)
+          break
+        case 'ErrorBoundary':
+          this.renderStates.pop()
+          const write: any = this.write
+          const html = write.buffers.pop()
+          const { boundary, cacheLengths, teleports } = lastState
+          if (!boundary.captured) {
+            for (const to in teleports) {
+              collectTeleport(this, to, teleports[to])
+            }
+            return write.flushBuffer(html, this.next)
+          }
+          // 子树渲染出错：丢弃缓冲的内容（包括已记录到组件缓存中的部分和子树中传送的内容），改为渲染 fallback
+          truncateCacheBuffers(write, cacheLengths)
+          const fallback = boundary._render()
+          fallback.parent = lastState.node
+          this.activeInstance = boundary
+          this.renderStates.push({
+            type: 'Component',
+            prevActive: lastState.prevActive
+          })
+          return this.renderNode(fallback, lastState.isRoot, this)
       }
     }
   }
 }
 
+// 传送的内容先交给最近的错误边界暂存，错误边界正常完成后才向外提交，最终收集到 context.teleports[to] 中。
+// 传送的内容不在组件缓存的 html 中，因此同时记录到途经的组件缓存结果里，缓存命中时重新收集
+export function collectTeleport (context: RenderContext, to: string, html: string) {
+  const states = context.renderStates
+  let teleports: any
+  for (let i = states.length - 1; i >= 0; i--) {
+    const state = states[i]
+    if (state.type === 'ComponentWithCache') {
+      state.teleports[to] = (state.teleports[to] || '') + html
+    } else if (state.type === 'ErrorBoundary') {
+      teleports = state.teleports
+      break
+    }
+  }
+  if (!teleports) {
+    const userContext: any = context.userContext
+    if (!userContext) {
+      return
+    }
+    teleports = userContext.teleports || (userContext.teleports = {})
+  }
+  teleports[to] = (teleports[to] || '') + html
+}
+
+function truncateCacheBuffers (write: any, cacheLengths: ?Array<number>) {
+  if (cacheLengths) {
+    for (let i = 0; i < cacheLengths.length && i < write.cacheBuffer.length; i++) {
+      write.cacheBuffer[i] = write.cacheBuffer[i].slice(0, cacheLengths[i])
+    }
+  }
+}
+
 function normalizeAsync (cache, method) {
   const fn = cache[method]
   if (isUndef(fn)) {
@@ -2,9 +2,10 @@
 
 import { escape } from 'web/server/util'
 import { SSR_ATTR } from 'shared/constants'
-import { RenderContext } from './render-context'
+import { RenderContext, collectTeleport } from './render-context'
 import { resolveAsset } from 'core/util/options'
 import { generateComponentTrace } from 'core/util/debug'
+import { handleError } from 'core/util/error'
 import { ssrCompileToFunctions } from 'web/server/compiler'
 import { installSSRHelpers } from './optimizing-compiler/runtime-helpers'
 
@@ -78,6 +79,10 @@ function renderNode (node, isRoot, context) {
     renderComponent(node, isRoot, context)
   } else if (isDef(node.tag)) {
     renderElement(node, isRoot, context)
+  } else if (isTrue(node.isFragment)) {
+    renderFragment(node, isRoot, context)
+  } else if (isDef(node.teleport)) {
+    renderTeleport(node, context)
   } else if (isTrue(node.isComment)) {
     if (isDef(node.asyncFactory)) {
       // async component
@@ -104,7 +109,7 @@ function registerComponentForCache (options, write) {
 }
 
 function renderComponent (node, isRoot, context) {
-  const { write, next, userContext } = context
+  const write = context.write
 
   // check cache hit
   const Ctor = node.componentOptions.Ctor
@@ -125,11 +130,7 @@ function renderComponent (node, isRoot, context) {
       has(key, hit => {
         if (hit === true && isDef(get)) {
           get(key, res => {
-            if (isDef(registerComponent)) {
-              registerComponent(userContext)
-            }
-            res.components.forEach(register => register(userContext))
-            write(res.html, next)
+            renderCachedComponent(res, registerComponent, context)
           })
         } else {
           renderComponentWithCache(node, isRoot, key, context)
@@ -138,11 +139,7 @@ function renderComponent (node, isRoot, context) {
     } else if (isDef(get)) {
       get(key, res => {
         if (isDef(res)) {
-          if (isDef(registerComponent)) {
-            registerComponent(userContext)
-          }
-          res.components.forEach(register => register(userContext))
-          write(res.html, next)
+          renderCachedComponent(res, registerComponent, context)
         } else {
           renderComponentWithCache(node, isRoot, key, context)
         }
@@ -167,6 +164,22 @@ function renderComponent (node, isRoot, context) {
   }
 }
 
+function renderCachedComponent (res, registerComponent, context) {
+  const { write, next, userContext } = context
+  if (isDef(registerComponent)) {
+    registerComponent(userContext)
+  }
+  res.components.forEach(register => register(userContext))
+  // 缓存的 html 不包含传送的内容，需要重新收集
+  const teleports = res.teleports
+  if (isDef(teleports)) {
+    for (const to in teleports) {
+      collectTeleport(context, to, teleports[to])
+    }
+  }
+  write(res.html, next)
+}
+
 function renderComponentWithCache (node, isRoot, key, context) {
   const write = context.write
   write.caching = true
@@ -179,7 +192,8 @@ function renderComponentWithCache (node, isRoot, key, context) {
     key,
     buffer,
     bufferIndex,
-    componentBuffer
+    componentBuffer,
+    teleports: {}
   })
   renderComponentInner(node, isRoot, context)
 }
@@ -197,6 +211,9 @@ function renderComponentInner (node, isRoot, context) {
   const resolve = () => {
     const childNode = child._render()
     childNode.parent = node
+    if (child.$options._errorBoundary && !child.captured) {
+      renderErrorBoundary(child, node, isRoot, prevActive, context)
+    }
     context.renderStates.push({
       type: 'Component',
       prevActive
@@ -204,9 +221,46 @@ function renderComponentInner (node, isRoot, context) {
     renderNode(childNode, isRoot, context)
   }
 
-  const reject = context.done
+  // 错误边界内的 serverPrefetch 出错时交给错误边界处理，而不是中止整个渲染
+  const reject = err => {
+    if (hasErrorBoundary(child)) {
+      handleError(err, child, 'serverPrefetch hook')
+      resolve()
+    } else {
+      context.done(err)
+    }
+  }
 
-  waitForServerPrefetch(child, resolve, reject)
+  // async setup() 完成后再执行 serverPrefetch 并渲染
+  if (isDef(child._setupPromise)) {
+    child._setupPromise.then(() => waitForServerPrefetch(child, resolve, reject))
+  } else {
+    waitForServerPrefetch(child, resolve, reject)
+  }
+}
+
+function renderErrorBoundary (boundary, node, isRoot, prevActive, context) {
+  const write = context.write
+  write.buffers.push('')
+  context.renderStates.push({
+    type: 'ErrorBoundary',
+    boundary,
+    node,
+    isRoot,
+    prevActive,
+    cacheLengths: write.caching ? write.cacheBuffer.map(html => html.length) : null,
+    teleports: {}
+  })
+}
+
+function hasErrorBoundary (vm: Component): boolean {
+  let cur: any = vm
+  while ((cur = cur.$parent)) {
+    if (cur.$options._errorBoundary) {
+      return true
+    }
+  }
+  return false
 }
 
 function renderAsyncComponent (node, isRoot, context) {
@@ -323,6 +377,39 @@ function renderElement (el, isRoot, context) {
   }
 }
 
+// 片段的子节点渲染在 <!--[--> 和 <!--]--> 之间，客户端激活时将它们作为起止锚点。
+// 根节点为片段时没有元素可以携带 data-server-rendered 属性，改为在起始注释中标记
+function renderFragment (node, isRoot, context) {
+  const children: Array<VNode> = node.children
+  context.renderStates.push({
+    type: 'Element',
+    children,
+    rendered: 0,
+    total: children.length,
+    endTag: '<!--]-->'
+  })
+  context.write(isTrue(isRoot) ? `<!--[${SSR_ATTR}-->` : '<!--[-->', context.next)
+}
+
+// 传送门在原位置只输出一个注释节点，子节点写入单独的缓冲区，
+// 完成后收集到 context.teleports[to] 中，由模板决定放置的位置
+function renderTeleport (node, context) {
+  const { write, next } = context
+  const children: Array<VNode> = node.children
+  write('<!--teleport-->', () => {
+    write.buffers.push('')
+    context.renderStates.push({
+      type: 'Teleport',
+      to: String(node.teleport.to),
+      children,
+      rendered: 0,
+      total: children.length,
+      cacheLengths: write.caching ? write.cacheBuffer.map(html => html.length) : null
+    })
+    next()
+  })
+}
+
 function hasAncestorData (node: VNode) {
   const parentNode = node.parent
   return isDef(parentNode) && (isDef(parentNode.data) || hasAncestorData(parentNode))
@@ -85,7 +85,7 @@ export default class TemplateRenderer {
 
   bindRenderFns (context: Object) {
     const renderer: any = this
-    ;['ResourceHints', 'State', 'Scripts', 'Styles'].forEach(type => {
+    ;['ResourceHints', 'State', 'Scripts', 'Styles', 'Teleports'].forEach(type => {
       context[`render${type}`] = renderer[`render${type}`].bind(renderer, context)
     })
     // also expose getPreloadFiles, useful for HTTP/2 push
@@ -220,6 +220,17 @@ export default class TemplateRenderer {
       : ''
   }
 
+  // content of <teleport> components, collected during rendering. Pass the
+  // `to` value of the teleports to only render the content for that target.
+  // when streaming, this is only available after the app content, e.g. in
+  // the part of the template following the outlet.
+  renderTeleports (context: Object, to?: string): string {
+    const teleports = context.teleports || {}
+    return to != null
+      ? teleports[to] || ''
+      : Object.keys(teleports).map(key => teleports[key]).join('')
+  }
+
   renderScripts (context: Object): string {
     if (this.clientManifest) {
       const initial = this.preloadFiles.filter(({ file }) => isJS(file))
@@ -24,11 +24,16 @@ export function createWriteFunction (
   onError: Function
 ): Function {
   let stackDepth = 0
-  const cachedWrite = (text, next) => {
-    if (text && cachedWrite.caching) {
-      cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
+  // 错误边界和传送门的内容先写入缓冲区：错误边界的子树出错时可以丢弃并改为渲染 fallback，
+  // 传送门的内容则不写入原位置，而是单独输出
+  const output = (text, next) => {
+    const buffers = cachedWrite.buffers
+    let waitForNext = false
+    if (buffers.length) {
+      buffers[buffers.length - 1] += text
+    } else {
+      waitForNext = write(text, next)
     }
-    const waitForNext = write(text, next)
     if (waitForNext !== true) {
       if (stackDepth >= MAX_STACK_DEPTH) {
         defer(() => {
@@ -43,8 +48,17 @@ export function createWriteFunction (
       }
     }
   }
+  const cachedWrite = (text, next) => {
+    if (text && cachedWrite.caching) {
+      cachedWrite.cacheBuffer[cachedWrite.cacheBuffer.length - 1] += text
+    }
+    output(text, next)
+  }
   cachedWrite.caching = false
   cachedWrite.cacheBuffer = []
   cachedWrite.componentBuffer = []
+  cachedWrite.buffers = []
+  // 输出错误边界缓冲的内容，这些内容在写入缓冲区时已经记录到组件缓存中
+  cachedWrite.flushBuffer = output
   return cachedWrite
 }
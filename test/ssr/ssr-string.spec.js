@@ -1196,11 +1196,129 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('fragment components', done => {
+    renderVmWithOptions({
+      template: '<ul><items :list="list"></items><li>end</li></ul>',
+      data: { list: ['a', 'b'] },
+      components: {
+        items: {
+          props: ['list'],
+          template: '<li>first</li><li v-for="item in list">{{ item }}</li>'
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<ul data-server-rendered="true"><!--[--><li>first</li><li>a</li><li>b</li><!--]--><li>end</li></ul>'
+      )
+      done()
+    })
+  })
+
+  it('root fragment', done => {
+    renderToString(new Vue({
+      template: '<p>{{ msg }}</p><span>bar</span>',
+      data: { msg: 'foo' }
+    }), (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toBe('<!--[data-server-rendered--><p>foo</p><span>bar</span><!--]-->')
+      done()
+    })
+  })
+
+  it('teleport', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <teleport to="#modals"><div class="modal">{{ msg }}</div></teleport>
+          <teleport to="#modals"><child></child></teleport>
+          <teleport to="#other" disabled><b>in place</b></teleport>
+        </div>
+      `,
+      data: { msg: 'hello' },
+      components: {
+        child: { template: '<p>child</p>' }
+      }
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toBe(
+        '<div data-server-rendered="true"><!--teleport--> <!--teleport--> <b>in place</b></div>'
+      )
+      expect(context.teleports).toEqual({
+        '#modals': '<!--[--><div class="modal">hello</div><!--]--><!--[--><p>child</p><!--]-->'
+      })
+      done()
+    })
+  })
+
+  it('teleport in cached components', done => {
+    const cache = {}
+    const { renderToString } = createRenderer({
+      cache: {
+        get: (key, cb) => cb(cache[key]),
+        set: (key, val) => { cache[key] = val }
+      }
+    })
+    const Modal = {
+      name: 'modal',
+      props: ['id'],
+      serverCacheKey: props => props.id,
+      template: '<div><teleport to="#modals"><p>modal {{ id }}</p></teleport>content</div>'
+    }
+    const render = cb => {
+      const context = {}
+      renderToString(new Vue({
+        template: '<main><modal :id="1"></modal></main>',
+        components: { Modal }
+      }), context, (err, result) => {
+        expect(err).toBeNull()
+        expect(result).toBe('<main data-server-rendered="true"><div><!--teleport-->content</div></main>')
+        expect(context.teleports).toEqual({
+          '#modals': '<!--[--><p>modal 1</p><!--]-->'
+        })
+        cb()
+      })
+    }
+    render(() => {
+      expect(cache['modal::1'].html).toBe('<div><!--teleport-->content</div>')
+      // cache hit
+      render(done)
+    })
+  })
+
+  it('suspense', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <suspense>
+            <async></async>
+            <data-view></data-view>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        async: () => Promise.resolve({ template: '<span>async</span>' }),
+        dataView: {
+          template: '<p>{{ msg }}</p>',
+          setup () {
+            return new Promise(resolve => setTimeout(() => resolve({ msg: 'setup' })))
+          }
+        }
+      }
+    }, result => {
+      expect(result).toBe(
+        '<div data-server-rendered="true"><!--[--><!--[--><span>async</span> <p>setup</p><!--]--><!--]--></div>'
+      )
+      done()
+    })
+  })
+
   it('should catch template compilation error', done => {
     renderToString(new Vue({
-      template: `<div></div><div></div>`
+      template: `<div>{{ a b }}</div>`
     }), (err) => {
-      expect(err.toString()).toContain('Component template should contain exactly one root element')
+      expect(err.toString()).toContain('invalid expression')
       done()
     })
   })
@@ -1489,6 +1607,148 @@ describe('SSR: renderToString', () => {
     })
   })
 
+  it('should await async computed properties', done => {
+    renderVmWithOptions({
+      template: `<div>{{ msg }} {{ $asyncComputed.msg.pending }}</div>`,
+      data: {
+        name: 'vue'
+      },
+      computed: {
+        msg: {
+          async: true,
+          get () {
+            return new Promise(resolve => {
+              setTimeout(() => resolve(`hello ${this.name}`), 1)
+            })
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">hello vue false</div>')
+      done()
+    })
+  })
+
+  it('should render setup() bindings and await onServerPrefetch', done => {
+    renderVmWithOptions({
+      template: `<div>{{ msg }} <child n="2"></child></div>`,
+      setup () {
+        const msg = Vue.ref('')
+        Vue.onServerPrefetch(() => new Promise(resolve => {
+          setTimeout(() => {
+            msg.value = 'hello'
+            resolve()
+          }, 1)
+        }))
+        return { msg }
+      },
+      components: {
+        child: Vue.extend({
+          props: ['n'],
+          setup (props) {
+            return h => h('span', props.n * 2)
+          }
+        })
+      }
+    }, result => {
+      expect(result).toContain('<div data-server-rendered="true">hello <span>4</span></div>')
+      done()
+    })
+  })
+
+  it('should render the error-boundary fallback when its subtree fails', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <div><span>before</span><broken></broken></div>
+            <template #fallback="{ error, info }"><p>{{ error.message }} ({{ info }})</p></template>
+          </error-boundary>
+          <error-boundary><span>ok</span></error-boundary>
+        </div>
+      `,
+      components: {
+        broken: {
+          render () {
+            throw new Error('oops')
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><p>oops (render)</p> <span>ok</span></div>'
+      )
+      done()
+    })
+  })
+
+  it('should drop teleported content of a failed error-boundary subtree', done => {
+    const context = {}
+    renderToString(new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <div>
+              <teleport to="#modals"><p>failed</p></teleport>
+              <broken></broken>
+            </div>
+            <template #fallback><teleport to="#modals"><p>fallback</p></teleport></template>
+          </error-boundary>
+          <error-boundary>
+            <div>
+              <teleport to="#modals"><p>ok</p></teleport>
+              <error-boundary>
+                <div><teleport to="#modals"><p>nested</p></teleport><broken></broken></div>
+              </error-boundary>
+            </div>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        broken: {
+          render () {
+            throw new Error('oops')
+          }
+        }
+      }
+    }), context, (err, result) => {
+      expect(err).toBeNull()
+      expect(result).toBe(
+        '<div data-server-rendered="true"><!--teleport--> <div><!--teleport--> <!----></div></div>'
+      )
+      expect(context.teleports).toEqual({
+        '#modals': '<!--[--><p>fallback</p><!--]--><!--[--><p>ok</p><!--]-->'
+      })
+      done()
+    })
+  })
+
+  it('should render the error-boundary fallback when serverPrefetch fails', done => {
+    renderVmWithOptions({
+      template: `
+        <div>
+          <error-boundary>
+            <child></child>
+            <template #fallback="{ error, info }"><p>{{ error.message }} ({{ info }})</p></template>
+          </error-boundary>
+        </div>
+      `,
+      components: {
+        child: {
+          template: '<span>child</span>',
+          serverPrefetch () {
+            return Promise.reject(new Error('fetch failed'))
+          }
+        }
+      }
+    }, result => {
+      expect(result).toContain(
+        '<div data-server-rendered="true"><p>fetch failed (serverPrefetch hook)</p></div>'
+      )
+      done()
+    })
+  })
+
   it('should merge serverPrefetch option', done => {
     const mixin = {
       data: {
@@ -67,6 +67,23 @@ describe('SSR: template option', () => {
     })
   })
 
+  it('renderToString with teleports', done => {
+    const renderer = createRenderer({
+      template: `<html><head></head><body><!--vue-ssr-outlet-->{{{ renderTeleports('#modals') }}}</body></html>`
+    })
+
+    renderer.renderToString(new Vue({
+      template: '<div><teleport to="#modals"><p>modal</p></teleport></div>'
+    }), {}, (err, res) => {
+      expect(err).toBeNull()
+      expect(res).toContain(
+        `<body><div data-server-rendered="true"><!--teleport--></div>` +
+        `<!--[--><p>modal</p><!--]--></body>`
+      )
+      done()
+    })
+  })
+
   it('renderToString with interpolation', done => {
     const renderer = createRenderer({
       template: interpolateTemplate
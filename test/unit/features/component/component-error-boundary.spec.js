@@ -0,0 +1,151 @@
+import Vue from 'vue'
+
+describe('Component error-boundary', () => {
+  const fallback = `<template #fallback="{ error, info, reset }"><p @click="reset">{{ error.message }} ({{ info }})</p></template>`
+
+  function mountBoundary (child) {
+    const onError = jasmine.createSpy('error')
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary @error="onError">
+            <child :msg="msg"></child>
+            ${fallback}
+          </error-boundary>
+        </div>
+      `,
+      data: { msg: 'ok' },
+      methods: { onError },
+      components: { child }
+    }).$mount()
+    return { vm, onError }
+  }
+
+  it('should render the default slot', () => {
+    const { vm } = mountBoundary({
+      props: ['msg'],
+      template: '<span>{{ msg }}</span>'
+    })
+    expect(vm.$el.innerHTML).toBe('<span>ok</span>')
+  })
+
+  it('should render the fallback on render errors and reset', done => {
+    const { vm, onError } = mountBoundary({
+      props: ['msg'],
+      render (h) {
+        if (this.msg === 'bad') throw new Error('broken')
+        return h('span', this.msg)
+      }
+    })
+    vm.msg = 'bad'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>broken (render)</p>')
+      expect(onError).toHaveBeenCalled()
+      expect(onError.calls.argsFor(0)[2]).toBe('render')
+      vm.msg = 'fixed'
+    }).then(() => {
+      // still showing the fallback until reset
+      expect(vm.$el.innerHTML).toBe('<p>broken (render)</p>')
+      vm.$el.querySelector('p').click()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>fixed</span>')
+    }).then(done)
+  })
+
+  it('should catch errors from lifecycle hooks', done => {
+    const { vm } = mountBoundary({
+      template: '<span>child</span>',
+      mounted () {
+        throw new Error('mounted failed')
+      }
+    })
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>mounted failed (mounted hook)</p>')
+    }).then(done)
+  })
+
+  it('should catch errors from watchers', done => {
+    const { vm } = mountBoundary({
+      props: ['msg'],
+      template: '<span>{{ msg }}</span>',
+      watch: {
+        msg () {
+          throw new Error('watch failed')
+        }
+      }
+    })
+    vm.msg = 'changed'
+    waitForUpdate(() => {
+      // the boundary re-renders in the next flush
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<p>watch failed (callback for watcher "msg")</p>')
+    }).then(done)
+  })
+
+  it('should catch errors from async event handlers', done => {
+    const { vm } = mountBoundary({
+      template: '<span @click="load">child</span>',
+      methods: {
+        load () {
+          return Promise.reject(new Error('load failed'))
+        }
+      }
+    })
+    vm.$el.querySelector('span').click()
+    setTimeout(() => {
+      waitForUpdate(() => {
+        expect(vm.$el.innerHTML).toBe('<p>load failed (v-on handler (Promise/async))</p>')
+      }).then(done)
+    })
+  })
+
+  it('should not propagate captured errors', done => {
+    const spy = jasmine.createSpy('errorCaptured')
+    const vm = new Vue({
+      template: `
+        <div>
+          <error-boundary>
+            <child></child>
+          </error-boundary>
+        </div>
+      `,
+      errorCaptured: spy,
+      components: {
+        child: {
+          render () {
+            throw new Error('oops')
+          }
+        }
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      // renders nothing without a fallback slot
+      expect(vm.$el.innerHTML).toBe('<!---->')
+    }).then(done)
+  })
+
+  it('should catch errors thrown by its own scoped slot', () => {
+    const vm = new Vue({
+      template: `
+        <error-boundary>
+          <template #default><span>{{ foo.bar }}</span></template>
+          ${fallback}
+        </error-boundary>
+      `,
+      data: { foo: null }
+    }).$mount()
+    expect(vm.$el.textContent).toContain('(render)')
+  })
+
+  it('should wrap multiple children with the tag prop', () => {
+    const vm = new Vue({
+      template: `<error-boundary tag="ul"><li>a</li><li>b</li></error-boundary>`
+    }).$mount()
+    expect(vm.$el.outerHTML).toBe('<ul><li>a</li><li>b</li></ul>')
+    new Vue({
+      template: `<div><error-boundary><i>a</i><i>b</i></error-boundary></div>`
+    }).$mount()
+    expect('<error-boundary> can only be used on a single element.').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,206 @@
+import Vue from 'vue'
+
+describe('Component fragment', () => {
+  it('should render multiple root nodes', () => {
+    const vm = new Vue({
+      template: '<ul><item></item></ul>',
+      components: {
+        item: {
+          template: '<li>a</li><li>b</li>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<li>a</li><li>b</li>')
+    // $el points at the start anchor
+    const child = vm.$children[0]
+    expect(child.$el.nodeType).toBe(3)
+    expect(child.$el.nextSibling.outerHTML).toBe('<li>a</li>')
+  })
+
+  it('should support multiple root nodes from render functions', () => {
+    const vm = new Vue({
+      template: '<div><test></test></div>',
+      components: {
+        test: {
+          render: h => [h('span', 'a'), 'b', h('i', 'c')]
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span>b<i>c</i>')
+    expect('Multiple root nodes returned from render function').not.toHaveBeenWarned()
+  })
+
+  it('should support v-for and <template> as root', done => {
+    const vm = new Vue({
+      template: '<ul><list :items="items"></list><li>end</li></ul>',
+      data: { items: ['a', 'b'] },
+      components: {
+        list: {
+          props: ['items'],
+          template: '<li v-for="item in items" :key="item">{{ item }}</li>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<li>a</li><li>b</li><li>end</li>')
+    vm.items.push('c')
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<li>a</li><li>b</li><li>c</li><li>end</li>')
+      vm.items.reverse()
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<li>c</li><li>b</li><li>a</li><li>end</li>')
+      vm.items = ['x']
+    }).then(() => {
+      // a single root node is no longer a fragment
+      expect(vm.$el.innerHTML).toBe('<li>x</li><li>end</li>')
+      vm.items = ['y', 'z']
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<li>y</li><li>z</li><li>end</li>')
+    }).then(done)
+  })
+
+  it('should patch children between the anchors', done => {
+    const vm = new Vue({
+      template: '<div><span>before</span><test :ok="ok"></test><span>after</span></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          props: ['ok'],
+          template: '<b v-if="ok">yes</b><i>middle</i><b v-if="!ok">no</b>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>before</span><b>yes</b><i>middle</i><!----><span>after</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>before</span><!----><i>middle</i><b>no</b><span>after</span>')
+    }).then(done)
+  })
+
+  it('should move and remove fragments as a whole', done => {
+    const vm = new Vue({
+      template: '<div><pair v-for="n in list" :key="n" :n="n"></pair></div>',
+      data: { list: [1, 2, 3] },
+      components: {
+        pair: {
+          props: ['n'],
+          template: '<i>{{ n }}</i><b>{{ n }}</b>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('112233')
+    vm.list = [3, 1, 2]
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('331122')
+      vm.list = [2, 3]
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>2</i><b>2</b><i>3</i><b>3</b>')
+      vm.list = []
+    }).then(() => {
+      expect(vm.$el.childNodes.length).toBe(0)
+    }).then(done)
+  })
+
+  it('should switch between a single root and a fragment', done => {
+    const vm = new Vue({
+      template: '<div><test :multiple="multiple"></test><p>end</p></div>',
+      data: { multiple: false },
+      components: {
+        test: {
+          props: ['multiple'],
+          render (h) {
+            return this.multiple ? [h('a'), h('b')] : h('span')
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span></span><p>end</p>')
+    vm.multiple = true
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<a></a><b></b><p>end</p>')
+      vm.multiple = false
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span></span><p>end</p>')
+    }).then(done)
+  })
+
+  it('should call lifecycle hooks and destroy children', done => {
+    const mounted = jasmine.createSpy('mounted')
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: '<div><test v-if="ok" ref="test"></test></div>',
+      data: { ok: true },
+      components: {
+        test: {
+          template: '<span>a</span><child></child>',
+          mounted,
+          components: {
+            child: {
+              template: '<i>b</i>',
+              destroyed
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(mounted).toHaveBeenCalled()
+    expect(vm.$refs.test).toBeTruthy()
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should warn about attributes that cannot be inherited', () => {
+    new Vue({
+      template: '<div><test id="foo" class="bar" title="baz"></test></div>',
+      components: {
+        test: {
+          template: '<span v-bind="$attrs"></span><span></span>'
+        }
+      }
+    }).$mount()
+    expect(
+      'Extraneous non-prop attributes (class) were passed to component'
+    ).toHaveBeenWarned()
+  })
+
+  it('should not apply attributes to any root node', () => {
+    const vm = new Vue({
+      template: '<div><test id="foo" data-test="bar"></test></div>',
+      components: {
+        test: {
+          inheritAttrs: false,
+          template: '<span :id="$attrs.id"></span><span></span>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span id="foo"></span><span></span>')
+    expect('Extraneous non-prop attributes').not.toHaveBeenWarned()
+  })
+
+  it('should apply transitions to each root element', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <transition name="test">
+            <test v-if="ok"></test>
+          </transition>
+        </div>
+      `,
+      data: { ok: false },
+      components: {
+        test: {
+          template: '<span>a</span><span>b</span>'
+        }
+      }
+    }).$mount(document.createElement('div'))
+    vm.ok = true
+    waitForUpdate(() => {
+      const spans = vm.$el.querySelectorAll('span')
+      expect(spans.length).toBe(2)
+      expect(spans[0].className).toContain('test-enter')
+      expect(spans[1].className).toContain('test-enter')
+    }).then(done)
+  })
+})
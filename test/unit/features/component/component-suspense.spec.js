@@ -0,0 +1,375 @@
+import Vue from 'vue'
+
+describe('Component suspense', () => {
+  function defer () {
+    let resolve, reject
+    const promise = new Promise((res, rej) => {
+      resolve = res
+      reject = rej
+    })
+    return { promise, resolve, reject }
+  }
+
+  // 等待 promise 回调以及随后的重新渲染完成
+  function flush () {
+    return new Promise(resolve => setTimeout(resolve))
+  }
+
+  it('should render the fallback until async components resolve', done => {
+    const load = defer()
+    const onPending = jasmine.createSpy('pending')
+    const onFallback = jasmine.createSpy('fallback')
+    const onResolve = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @pending="onPending" @fallback="onFallback" @resolve="onResolve">
+            <async></async>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      methods: { onPending, onFallback, onResolve },
+      components: {
+        async: () => load.promise
+      }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+    expect(onPending).toHaveBeenCalled()
+    expect(onFallback).toHaveBeenCalled()
+    expect(onResolve).not.toHaveBeenCalled()
+    load.resolve({ template: '<span>loaded</span>' })
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loaded</span>')
+      expect(onResolve).toHaveBeenCalledTimes(1)
+    }).then(done)
+  })
+
+  it('should swap in all content at once', done => {
+    const a = defer()
+    const b = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <sync></sync><foo></foo><bar></bar>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        sync: { template: '<i>sync</i>' },
+        foo: () => a.promise,
+        bar: () => b.promise
+      }
+    }).$mount()
+    // the synchronous part is rendered but kept offscreen
+    expect(vm.$el.textContent).toBe('loading')
+    a.resolve({ template: '<b>a</b>' })
+    flush().then(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      b.resolve({ template: '<b>b</b>' })
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>sync</i><b>a</b><b>b</b>')
+    }).then(done)
+  })
+
+  it('should run mounted hooks and teleport content once the content is in the document', done => {
+    const load = defer()
+    const connected = []
+    const target = document.createElement('div')
+    const el = document.createElement('div')
+    document.body.appendChild(target)
+    document.body.appendChild(el)
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <sync></sync>
+            <wrapper></wrapper>
+            <teleport :to="target"><p>modal</p></teleport>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { target },
+      components: {
+        sync: {
+          template: '<i>sync</i>',
+          mounted () {
+            connected.push(['sync', document.body.contains(this.$el)])
+          }
+        },
+        wrapper: {
+          template: '<div><async></async></div>',
+          components: {
+            async: () => load.promise
+          }
+        }
+      }
+    }).$mount(el)
+    expect(connected).toEqual([])
+    expect(target.innerHTML).toBe('')
+    load.resolve({
+      template: '<b>async</b>',
+      mounted () {
+        connected.push(['async', document.body.contains(this.$el)])
+      }
+    })
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<i>sync</i> <div><b>async</b></div> <!--teleport-->')
+      expect(target.innerHTML).toBe('<p>modal</p>')
+      expect(connected).toEqual([['sync', true], ['async', true]])
+      vm.$destroy()
+      document.body.removeChild(vm.$el)
+      document.body.removeChild(target)
+    }).then(done)
+  })
+
+  it('should wait for nested async components and async setup', done => {
+    const inner = defer()
+    const setup = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <outer></outer>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        outer: {
+          template: '<div><inner></inner><data-view></data-view></div>',
+          components: {
+            inner: () => inner.promise,
+            dataView: {
+              template: '<p>{{ msg }}</p>',
+              setup () {
+                return setup.promise.then(msg => ({ msg }))
+              }
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    inner.resolve({ template: '<span>inner</span>' })
+    flush().then(() => {
+      expect(vm.$el.textContent).toBe('loading')
+      setup.resolve('hello')
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<div><span>inner</span><p>hello</p></div>')
+    }).then(done)
+  })
+
+  it('should call and wait for serverPrefetch on the client', done => {
+    const fetched = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child></child>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        child: {
+          data: () => ({ msg: null }),
+          template: '<span>{{ msg }}</span>',
+          serverPrefetch () {
+            return fetched.promise.then(msg => {
+              this.msg = msg
+            })
+          }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('loading')
+    fetched.resolve('fetched')
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>fetched</span>')
+    }).then(done)
+  })
+
+  it('should delay the fallback with timeout', done => {
+    const load = defer()
+    const onFallback = jasmine.createSpy('fallback')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense timeout="20" @fallback="onFallback">
+            <async></async>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      methods: { onFallback },
+      components: {
+        async: () => load.promise
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('')
+    expect(onFallback).not.toHaveBeenCalled()
+    new Promise(resolve => setTimeout(resolve, 30)).then(() => {
+      expect(onFallback).toHaveBeenCalled()
+      expect(vm.$el.innerHTML).toBe('<p>loading</p>')
+      load.resolve({ template: '<span>loaded</span>' })
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loaded</span>')
+    }).then(done)
+  })
+
+  it('should not show the fallback when resolved before the timeout', done => {
+    const onFallback = jasmine.createSpy('fallback')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense timeout="20" @fallback="onFallback">
+            <async></async>
+            <template #fallback><p>loading</p></template>
+          </suspense>
+        </div>
+      `,
+      methods: { onFallback },
+      components: {
+        async: () => Promise.resolve({ template: '<span>loaded</span>' })
+      }
+    }).$mount()
+    flush().then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loaded</span>')
+    }).then(() => new Promise(resolve => setTimeout(resolve, 30))).then(() => {
+      expect(onFallback).not.toHaveBeenCalled()
+      expect(vm.$el.innerHTML).toBe('<span>loaded</span>')
+    }).then(done)
+  })
+
+  it('should resolve immediately without async dependencies', done => {
+    const onResolve = jasmine.createSpy('resolve')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense @resolve="onResolve">
+            <span>{{ msg }}</span>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { msg: 'a' },
+      methods: { onResolve }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>a</span>')
+      expect(onResolve).toHaveBeenCalled()
+      vm.msg = 'b'
+    }).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>b</span>')
+    }).then(done)
+  })
+
+  it('should not go back to pending for async components added later', done => {
+    const load = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <async v-if="ok"></async>
+            <template #fallback>loading</template>
+          </suspense>
+        </div>
+      `,
+      data: { ok: false },
+      components: {
+        async: () => load.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('')
+      vm.ok = true
+    }).then(() => {
+      // the async placeholder is rendered in place instead of the fallback
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      load.resolve({ template: '<span>loaded</span>' })
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<span>loaded</span>')
+    }).then(done)
+  })
+
+  it('should wait for nested suspense boundaries', done => {
+    const load = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <b>outer</b>
+            <suspense>
+              <async></async>
+              <template #fallback>inner loading</template>
+            </suspense>
+            <template #fallback>outer loading</template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        async: () => load.promise
+      }
+    }).$mount()
+    flush().then(() => {
+      expect(vm.$el.textContent).toBe('outer loading')
+      load.resolve({ template: '<span>loaded</span>' })
+    }).then(flush).then(() => {
+      expect(vm.$el.innerHTML).toBe('<b>outer</b> <span>loaded</span>')
+    }).then(done)
+  })
+
+  it('should not wait for async components in the fallback', done => {
+    const load = defer()
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <span>content</span>
+            <template #fallback><async></async></template>
+          </suspense>
+        </div>
+      `,
+      components: {
+        async: () => load.promise
+      }
+    }).$mount()
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<span>content</span>')
+    }).then(done)
+  })
+
+  it('should handle errors from async setup', done => {
+    const spy = jasmine.createSpy('errorCaptured')
+    const vm = new Vue({
+      template: `
+        <div>
+          <suspense>
+            <child></child>
+            <span>ok</span>
+          </suspense>
+        </div>
+      `,
+      errorCaptured (err, vm, info) {
+        spy(err.message, info)
+        return false
+      },
+      components: {
+        child: {
+          template: '<p>child</p>',
+          setup () {
+            return Promise.reject(new Error('setup failed'))
+          }
+        }
+      }
+    }).$mount()
+    flush().then(() => {
+      expect(spy).toHaveBeenCalledWith('setup failed', 'setup()')
+      expect(vm.$el.innerHTML).toBe('<!----> <span>ok</span>')
+    }).then(done)
+  })
+})
@@ -0,0 +1,233 @@
+import Vue from 'vue'
+
+describe('Component teleport', () => {
+  let target
+
+  beforeEach(() => {
+    target = document.createElement('div')
+    target.id = 'teleport-target'
+    document.body.appendChild(target)
+  })
+
+  afterEach(() => {
+    document.body.removeChild(target)
+  })
+
+  it('should render children into the target', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><span>{{ msg }}</span></teleport>
+          <p>in place</p>
+        </div>
+      `,
+      data: { msg: 'foo' }
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<!--teleport--> <p>in place</p>')
+    expect(target.innerHTML).toBe('<span>foo</span>')
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<span>bar</span>')
+    }).then(done)
+  })
+
+  it('should keep the logical component tree', () => {
+    const onClose = jasmine.createSpy('close')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target">
+            <modal @close="onClose"></modal>
+          </teleport>
+        </div>
+      `,
+      provide: { theme: 'dark' },
+      methods: { onClose },
+      components: {
+        modal: {
+          inject: ['theme'],
+          template: '<div class="modal">{{ theme }}</div>',
+          mounted () {
+            this.$emit('close', 1)
+          }
+        }
+      }
+    }).$mount()
+    const modal = vm.$children[0]
+    expect(modal.$parent).toBe(vm)
+    expect(target.innerHTML).toBe('<div class="modal">dark</div>')
+    expect(onClose).toHaveBeenCalledWith(1)
+  })
+
+  it('should append after existing content and keep order between teleports', done => {
+    target.innerHTML = '<i>existing</i>'
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><a v-if="ok">a</a></teleport>
+          <teleport to="#teleport-target"><b>b</b></teleport>
+        </div>
+      `,
+      data: { ok: false }
+    }).$mount()
+    expect(target.innerHTML).toBe('<i>existing</i><b>b</b>')
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<i>existing</i><a>a</a><b>b</b>')
+    }).then(done)
+  })
+
+  it('should remove teleported content and destroy children', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport v-if="ok" to="#teleport-target"><child></child></teleport>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        child: {
+          template: '<span>child</span>',
+          destroyed
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<span>child</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.childNodes.length).toBe(0)
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should remove teleported content when an ancestor is removed', done => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const vm = new Vue({
+      template: `
+        <div>
+          <section v-if="ok">
+            <wrapper></wrapper>
+          </section>
+        </div>
+      `,
+      data: { ok: true },
+      components: {
+        wrapper: {
+          template: `
+            <div>
+              <teleport to="#teleport-target"><child></child></teleport>
+            </div>
+          `,
+          components: {
+            child: {
+              template: '<span>child</span>',
+              destroyed
+            }
+          }
+        }
+      }
+    }).$mount()
+    expect(target.innerHTML).toBe('<span>child</span>')
+    vm.ok = false
+    waitForUpdate(() => {
+      expect(target.childNodes.length).toBe(0)
+      expect(vm.$el.innerHTML).toBe('<!---->')
+      expect(destroyed).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should remove teleported content when the root instance is destroyed', () => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport to="#teleport-target"><span>foo</span></teleport>
+        </div>
+      `
+    }).$mount()
+    expect(target.innerHTML).toBe('<span>foo</span>')
+    vm.$destroy()
+    expect(target.childNodes.length).toBe(0)
+  })
+
+  it('should hide teleported content of deactivated keep-alive children', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <keep-alive><component :is="view" :msg="msg"></component></keep-alive>
+        </div>
+      `,
+      data: { view: 'modal', msg: 'foo' },
+      components: {
+        modal: {
+          props: ['msg'],
+          template: `
+            <div>
+              <teleport to="#teleport-target"><span>{{ msg }}</span></teleport>
+            </div>
+          `
+        },
+        other: { props: ['msg'], template: '<p>other</p>' }
+      }
+    }).$mount()
+    const modal = vm.$children[0]
+    expect(target.innerHTML).toBe('<span>foo</span>')
+    vm.view = 'other'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<p>other</p>')
+      expect(target.childNodes.length).toBe(0)
+      vm.view = 'modal'
+      vm.msg = 'bar'
+    }).then(() => {
+      expect(vm.$children[0]).toBe(modal)
+      expect(target.innerHTML).toBe('<span>bar</span>')
+      vm.view = 'other'
+    }).then(() => {
+      expect(target.childNodes.length).toBe(0)
+      vm.$destroy()
+    }).then(done)
+  })
+
+  it('should move content when the target changes', done => {
+    const other = document.createElement('div')
+    const vm = new Vue({
+      template: `
+        <div>
+          <teleport :to="to"><child></child></teleport>
+        </div>
+      `,
+      data: { to: '#teleport-target' },
+      components: {
+        child: { template: '<span>child</span>' }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(target.innerHTML).toBe('<span>child</span>')
+    vm.to = other
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('')
+      expect(other.innerHTML).toBe('<span>child</span>')
+      // the child instance is preserved
+      expect(vm.$children[0]).toBe(child)
+    }).then(done)
+  })
+
+  it('should render in place when disabled', () => {
+    const vm = new Vue({
+      template: `
+        <div><teleport to="#teleport-target" disabled><span>a</span><span>b</span></teleport></div>
+      `
+    }).$mount()
+    expect(vm.$el.innerHTML).toBe('<span>a</span><span>b</span>')
+    expect(target.innerHTML).toBe('')
+  })
+
+  it('should warn when the target cannot be found', () => {
+    const vm = new Vue({
+      template: `<div><teleport to="#not-found"><span>a</span></teleport></div>`
+    }).$mount()
+    expect('Failed to locate teleport target "#not-found".').toHaveBeenWarned()
+    expect(vm.$el.innerHTML).toBe('<!---->')
+  })
+})
@@ -230,4 +230,109 @@ describe('Directive v-model component', () => {
 
     expect(vm.$el.innerHTML).toBe('<div>foo</div>');
   })
+  describe('with argument', () => {
+    const RangeInput = {
+      props: ['start', 'end', 'startModifiers'],
+      template: '<span>{{ start }}-{{ end }}</span>'
+    }
+
+    it('should bind multiple named models', done => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model:start="a" v-model:end="b"></range-input></div>`,
+        data: { a: 1, b: 2 },
+        components: { RangeInput }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('1-2')
+      vm.$refs.range.$emit('update:start', 3)
+      vm.$refs.range.$emit('update:end', 4)
+      expect(vm.a).toBe(3)
+      expect(vm.b).toBe(4)
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('3-4')
+      }).then(done)
+    })
+
+    it('should work together with the default model and nested paths', () => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model="value" v-model:start-date="range.start"></range-input></div>`,
+        data: { value: 'foo', range: { start: 1 }},
+        components: {
+          RangeInput: {
+            props: ['value', 'startDate'],
+            template: '<span>{{ value }}|{{ startDate }}</span>'
+          }
+        }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('foo|1')
+      vm.$refs.range.$emit('input', 'bar')
+      vm.$refs.range.$emit('update:startDate', 2)
+      expect(vm.value).toBe('bar')
+      expect(vm.range.start).toBe(2)
+      vm.$refs.range.$emit('update:start-date', 3)
+      expect(vm.range.start).toBe(3)
+    })
+
+    it('should apply modifiers and pass them to the child', () => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model:start.trim="a" v-model:end.number="b"></range-input></div>`,
+        data: { a: 'foo', b: 1 },
+        components: { RangeInput }
+      }).$mount()
+      const range = vm.$refs.range
+      expect(range.startModifiers).toEqual({ trim: true })
+      range.$emit('update:start', '  bar  ')
+      range.$emit('update:end', '12')
+      expect(vm.a).toBe('bar')
+      expect(vm.b).toBe(12)
+    })
+
+    it('should support dynamic arguments', () => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model:[field]="a"></range-input></div>`,
+        data: { a: 1, field: 'end' },
+        components: { RangeInput }
+      }).$mount()
+      expect(vm.$el.textContent).toBe('-1')
+      vm.$refs.range.$emit('update:end', 2)
+      expect(vm.a).toBe(2)
+    })
+
+    it('should not render undeclared modifiers as attributes', () => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model:end.trim="a"></range-input></div>`,
+        data: { a: 'foo' },
+        components: { RangeInput }
+      }).$mount()
+      const range = vm.$refs.range
+      expect(range.$el.hasAttribute('endmodifiers')).toBe(false)
+      expect(range.$attrs).toEqual({})
+    })
+
+    it('should apply modifiers with dynamic arguments', done => {
+      const vm = new Vue({
+        template: `<div><range-input ref="range" v-model:[field].trim="a"></range-input></div>`,
+        data: { a: 'foo', field: 'start' },
+        components: { RangeInput }
+      }).$mount()
+      const range = vm.$refs.range
+      expect(range.startModifiers).toEqual({ trim: true })
+      range.$emit('update:start', '  bar  ')
+      expect(vm.a).toBe('bar')
+      vm.field = 'end'
+      waitForUpdate(() => {
+        expect(range.startModifiers).toBeUndefined()
+        expect(range.$el.hasAttribute('endmodifiers')).toBe(false)
+        range.$emit('update:end', '  baz  ')
+        expect(vm.a).toBe('baz')
+      }).then(done)
+    })
+
+    it('should warn on native elements', () => {
+      new Vue({
+        template: `<div><input v-model:value="a"></div>`,
+        data: { a: 1 }
+      }).$mount()
+      expect('v-model arguments are only supported on components.').toHaveBeenWarned()
+    })
+  })
 })
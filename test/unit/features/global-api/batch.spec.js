@@ -0,0 +1,211 @@
+import Vue from 'vue'
+
+describe('Global API: batch', () => {
+  it('should notify each subscriber once with the final state', () => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => state.a + state.b, spy, { sync: true })
+    const result = Vue.batch(() => {
+      state.a = 2
+      state.b = 2
+      state.a = 3
+      expect(spy).not.toHaveBeenCalled()
+      return 'done'
+    })
+    expect(result).toBe('done')
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith(5, 2)
+  })
+
+  it('should keep computed values fresh inside the batch', () => {
+    const state = Vue.observable({ count: 1 })
+    const double = Vue.computed(() => state.count * 2)
+    expect(double.value).toBe(2)
+    Vue.batch(() => {
+      state.count++
+      expect(double.value).toBe(4)
+    })
+  })
+
+  it('should give consistent state with config.async = false', () => {
+    Vue.config.async = false
+    const renders = []
+    const vm = new Vue({
+      data: { first: 'a', last: 'b' },
+      render (h) {
+        renders.push(`${this.first} ${this.last}`)
+        return h('div', renders[renders.length - 1])
+      }
+    }).$mount()
+    Vue.batch(() => {
+      vm.first = 'c'
+      vm.last = 'd'
+    })
+    expect(renders).toEqual(['a b', 'c d'])
+    expect(vm.$el.textContent).toBe('c d')
+    Vue.config.async = true
+  })
+
+  it('should roll back writes when the function throws', () => {
+    const state = Vue.observable({
+      msg: 'foo',
+      nested: { a: 1 },
+      list: [1, 2],
+      map: new Map([['a', 1]]),
+      set: new Set([1])
+    })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => state.msg, spy, { sync: true })
+    const err = new Error('fail')
+    expect(() => {
+      Vue.batch(() => {
+        state.msg = 'bar'
+        state.nested = { b: 2 }
+        Vue.set(state, 'added', true)
+        Vue.delete(state, 'msg')
+        state.list.push(3)
+        state.list.reverse()
+        state.map.set('b', 2)
+        state.map.delete('a')
+        state.set.clear()
+        throw err
+      })
+    }).toThrow(err)
+    expect(state.msg).toBe('foo')
+    expect(state.nested).toEqual({ a: 1 })
+    expect('added' in state).toBe(false)
+    expect(state.list).toEqual([1, 2])
+    expect(Array.from(state.map)).toEqual([['a', 1]])
+    expect(Array.from(state.set)).toEqual([1])
+    expect(spy).not.toHaveBeenCalled()
+    // the restored key is still reactive after a rollback
+    state.msg = 'baz'
+    expect(spy).toHaveBeenCalledWith('baz', 'foo')
+  })
+
+  it('should only roll back the failing nested batch', () => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spy = jasmine.createSpy('watch')
+    Vue.watch(() => `${state.a}|${state.b}`, spy, { sync: true })
+    Vue.batch(() => {
+      state.a = 2
+      try {
+        Vue.batch(() => {
+          state.b = 2
+          throw new Error('inner')
+        })
+      } catch (e) {}
+      expect(state.b).toBe(1)
+    })
+    expect(state.a).toBe(2)
+    expect(spy.calls.count()).toBe(1)
+    expect(spy).toHaveBeenCalledWith('2|1', '1|1')
+  })
+
+  it('should roll back writes in proxy mode', () => {
+    Vue.config.reactivity = 'proxy'
+    const state = Vue.observable({ a: 1, list: [1] })
+    expect(() => {
+      Vue.batch(() => {
+        state.a = 2
+        state.b = 3
+        state.list[3] = 4
+        delete state.a
+        throw new Error('fail')
+      })
+    }).toThrow()
+    expect(state.a).toBe(1)
+    expect('b' in state).toBe(false)
+    expect(state.list).toEqual([1])
+    Vue.config.reactivity = 'defineProperty'
+  })
+
+  describe('batchAsync', () => {
+    it('should defer notifications until the promise resolves', done => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.count, spy, { sync: true })
+      Vue.batchAsync(() => {
+        state.count++
+        return Promise.resolve().then(() => {
+          state.count++
+          expect(spy).not.toHaveBeenCalled()
+          return state.count
+        })
+      }).then(res => {
+        expect(res).toBe(2)
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith(2, 0)
+      }).then(done)
+    })
+
+    it('should notify without rolling back when the promise rejects', done => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.count, spy, { sync: true })
+      const err = new Error('fail')
+      Vue.batchAsync(() => {
+        state.count = 10
+        return Promise.reject(err)
+      }).catch(e => {
+        expect(e).toBe(err)
+        expect(state.count).toBe(10)
+        expect(spy).toHaveBeenCalledWith(10, 0)
+      }).then(done)
+    })
+
+    it('should keep writes made by other code while the promise is pending', done => {
+      const state = Vue.observable({ a: 0, b: 0 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => `${state.a}|${state.b}`, spy, { sync: true })
+      let rejectFirst
+      const first = Vue.batchAsync(() => {
+        state.a = 1
+        return new Promise((resolve, reject) => { rejectFirst = reject })
+      })
+      // e.g. a v-model update in another component while the action is pending
+      state.b = 1
+      Vue.batch(() => {
+        state.b = 2
+      })
+      expect(() => {
+        Vue.batch(() => {
+          state.b = 3
+          throw new Error('inner')
+        })
+      }).toThrow()
+      expect(state.b).toBe(2)
+      rejectFirst(new Error('fail'))
+      first.catch(() => {
+        expect(state.a).toBe(1)
+        expect(state.b).toBe(2)
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith('1|2', '0|0')
+      }).then(done)
+    })
+
+    it('should allow overlapping async batches', done => {
+      const state = Vue.observable({ a: 0, b: 0 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.a + state.b, spy, { sync: true })
+      let resolveFirst
+      const first = Vue.batchAsync(() => {
+        state.a = 1
+        return new Promise(resolve => { resolveFirst = resolve })
+      })
+      const second = Vue.batchAsync(() => {
+        state.b = 1
+        return Promise.resolve()
+      })
+      second.then(() => {
+        // the first batch is still pending
+        expect(spy).not.toHaveBeenCalled()
+        resolveFirst()
+        return first
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith(2, 0)
+      }).then(done)
+    })
+  })
+})
@@ -0,0 +1,218 @@
+import Vue from 'vue'
+
+describe('Global API: createApp', () => {
+  it('should mount the root component', done => {
+    const vm = Vue.createApp({
+      template: '<div>{{ msg }}</div>',
+      data: () => ({ msg: 'hello' })
+    }).mount()
+    expect(vm.$el.outerHTML).toBe('<div>hello</div>')
+    vm.msg = 'world'
+    waitForUpdate(() => {
+      expect(vm.$el.outerHTML).toBe('<div>world</div>')
+    }).then(done)
+  })
+
+  it('should resolve assets against the app only', () => {
+    const app1 = Vue.createApp({ template: '<div><foo></foo><bar></bar></div>' })
+    const app2 = Vue.createApp({ template: '<div><foo></foo></div>' })
+    app1
+      .component('foo', { template: '<span>app1 foo</span>' })
+      .component('bar', { template: '<i><foo></foo></i>' })
+      .filter('upper', v => v.toUpperCase())
+    app2.component('foo', { template: '<span>{{ "app2 foo" | upper }}</span>' })
+    app2.filter('upper', v => v.toUpperCase() + '!')
+
+    expect(app1.mount().$el.innerHTML).toBe('<span>app1 foo</span><i><span>app1 foo</span></i>')
+    expect(app2.mount().$el.innerHTML).toBe('<span>APP2 FOO!</span>')
+    expect(app1.component('foo')).toBeTruthy()
+    expect(Vue.options.components.foo).toBeUndefined()
+    expect(Vue.options.filters.upper).toBeUndefined()
+  })
+
+  it('should not inherit global assets and mixins', () => {
+    const created = jasmine.createSpy('created')
+    Vue.component('global-comp', { template: '<span>global</span>' })
+    Vue.mixin({ created })
+    const vm = Vue.createApp({
+      template: '<div><global-comp></global-comp></div>'
+    }).mount()
+    expect('Unknown custom element: <global-comp>').toHaveBeenWarned()
+    expect(created).not.toHaveBeenCalled()
+    expect(vm.$el.innerHTML).toBe('<global-comp></global-comp>')
+    delete Vue.options.components['global-comp']
+    Vue.options.created = Vue.options.created.filter(hook => hook !== created)
+  })
+
+  it('should keep built-in components and directives', done => {
+    const vm = Vue.createApp({
+      template: '<div><keep-alive><span v-show="ok">a</span></keep-alive><input v-model="msg"></div>',
+      data: () => ({ ok: false, msg: 'foo' })
+    }).mount()
+    expect(vm.$el.querySelector('span').style.display).toBe('none')
+    expect(vm.$el.querySelector('input').value).toBe('foo')
+    vm.ok = true
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('span').style.display).toBe('')
+    }).then(done)
+  })
+
+  it('should apply app mixins', () => {
+    const created = jasmine.createSpy('created')
+    const app = Vue.createApp({
+      template: '<div><child></child></div>'
+    })
+    app.mixin({ created })
+    app.component('child', { template: '<span></span>' })
+    app.mount()
+    // root and child
+    expect(created).toHaveBeenCalledTimes(2)
+    Vue.createApp({ template: '<div></div>' }).mount()
+    expect(created).toHaveBeenCalledTimes(2)
+  })
+
+  it('should label app mixins in option conflicts', () => {
+    const spy = jasmine.createSpy('onOptionConflict')
+    const app = Vue.createApp({})
+    Vue.config.onOptionConflict = spy
+    try {
+      app.mixin({ methods: { foo () {} }})
+      app.mixin({ methods: { foo () {} }})
+    } finally {
+      Vue.config.onOptionConflict = null
+    }
+    expect(spy).toHaveBeenCalledWith({
+      type: 'methods',
+      key: 'foo',
+      sources: ['app mixin', 'app mixin'],
+      winner: 'app mixin'
+    }, undefined)
+  })
+
+  it('should install plugins on the app', () => {
+    const install = jasmine.createSpy('install').and.callFake((app, options) => {
+      app.directive('focus', {})
+      app.config.globalProperties.$greet = () => options.greeting
+    })
+    const plugin = { install }
+    const app = Vue.createApp({
+      template: '<div>{{ $greet() }}</div>'
+    })
+    app.use(plugin, { greeting: 'hi' }).use(plugin)
+    expect(install).toHaveBeenCalledTimes(1)
+    expect(install.calls.argsFor(0)[0]).toBe(app)
+    expect(app.directive('focus')).toBeTruthy()
+    expect(Vue.options.directives.focus).toBeUndefined()
+    expect(app.mount().$el.textContent).toBe('hi')
+    expect(Vue.prototype.$greet).toBeUndefined()
+  })
+
+  it('should provide values to all components', () => {
+    const key = typeof Symbol !== 'undefined' ? Symbol('theme') : 'theme'
+    const app = Vue.createApp({
+      provide: { color: 'red' },
+      template: '<div><child></child></div>'
+    })
+    app.provide(key, 'dark').provide('color', 'blue')
+    app.component('child', {
+      inject: { theme: { from: key }, color: 'color' },
+      template: '<span>{{ theme }} {{ color }}</span>'
+    })
+    // components in the tree take precedence over the app
+    expect(app.mount().$el.innerHTML).toBe('<span>dark red</span>')
+    app.provide('color', 'green')
+    expect('App already provides property with key "color"').toHaveBeenWarned()
+  })
+
+  it('should use the app config', () => {
+    const errorHandler = jasmine.createSpy('errorHandler')
+    const warnHandler = jasmine.createSpy('warnHandler')
+    const app = Vue.createApp({
+      template: '<div><child></child><p>{{ missing }}</p></div>'
+    })
+    app.config.errorHandler = errorHandler
+    app.config.warnHandler = warnHandler
+    app.component('child', {
+      render () {
+        throw new Error('oops')
+      }
+    })
+    const vm = app.mount()
+    expect(errorHandler).toHaveBeenCalled()
+    expect(errorHandler.calls.argsFor(0)[0].message).toBe('oops')
+    expect(errorHandler.calls.argsFor(0)[1]).toBe(vm.$children[0])
+    expect(warnHandler).toHaveBeenCalled()
+    expect(warnHandler.calls.argsFor(0)[0]).toContain('Property or method "missing" is not defined')
+    expect(warnHandler.calls.argsFor(0)[1]).toBe(vm)
+  })
+
+  it('should share the other config keys with Vue.config', () => {
+    const app = Vue.createApp({ template: '<div></div>' })
+    expect(Object.keys(app.config).sort()).toEqual([
+      'devtools', 'errorHandler', 'frameBudget', 'globalProperties', 'ignoredElements',
+      'keyCodes', 'maxUpdateCount', 'onInfiniteLoop', 'onOptionConflict',
+      'optionMergeStrategies', 'performance', 'productionTip', 'reactivity',
+      'silent', 'timeSlicing', 'warnHandler'
+    ])
+    expect(app.config.keyCodes).not.toBe(Vue.config.keyCodes)
+    expect(app.config.maxUpdateCount).toBe(Vue.config.maxUpdateCount)
+    app.config.timeSlicing = true
+    expect('app.config.timeSlicing is shared by all apps').toHaveBeenWarned()
+    expect(app.config.timeSlicing).toBe(false)
+    expect(Vue.config.timeSlicing).toBe(false)
+  })
+
+  it('should resolve keyCodes, ignoredElements and merge strategies per app', () => {
+    const spy = jasmine.createSpy('keyup')
+    const app = Vue.createApp({
+      template: '<div><x-app-only></x-app-only><input @keyup.app-key="onKey"></div>',
+      methods: { onKey: spy },
+      custom: 'root'
+    })
+    app.config.keyCodes.appKey = 100
+    app.config.ignoredElements.push('x-app-only')
+    app.config.optionMergeStrategies.custom = (parent, child) => {
+      return parent && child ? `${parent}+${child}` : child || parent
+    }
+    app.mixin({ custom: 'mixin' })
+    const vm = app.mount()
+    expect('Unknown custom element: <x-app-only>').not.toHaveBeenWarned()
+    expect(vm.$options.custom).toBe('mixin+root')
+    triggerEvent(vm.$el.querySelector('input'), 'keyup', e => {
+      e.keyCode = 100
+    })
+    expect(spy).toHaveBeenCalled()
+
+    // the global Vue is not affected
+    const globalVm = new Vue({
+      template: '<div><x-app-only></x-app-only></div>',
+      mixins: [{ custom: 'mixin' }],
+      custom: 'root'
+    }).$mount()
+    expect('Unknown custom element: <x-app-only>').toHaveBeenWarned()
+    expect(globalVm.$options.custom).toBe('root')
+    expect(Vue.config.keyCodes.appKey).toBeUndefined()
+  })
+
+  it('should chain globalProperties to Vue.prototype', () => {
+    Vue.prototype.$globalHelper = () => 'global'
+    const app = Vue.createApp({
+      template: '<div>{{ $globalHelper() }} {{ $appHelper() }}</div>'
+    })
+    app.config.globalProperties.$appHelper = () => 'app'
+    expect(app.config.globalProperties.$globalHelper).toBe(Vue.prototype.$globalHelper)
+    expect(app.mount().$el.textContent).toBe('global app')
+    expect(Vue.prototype.$appHelper).toBeUndefined()
+    delete Vue.prototype.$globalHelper
+  })
+
+  it('should mount only once and unmount', () => {
+    const destroyed = jasmine.createSpy('destroyed')
+    const app = Vue.createApp({ template: '<div></div>', destroyed })
+    const vm = app.mount()
+    expect(app.mount()).toBe(vm)
+    expect('App has already been mounted').toHaveBeenWarned()
+    app.unmount()
+    expect(destroyed).toHaveBeenCalled()
+  })
+})
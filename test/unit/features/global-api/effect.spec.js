@@ -0,0 +1,228 @@
+import Vue from 'vue'
+
+describe('Global API: effect / computed / watch', () => {
+  describe('Vue.effect', () => {
+    it('runs immediately and re-runs synchronously', () => {
+      const state = Vue.observable({ count: 0 })
+      let dummy
+      const runner = Vue.effect(() => {
+        dummy = state.count
+        return dummy
+      })
+      expect(dummy).toBe(0)
+      state.count++
+      expect(dummy).toBe(1)
+      expect(runner()).toBe(1)
+      runner.stop()
+      state.count++
+      expect(dummy).toBe(1)
+    })
+
+    it('lazy', () => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('effect').and.callFake(() => state.count)
+      const runner = Vue.effect(spy, { lazy: true })
+      expect(spy).not.toHaveBeenCalled()
+      expect(runner()).toBe(0)
+      expect(spy.calls.count()).toBe(1)
+      state.count++
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('scheduler', () => {
+      const state = Vue.observable({ count: 0 })
+      let dummy
+      let run
+      const scheduler = jasmine.createSpy('scheduler').and.callFake(runner => {
+        run = runner
+      })
+      Vue.effect(() => {
+        dummy = state.count
+      }, { scheduler })
+      expect(scheduler).not.toHaveBeenCalled()
+      state.count++
+      expect(scheduler).toHaveBeenCalled()
+      expect(dummy).toBe(0)
+      run()
+      expect(dummy).toBe(1)
+    })
+
+    it('should not trigger itself recursively', () => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('effect').and.callFake(() => {
+        state.count++
+      })
+      Vue.effect(spy)
+      expect(spy.calls.count()).toBe(1)
+      expect(state.count).toBe(1)
+    })
+  })
+
+  describe('Vue.computed', () => {
+    it('caches and tracks', () => {
+      const state = Vue.observable({ count: 1 })
+      const getter = jasmine.createSpy('getter').and.callFake(() => state.count * 2)
+      const double = Vue.computed(getter)
+      expect(getter).not.toHaveBeenCalled()
+      expect(double.value).toBe(2)
+      expect(double.value).toBe(2)
+      expect(getter.calls.count()).toBe(1)
+      state.count++
+      expect(double.value).toBe(4)
+      expect(getter.calls.count()).toBe(2)
+    })
+
+    it('can be used in effects and chained', () => {
+      const state = Vue.observable({ count: 1 })
+      const double = Vue.computed(() => state.count * 2)
+      const quadruple = Vue.computed(() => double.value * 2)
+      let dummy
+      Vue.effect(() => {
+        dummy = quadruple.value
+      })
+      expect(dummy).toBe(4)
+      state.count++
+      expect(dummy).toBe(8)
+    })
+
+    it('setter', () => {
+      const state = Vue.observable({ count: 1 })
+      const plusOne = Vue.computed(() => state.count + 1, val => {
+        state.count = val - 1
+      })
+      plusOne.value = 10
+      expect(state.count).toBe(9)
+      expect(plusOne.value).toBe(10)
+    })
+
+    it('warns when written without setter', () => {
+      const c = Vue.computed(() => 1)
+      c.value = 2
+      expect('computed value is readonly').toHaveBeenWarned()
+      expect(c.value).toBe(1)
+    })
+
+    it('works inside component render', done => {
+      const state = Vue.observable({ msg: 'foo' })
+      const upper = Vue.computed(() => state.msg.toUpperCase())
+      const vm = new Vue({
+        render: h => h('div', upper.value)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('FOO')
+      state.msg = 'bar'
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('BAR')
+      }).then(done)
+    })
+  })
+
+  describe('Vue.watch', () => {
+    it('getter source', done => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('watch')
+      const stop = Vue.watch(() => state.count, spy)
+      state.count++
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(1, 0)
+        stop()
+        state.count++
+      }).then(() => {
+        expect(spy.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('reactive object source is watched deeply', done => {
+      const state = Vue.observable({ nested: { count: 0 }})
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(state, spy)
+      state.nested.count++
+      waitForUpdate(() => {
+        expect(spy).toHaveBeenCalledWith(state, state)
+      }).then(done)
+    })
+
+    it('immediate and sync', () => {
+      const state = Vue.observable({ count: 0 })
+      const spy = jasmine.createSpy('watch')
+      Vue.watch(() => state.count, spy, { immediate: true, sync: true })
+      expect(spy).toHaveBeenCalledWith(0)
+      state.count++
+      expect(spy).toHaveBeenCalledWith(1, 0)
+    })
+
+    it('routes callback errors to the global handler', done => {
+      const state = Vue.observable({ count: 0 })
+      const err = new Error('watch')
+      const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      Vue.watch(() => state.count, () => { throw err })
+      state.count++
+      waitForUpdate(() => {
+        expect(handler).toHaveBeenCalledWith(err, null, jasmine.stringMatching('watcher'))
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
+
+    it('warns on invalid source', () => {
+      Vue.watch(1, () => {})
+      expect('Invalid watch source: 1').toHaveBeenWarned()
+    })
+  })
+
+  describe('Vue.effectScope', () => {
+    it('collects and stops effects, computed and watchers', done => {
+      const state = Vue.observable({ count: 0 })
+      const scope = Vue.effectScope()
+      let dummy, double
+      const spy = jasmine.createSpy('watch')
+      scope.run(() => {
+        Vue.effect(() => {
+          dummy = state.count
+        })
+        double = Vue.computed(() => state.count * 2)
+        Vue.watch(() => state.count, spy)
+      })
+      expect(scope.effects.length).toBe(3)
+      expect(double.value).toBe(0)
+      scope.stop()
+      expect(scope.active).toBe(false)
+      state.count++
+      expect(dummy).toBe(0)
+      waitForUpdate(() => {
+        expect(spy).not.toHaveBeenCalled()
+      }).then(done)
+    })
+
+    it('stops nested scopes unless detached', () => {
+      const state = Vue.observable({ count: 0 })
+      const scope = Vue.effectScope()
+      let nested, detached, detachedValue
+      scope.run(() => {
+        Vue.effectScope().run(() => {
+          Vue.effect(() => {
+            nested = state.count
+          })
+        })
+        detached = Vue.effectScope(true)
+        detached.run(() => {
+          Vue.effect(() => {
+            detachedValue = state.count
+          })
+        })
+      })
+      expect(scope.scopes.length).toBe(1)
+      scope.stop()
+      state.count++
+      expect(nested).toBe(0)
+      expect(detachedValue).toBe(1)
+      detached.stop()
+    })
+
+    it('returns the result of run and warns when inactive', () => {
+      const scope = Vue.effectScope()
+      expect(scope.run(() => 1)).toBe(1)
+      scope.stop()
+      expect(scope.run(() => 1)).toBeUndefined()
+      expect('Cannot run an effect scope that has already been stopped').toHaveBeenWarned()
+    })
+  })
+})
@@ -27,4 +27,74 @@ describe('Global API: observable', () => {
       expect(app.$el.querySelector('span').textContent).toBe('1')
     }).then(done)
   })
+
+  describe('markRaw', () => {
+    it('should never observe marked objects', done => {
+      const raw = Vue.markRaw({ count: 0 })
+      const state = Vue.observable({ raw, list: [Vue.markRaw({ count: 0 })] })
+      expect(raw.__ob__).toBeUndefined()
+      expect(state.list[0].__ob__).toBeUndefined()
+      const vm = new Vue({
+        data: { raw },
+        render (h) {
+          return h('div', this.raw.count)
+        }
+      }).$mount()
+      expect(vm.raw.__ob__).toBeUndefined()
+      vm.raw.count++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('0')
+      }).then(done)
+    })
+  })
+
+  describe('shallowObservable', () => {
+    it('should only make top-level keys reactive', done => {
+      const state = Vue.shallowObservable({
+        count: 0,
+        nested: { count: 0 },
+        rows: [{ id: 1 }]
+      })
+      expect(state.nested.__ob__).toBeUndefined()
+      expect(state.rows.__ob__).toBeUndefined()
+      const vm = new Vue({
+        render: h => h('div', `${state.count}|${state.nested.count}|${state.rows.length}`)
+      }).$mount()
+      expect(vm.$el.textContent).toBe('0|0|1')
+      state.nested.count++
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('0|0|1')
+        state.count++
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('1|1|1')
+        state.rows = [{ id: 1 }, { id: 2 }]
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('1|1|2')
+        expect(state.rows.__ob__).toBeUndefined()
+      }).then(done)
+    })
+
+    it('should track array mutations but not items', done => {
+      const rows = Vue.shallowObservable([{ id: 1 }])
+      const vm = new Vue({
+        data: { rows },
+        render (h) {
+          return h('div', this.rows.map(row => row.id).join(','))
+        }
+      }).$mount()
+      expect(rows[0].__ob__).toBeUndefined()
+      vm.rows.push({ id: 2 })
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('1,2')
+        expect(rows[1].__ob__).toBeUndefined()
+      }).then(done)
+    })
+
+    it('should work in proxy mode', () => {
+      Vue.config.reactivity = 'proxy'
+      const state = Vue.shallowObservable({ nested: { count: 0 }})
+      Vue.config.reactivity = 'defineProperty'
+      expect(state.nested.__ob__).toBeUndefined()
+    })
+  })
 })
@@ -0,0 +1,107 @@
+import Vue from 'vue'
+
+describe('Global API: readonly', () => {
+  it('should be backed by the same reactive object', done => {
+    const state = Vue.observable({ count: 0, nested: { msg: 'foo' }})
+    const view = Vue.readonly(state)
+    expect(view).not.toBe(state)
+    expect(Vue.readonly(state)).toBe(view)
+    expect(view.nested).toBe(view.nested)
+    const vm = new Vue({
+      render: h => h('div', `${view.count}|${view.nested.msg}`)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0|foo')
+    state.count++
+    state.nested.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1|bar')
+    }).then(done)
+  })
+
+  it('should observe plain objects', () => {
+    const raw = { a: 1 }
+    const view = Vue.readonly(raw)
+    expect(raw.__ob__).toBeDefined()
+    expect(Vue.readonly(view)).toBe(view)
+  })
+
+  it('should warn on writes with the property path', () => {
+    const view = Vue.readonly({ user: { name: 'foo' }, list: [1] })
+    view.user.name = 'bar'
+    expect(view.user.name).toBe('foo')
+    expect('Set operation on "user.name" failed: target is readonly.').toHaveBeenWarned()
+    delete view.user
+    expect(view.user).toBeDefined()
+    expect('Delete operation on "user" failed: target is readonly.').toHaveBeenWarned()
+    view.list.push(2)
+    expect(view.list.length).toBe(1)
+    expect('Set operation on "list.1" failed: target is readonly.').toHaveBeenWarned()
+    expect('Set operation on "list.length" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('should name the component that attempted the write', () => {
+    const store = Vue.readonly(Vue.observable({ count: 0 }))
+    const vm = new Vue({
+      template: '<child></child>',
+      components: {
+        child: {
+          name: 'child',
+          template: '<button @click="inc">{{ store.count }}</button>',
+          data: () => ({ store }),
+          methods: {
+            inc () {
+              this.store.count++
+            }
+          }
+        }
+      }
+    }).$mount()
+    vm.$el.click()
+    expect(store.count).toBe(0)
+    expect(
+      'Set operation on "count" failed: target is readonly.\n\nfound in\n\n---> <Child>'
+    ).toHaveBeenWarned()
+  })
+
+  it('should work with Map and Set', done => {
+    const state = Vue.observable({
+      map: new Map([['a', { count: 0 }]]),
+      set: new Set([1])
+    })
+    const view = Vue.readonly(state)
+    const vm = new Vue({
+      render: h => h('div', `${view.map.get('a').count}|${view.set.size}`)
+    }).$mount()
+    expect(vm.$el.textContent).toBe('0|1')
+    view.map.set('b', {})
+    expect('"set" operation on "map.b" failed: target is readonly.').toHaveBeenWarned()
+    view.set.clear()
+    expect('"clear" operation on "set" failed: target is readonly.').toHaveBeenWarned()
+    view.map.get('a').count++
+    expect('Set operation on "map.a.count" failed: target is readonly.').toHaveBeenWarned()
+    view.map.forEach(value => {
+      expect(value).toBe(view.map.get('a'))
+    })
+    expect(Array.from(view.set)).toEqual([1])
+    state.map.get('a').count++
+    state.set.add(2)
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1|2')
+    }).then(done)
+  })
+
+  it('should work in proxy mode', () => {
+    Vue.config.reactivity = 'proxy'
+    const state = Vue.observable({ nested: { a: 1 }})
+    Vue.config.reactivity = 'defineProperty'
+    const view = Vue.readonly(state)
+    view.nested.a = 2
+    expect(state.nested.a).toBe(1)
+    expect('Set operation on "nested.a" failed: target is readonly.').toHaveBeenWarned()
+  })
+
+  it('should warn on non-object values', () => {
+    expect(Vue.readonly(1)).toBe(1)
+    expect('readonly() can only be used on objects').toHaveBeenWarned()
+  })
+})
@@ -0,0 +1,114 @@
+import Vue from 'vue'
+
+describe('Global API: toRaw / snapshot', () => {
+  it('toRaw should unwrap proxies and readonly views', () => {
+    const raw = { a: 1 }
+    const state = Vue.observable(raw)
+    expect(Vue.toRaw(state)).toBe(raw)
+    expect(Vue.toRaw(Vue.readonly(state))).toBe(raw)
+    expect(Vue.toRaw(1)).toBe(1)
+
+    Vue.config.reactivity = 'proxy'
+    const proxyRaw = { b: 1 }
+    const proxied = Vue.observable(proxyRaw)
+    Vue.config.reactivity = 'defineProperty'
+    expect(proxied).not.toBe(proxyRaw)
+    expect(Vue.toRaw(proxied)).toBe(proxyRaw)
+    expect(Vue.toRaw(Vue.readonly(proxied))).toBe(proxyRaw)
+  })
+
+  it('should create a plain deep copy', () => {
+    const state = Vue.observable({
+      msg: 'foo',
+      nested: { list: [1, { a: 2 }] },
+      date: new Date(1000)
+    })
+    const copy = Vue.snapshot(state)
+    expect(copy).toEqual({
+      msg: 'foo',
+      nested: { list: [1, { a: 2 }] },
+      date: new Date(1000)
+    })
+    expect(copy.__ob__).toBeUndefined()
+    expect(copy.nested.__ob__).toBeUndefined()
+    expect(copy.nested.list[1].__ob__).toBeUndefined()
+    expect(copy.date).not.toBe(state.date)
+    expect(Object.getOwnPropertyDescriptor(copy, 'msg').get).toBeUndefined()
+    // later changes do not leak into the snapshot
+    state.nested.list[1].a = 3
+    state.date.setTime(2000)
+    expect(copy.nested.list[1].a).toBe(2)
+    expect(copy.date.getTime()).toBe(1000)
+  })
+
+  it('should preserve cycles and shared references', () => {
+    const shared = { id: 1 }
+    const state = Vue.observable({ a: shared, b: shared })
+    state.self = state
+    const copy = Vue.snapshot(state)
+    expect(copy.a).toBe(copy.b)
+    expect(copy.a).not.toBe(shared)
+    expect(copy.self).toBe(copy)
+  })
+
+  it('should copy Map and Set', () => {
+    const key = { k: 1 }
+    const state = Vue.observable({
+      map: new Map([[key, { count: 1 }]]),
+      set: new Set([{ id: 1 }])
+    })
+    const copy = Vue.snapshot(state)
+    expect(copy.map instanceof Map).toBe(true)
+    expect(copy.map).not.toBe(Vue.toRaw(state.map))
+    expect(copy.map.get(key)).toEqual({ count: 1 })
+    expect(copy.map.get(key)).not.toBe(state.map.get(key))
+    expect(copy.set instanceof Set).toBe(true)
+    expect(Array.from(copy.set)).toEqual([{ id: 1 }])
+    state.set.add(2)
+    expect(copy.set.size).toBe(1)
+  })
+
+  it('should keep marked raw objects and class instances by reference', () => {
+    class Foo {}
+    const raw = Vue.markRaw({ a: 1 })
+    const foo = new Foo()
+    const copy = Vue.snapshot(Vue.observable({ raw, foo }))
+    expect(copy.raw).toBe(raw)
+    expect(copy.foo).toBe(foo)
+  })
+
+  it('should respect the depth option', () => {
+    const state = Vue.observable({ a: { b: { c: 1 }}})
+    const copy = Vue.snapshot(state, { depth: 1 })
+    expect(copy).not.toBe(Vue.toRaw(state))
+    expect(copy.a).toBe(Vue.toRaw(state.a))
+    expect(Vue.snapshot(state, { depth: 0 })).toBe(Vue.toRaw(state))
+  })
+
+  it('should work in proxy mode', () => {
+    Vue.config.reactivity = 'proxy'
+    const state = Vue.observable({ nested: { list: [1] }})
+    state.nested.extra = true
+    const copy = Vue.snapshot(state)
+    Vue.config.reactivity = 'defineProperty'
+    expect(copy).toEqual({ nested: { list: [1], extra: true }})
+    expect(copy.nested).not.toBe(Vue.toRaw(state.nested))
+  })
+
+  it('should not collect dependencies', done => {
+    const state = Vue.observable({ a: { b: 1 }})
+    const spy = jasmine.createSpy('render')
+    const vm = new Vue({
+      render (h) {
+        spy()
+        return h('div', Vue.snapshot(state).a.b)
+      }
+    }).$mount()
+    expect(spy.calls.count()).toBe(1)
+    state.a.b = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(vm.$el.textContent).toBe('1')
+    }).then(done)
+  })
+})
@@ -124,5 +124,33 @@ describe('Instance methods data', () => {
       vm.$watch('a + b', spy)
       expect('Watcher only accepts simple dot-delimited paths').toHaveBeenWarned()
     })
+
+    it('multiple sources', done => {
+      vm.$watch(['a.b', function () { return this.유니코드.なまえ }], spy)
+      vm.a.b = 2
+      waitForUpdate(() => {
+        expect(spy.calls.count()).toBe(1)
+        expect(spy).toHaveBeenCalledWith([2, 'ok'], [1, 'ok'])
+        vm.유니코드.なまえ = 'changed'
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+        expect(spy).toHaveBeenCalledWith([2, 'changed'], [2, 'ok'])
+        // re-assigning equal values to both sources does not fire
+        vm.a = { b: 2 }
+        vm.유니코드 = { なまえ: 'changed' }
+      }).then(() => {
+        expect(spy.calls.count()).toBe(2)
+      }).then(done)
+    })
+
+    it('multiple sources with immediate', () => {
+      vm.$watch(['a.b', 'a'], spy, { immediate: true })
+      expect(spy).toHaveBeenCalledWith([1, vm.a])
+    })
+
+    it('warn expression in multiple sources', () => {
+      vm.$watch(['a.b', 'a + b'], spy)
+      expect('Failed watching path: "a + b"').toHaveBeenWarned()
+    })
   })
 })
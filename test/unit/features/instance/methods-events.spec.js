@@ -93,4 +93,151 @@ describe('Instance methods events', () => {
     expect(spy2.calls.count()).toBe(1)
     expect(spy2).toHaveBeenCalledWith(1, 2, 3)
   })
+  describe('$emitAsync', () => {
+    it('should resolve with the results of all handlers', done => {
+      vm.$on('save', (a, b) => a + b)
+      vm.$once('save', (a, b) => new Promise(resolve => {
+        setTimeout(() => resolve(a * b), 0)
+      }))
+      vm.$emitAsync('save', 2, 3).then(results => {
+        expect(results).toEqual([5, 6])
+        return vm.$emitAsync('save', 2, 3)
+      }).then(results => {
+        // the once handler has been removed
+        expect(results).toEqual([5])
+        return vm.$emitAsync('nothing')
+      }).then(results => {
+        expect(results).toEqual([])
+      }).then(done)
+    })
+
+    it('should wait for parent handlers bound in templates', done => {
+      const saved = []
+      const parent = new Vue({
+        template: '<child @save="onSave"></child>',
+        methods: {
+          onSave (value) {
+            return new Promise(resolve => {
+              setTimeout(() => {
+                saved.push(value)
+                resolve('ok')
+              }, 0)
+            })
+          }
+        },
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      parent.$children[0].$emitAsync('save', 'foo').then(results => {
+        expect(saved).toEqual(['foo'])
+        expect(results).toEqual(['ok'])
+      }).then(done)
+    })
+
+    it('should resolve with the results of merged template handlers', done => {
+      const parent = new Vue({
+        template: '<child @save="first" v-on="{ save: second }"></child>',
+        methods: {
+          first: value => value + 1,
+          second: value => Promise.resolve(value * 2)
+        },
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      parent.$children[0].$emitAsync('save', 3).then(results => {
+        expect(results.sort()).toEqual([4, 6])
+      }).then(done)
+    })
+
+    it('should call and remove .once template handlers', done => {
+      const parent = new Vue({
+        template: '<child @save.once="onSave"></child>',
+        methods: {
+          onSave: value => Promise.resolve(value + 1)
+        },
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      const child = parent.$children[0]
+      child.$emitAsync('save', 1).then(results => {
+        expect(results).toEqual([2])
+        return child.$emitAsync('save', 1)
+      }).then(results => {
+        expect(results).toEqual([])
+      }).then(done)
+    })
+
+    it('should route errors of .once template handlers through errorCaptured', done => {
+      const captured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+      const err = new Error('save failed')
+      const parent = new Vue({
+        template: '<child @save.once="onSave"></child>',
+        errorCaptured: captured,
+        methods: {
+          onSave () {
+            throw err
+          }
+        },
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      const child = parent.$children[0]
+      child.$emitAsync('save').then(results => {
+        expect(results).toEqual([undefined])
+        expect(captured).toHaveBeenCalledWith(err, child, 'event handler for "save"')
+      }).then(done)
+    })
+
+    it('should route template handler errors through errorCaptured', done => {
+      const captured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+      const err = new Error('save failed')
+      const parent = new Vue({
+        template: '<child @save="onSave"></child>',
+        errorCaptured: captured,
+        methods: {
+          onSave () {
+            throw err
+          }
+        },
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      const child = parent.$children[0]
+      child.$emitAsync('save').then(results => {
+        expect(results).toEqual([undefined])
+        expect(captured).toHaveBeenCalledWith(err, child, 'event handler for "save"')
+        expect(captured.calls.count()).toBe(1)
+      }).then(done)
+    })
+
+    it('should resolve and route errors through errorCaptured', done => {
+      const captured = jasmine.createSpy('errorCaptured').and.returnValue(false)
+      const err = new Error('save failed')
+      const parent = new Vue({
+        errorCaptured: captured,
+        render: h => h('child'),
+        components: {
+          child: { render: h => h('div') }
+        }
+      }).$mount()
+      const child = parent.$children[0]
+      child.$on('save', () => Promise.reject(err))
+      child.$on('save', () => 'ok')
+      child.$emitAsync('save').then(results => {
+        expect(results).toEqual([undefined, 'ok'])
+        expect(captured).toHaveBeenCalledWith(err, child, 'event handler for "save" (Promise/async)')
+        child.$off('save')
+        child.$on('save', () => { throw err })
+        return child.$emitAsync('save')
+      }).then(results => {
+        expect(results).toEqual([undefined])
+        expect(captured).toHaveBeenCalledWith(err, child, 'event handler for "save"')
+      }).then(done)
+    })
+  })
 })
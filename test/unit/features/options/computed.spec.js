@@ -228,4 +228,144 @@ describe('Options computed', () => {
     })
     expect(() => vm.a).toThrowError('rethrow')
   })
+
+  describe('async', () => {
+    function defer () {
+      let resolve, reject
+      const promise = new Promise((res, rej) => {
+        resolve = res
+        reject = rej
+      })
+      return { promise, resolve, reject }
+    }
+
+    it('should expose value, pending and error', done => {
+      const request = defer()
+      const vm = new Vue({
+        computed: {
+          user: {
+            async: true,
+            get: () => request.promise,
+            default: () => ({ name: 'loading' })
+          }
+        },
+        render (h) {
+          const state = this.$asyncComputed.user
+          return h('div', `${this.user.name}|${state.pending}`)
+        }
+      }).$mount()
+      expect(vm.user).toEqual({ name: 'loading' })
+      expect(vm.$asyncComputed.user.pending).toBe(true)
+      expect(vm.$el.textContent).toBe('loading|true')
+      request.resolve({ name: 'foo' })
+      waitForUpdate(() => {
+        expect(vm.user).toEqual({ name: 'foo' })
+        expect(vm.$asyncComputed.user.pending).toBe(false)
+        expect(vm.$asyncComputed.user.error).toBe(null)
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('foo|false')
+      }).then(done)
+    })
+
+    it('should re-run when dependencies change and discard stale results', done => {
+      const requests = {}
+      const vm = new Vue({
+        data: { id: 1 },
+        computed: {
+          item: {
+            async: true,
+            get () {
+              return (requests[this.id] = defer()).promise
+            }
+          }
+        }
+      })
+      expect(vm.item).toBeUndefined()
+      vm.id = 2
+      waitForUpdate(() => {
+        expect(requests[2]).toBeDefined()
+        requests[2].resolve('two')
+        requests[1].resolve('one')
+      }).then(() => {
+        expect(vm.item).toBe('two')
+        expect(vm.$asyncComputed.item.pending).toBe(false)
+      }).then(done)
+    })
+
+    it('should capture errors', done => {
+      const request = defer()
+      const err = new Error('failed')
+      const handler = Vue.config.errorHandler = jasmine.createSpy('errorHandler')
+      const vm = new Vue({
+        computed: {
+          remote: {
+            async: true,
+            get: () => request.promise,
+            default: 0
+          }
+        }
+      })
+      request.reject(err)
+      waitForUpdate(() => {
+        expect(vm.remote).toBe(0)
+        expect(vm.$asyncComputed.remote.error).toBe(err)
+        expect(vm.$asyncComputed.remote.pending).toBe(false)
+        expect(handler).toHaveBeenCalledWith(err, vm, 'async computed property "remote"')
+        Vue.config.errorHandler = null
+      }).then(done)
+    })
+
+    it('should work when defined on a component constructor', done => {
+      const Comp = Vue.extend({
+        computed: {
+          msg: {
+            async: true,
+            get: () => Promise.resolve('hello')
+          }
+        }
+      })
+      const vm = new Comp()
+      vm.msg = 'foo'
+      expect(vm.msg).toBeUndefined()
+      expect('Computed property "msg" was assigned to but it has no setter.').toHaveBeenWarned()
+      waitForUpdate(() => {
+        expect(vm.msg).toBe('hello')
+      }).then(done)
+    })
+  })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        a: 1
+      },
+      computed: {
+        b: {
+          get () {
+            return this.a + 1
+          },
+          onTrack,
+          onTrigger
+        }
+      }
+    })
+    expect(vm.b).toBe(2)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      effect: vm._computedWatchers.b,
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    }))
+    vm.a = 2
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      effect: vm._computedWatchers.b,
+      target: vm._data,
+      type: 'set',
+      key: 'a',
+      newValue: 2,
+      oldValue: 1
+    }))
+  })
 })
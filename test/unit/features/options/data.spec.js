@@ -183,4 +183,40 @@ describe('Options data', () => {
     }).$mount()
     expect(vm.$el.innerHTML).toBe('<span>foo:1-ext:1-m1:1-m2:1</span>')
   })
+
+  it('should not deeply observe shallow data entries', done => {
+    const rows = [{ id: 1 }]
+    const vm = new Vue({
+      data: () => ({
+        rows: Vue.shallow(rows),
+        info: { name: 'foo' }
+      }),
+      template: '<div>{{ rows[0].id }}|{{ info.name }}</div>'
+    }).$mount()
+    expect(vm.rows).toBe(rows)
+    expect(rows.__ob__).toBeUndefined()
+    expect(rows[0].__ob__).toBeUndefined()
+    // other entries are still deeply observed
+    expect(vm.info.__ob__).toBeDefined()
+    expect(vm.$el.textContent).toBe('1|foo')
+    vm.rows[0].id = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1|foo')
+      vm.rows = [{ id: 3 }]
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('3|foo')
+      expect(vm.rows.__ob__).toBeUndefined()
+    }).then(done)
+  })
+
+  it('should keep plain data that looks like a shallow entry', () => {
+    const vm = new Vue({
+      data: () => ({
+        field: { value: { id: 1 }, shallow: true }
+      })
+    })
+    expect(vm.field.value.id).toBe(1)
+    expect(vm.field.shallow).toBe(true)
+    expect(vm.field.value.__ob__).toBeDefined()
+  })
 })
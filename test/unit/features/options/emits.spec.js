@@ -0,0 +1,114 @@
+import Vue from 'vue'
+
+describe('Options emits', () => {
+  it('should not warn for declared events', () => {
+    const spy = jasmine.createSpy('change')
+    const vm = new Vue({
+      emits: ['change', 'update:value']
+    })
+    vm.$on('change', spy)
+    vm.$emit('change', 1)
+    vm.$emit('update:value', 2)
+    expect(spy).toHaveBeenCalledWith(1)
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn for undeclared events', () => {
+    const vm = new Vue({
+      emits: ['change']
+    })
+    vm.$emit('close')
+    expect('Component emitted event "close" but it is not declared in the emits option.').toHaveBeenWarned()
+  })
+
+  it('should not warn for hook events or components without emits', () => {
+    const vm = new Vue({
+      emits: ['change'],
+      render: h => h('div')
+    })
+    vm.$on('hook:mounted', () => {})
+    vm.$mount()
+    new Vue().$emit('anything')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should match camelCase and kebab-case names', () => {
+    const vm = new Vue({
+      emits: ['myEvent', 'other-event']
+    })
+    vm.$emit('my-event')
+    vm.$emit('otherEvent')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should validate payloads', () => {
+    const spy = jasmine.createSpy('submit')
+    const vm = new Vue({
+      emits: {
+        submit (payload) {
+          return payload && typeof payload.email === 'string'
+        },
+        close: null
+      }
+    })
+    vm.$on('submit', spy)
+    vm.$emit('submit', { email: 'foo@bar.com' })
+    vm.$emit('close')
+    expect('event validation failed').not.toHaveBeenWarned()
+    vm.$emit('submit', {})
+    expect('Invalid event arguments: event validation failed for event "submit".').toHaveBeenWarned()
+    // the event is still emitted
+    expect(spy.calls.count()).toBe(2)
+  })
+
+  it('should merge emits from mixins and extends', () => {
+    const Base = Vue.extend({
+      emits: ['base']
+    })
+    const Comp = Base.extend({
+      mixins: [{ emits: { mixin: null }}],
+      emits: ['own']
+    })
+    const vm = new Comp()
+    vm.$emit('base')
+    vm.$emit('mixin')
+    vm.$emit('own')
+    expect('not declared in the emits option').not.toHaveBeenWarned()
+  })
+
+  it('should warn on invalid option values', () => {
+    new Vue({ emits: 'change' })
+    expect('Invalid value for option "emits": expected an Array or an Object, but got String.').toHaveBeenWarned()
+    new Vue({ emits: { change: true }})
+    expect('Invalid validator for emitted event "change"').toHaveBeenWarned()
+  })
+
+  it('should exclude declared events from $listeners', done => {
+    const onChange = jasmine.createSpy('change')
+    const onFocus = jasmine.createSpy('focus')
+    const vm = new Vue({
+      template: '<child @change="onChange" @focus="onFocus" @once-event.once="onChange"></child>',
+      methods: { onChange, onFocus },
+      components: {
+        child: {
+          emits: ['change', 'onceEvent'],
+          template: '<input v-on="$listeners">'
+        }
+      }
+    }).$mount()
+    const child = vm.$children[0]
+    expect(Object.keys(child.$listeners)).toEqual(['focus'])
+    // declared events are not bound to the native root
+    triggerEvent(vm.$el, 'change')
+    expect(onChange).not.toHaveBeenCalled()
+    triggerEvent(vm.$el, 'focus')
+    expect(onFocus).toHaveBeenCalled()
+    // but can still be emitted by the component
+    child.$emit('change', 1)
+    expect(onChange).toHaveBeenCalledWith(1)
+    vm.$forceUpdate()
+    waitForUpdate(() => {
+      expect(Object.keys(child.$listeners)).toEqual(['focus'])
+    }).then(done)
+  })
+})
@@ -335,4 +335,60 @@ describe('Options lifecycle hooks', () => {
     vm.$destroy()
     expect(destroyed).toHaveBeenCalled()
   })
+
+  describe('renderTracked / renderTriggered', () => {
+    it('should be called with the debugger event', done => {
+      const renderTracked = jasmine.createSpy('renderTracked')
+      const renderTriggered = jasmine.createSpy('renderTriggered')
+      const vm = new Vue({
+        data: {
+          map: new Map([['a', 1]]),
+          msg: 'foo'
+        },
+        render (h) {
+          return h('div', `${this.msg}|${this.map.get('a')}`)
+        },
+        renderTracked,
+        renderTriggered
+      }).$mount()
+      expect(renderTracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        effect: vm._watcher,
+        target: vm._data,
+        type: 'get',
+        key: 'msg'
+      }))
+      expect(renderTracked).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.map,
+        type: 'get',
+        key: 'a'
+      }))
+      expect(renderTriggered).not.toHaveBeenCalled()
+      vm.map.set('a', 2)
+      expect(renderTriggered).toHaveBeenCalledWith(jasmine.objectContaining({
+        target: vm.map,
+        type: 'set',
+        key: 'a',
+        newValue: 2,
+        oldValue: 1
+      }))
+      waitForUpdate(() => {
+        expect(vm.$el.textContent).toBe('foo|2')
+      }).then(done)
+    })
+
+    it('should emit hook events with the debugger event', () => {
+      const spy = jasmine.createSpy('hook:renderTracked')
+      new Vue({
+        data: { msg: 'foo' },
+        render (h) {
+          return h('div', this.msg)
+        },
+        renderTracked () {},
+        beforeCreate () {
+          this.$on('hook:renderTracked', spy)
+        }
+      }).$mount()
+      expect(spy).toHaveBeenCalledWith(jasmine.objectContaining({ key: 'msg' }))
+    })
+  })
 })
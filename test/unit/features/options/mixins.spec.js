@@ -86,6 +86,14 @@ describe('Options mixins', () => {
       }
     })
     expect(result.methods.xyz).toBe(f3)
+    expect(
+      'Option conflict: method "xyz" is defined by both <Anonymous> > mixins[0] ' +
+      'and <Anonymous> > mixins[1]. The one from <Anonymous> > mixins[1] wins.'
+    ).toHaveBeenWarned()
+    expect(
+      'Option conflict: method "xyz" is defined by both <Anonymous> > mixins[1] ' +
+      'and <Anonymous>. The one from <Anonymous> wins.'
+    ).toHaveBeenWarned()
   })
 
   it('should accept constructors as mixins', () => {
@@ -141,4 +149,116 @@ describe('Options mixins', () => {
     expect(vm.b).toBeDefined()
     expect(vm.$options.directives.c).toBeDefined()
   })
+
+  describe('conflict diagnostics', () => {
+    it('should name the conflicting sources of methods, computed and props', () => {
+      const logger = {
+        name: 'logger',
+        methods: { log () {} },
+        computed: { label: () => 'logger' }
+      }
+      const Base = Vue.extend({
+        name: 'base-card',
+        mixins: [logger],
+        props: ['value']
+      })
+      Base.extend({
+        name: 'user-card',
+        props: { value: String },
+        methods: { log () {} },
+        computed: { label: () => 'card' }
+      })
+      expect(
+        'Option conflict: method "log" is defined by both <base-card> > mixins[0] <logger> ' +
+        'and <user-card>. The one from <user-card> wins.'
+      ).toHaveBeenWarned()
+      expect('computed property "label" is defined by both <base-card> > mixins[0] <logger> and <user-card>').toHaveBeenWarned()
+      expect('prop "value" is defined by both <base-card> and <user-card>').toHaveBeenWarned()
+    })
+
+    it('should name extends chains', () => {
+      const Base = { methods: { save () {} }}
+      Vue.extend({
+        name: 'login-form',
+        extends: { extends: Base, methods: { save () {} }}
+      })
+      expect(
+        'Option conflict: method "save" is defined by both <login-form> > extends > extends ' +
+        'and <login-form> > extends. The one from <login-form> > extends wins.'
+      ).toHaveBeenWarned()
+    })
+
+    it('should report data conflicts when data is created', () => {
+      const mixin = {
+        data: () => ({ count: 0, nested: { a: 1 }})
+      }
+      const Comp = Vue.extend({
+        name: 'counter',
+        mixins: [mixin],
+        data: () => ({ count: 1, nested: { b: 2 }})
+      })
+      expect('Option conflict').not.toHaveBeenWarned()
+      const vm = new Comp()
+      expect(vm.count).toBe(1)
+      expect(
+        'Option conflict: data property "count" is defined by both <counter> > mixins[0] ' +
+        'and <counter>. The one from <counter> wins.'
+      ).toHaveBeenWarned()
+      // nested objects are merged, not overridden
+      expect('data property "nested"').not.toHaveBeenWarned()
+    })
+
+    it('should report a data conflict once per constructor', () => {
+      const spy = jasmine.createSpy('onOptionConflict')
+      const Comp = Vue.extend({
+        name: 'counter',
+        mixins: [{ data: () => ({ count: 0 }) }],
+        data: () => ({ count: 1 })
+      })
+      Vue.config.onOptionConflict = spy
+      try {
+        new Comp()
+        new Comp()
+      } finally {
+        Vue.config.onOptionConflict = null
+      }
+      expect(spy.calls.count()).toBe(1)
+      expect(spy.calls.argsFor(0)[0]).toEqual({
+        type: 'data',
+        key: 'count',
+        sources: ['<counter> > mixins[0]', '<counter>'],
+        winner: '<counter>'
+      })
+    })
+
+    it('should not report a mixin applied more than once', () => {
+      const shared = {
+        data: () => ({ foo: 1 }),
+        methods: { bar () {} }
+      }
+      const Base = Vue.extend({ mixins: [shared] })
+      new (Base.extend({ mixins: [shared] }))()
+      expect('Option conflict').not.toHaveBeenWarned()
+    })
+
+    it('should call config.onOptionConflict instead of warning', () => {
+      const spy = jasmine.createSpy('onOptionConflict')
+      Vue.config.onOptionConflict = spy
+      try {
+        Vue.extend({
+          mixins: [{ methods: { foo () {} }}],
+          methods: { foo () {} }
+        })
+      } finally {
+        Vue.config.onOptionConflict = null
+      }
+      expect(spy).toHaveBeenCalledWith({
+        type: 'methods',
+        key: 'foo',
+        sources: ['<Anonymous> > mixins[0]', '<Anonymous>'],
+        winner: '<Anonymous>'
+      }, undefined)
+      expect('Option conflict').not.toHaveBeenWarned()
+    })
+  })
 })
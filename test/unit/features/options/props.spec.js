@@ -331,6 +331,85 @@ describe('Options props', () => {
       makeInstance(null, true)
       expect(console.error.calls.count()).toBe(0)
     })
+
+    describe('schema types', () => {
+      const { shape, arrayOf, objectOf, oneOf } = Vue.PropTypes
+
+      it('shape', () => {
+        const User = shape({
+          name: { type: String, required: true },
+          age: Number,
+          address: shape({ zip: [String, Number] })
+        })
+        makeInstance({ name: 'foo', address: { zip: 12345 }}, User)
+        makeInstance({ name: 'foo', age: null }, User)
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance({ name: 'foo', address: { zip: true }}, User)
+        expect(
+          'Invalid prop: type check failed for prop "test" at path "test.address.zip". ' +
+          'Expected String, Number, got Boolean with value true.'
+        ).toHaveBeenWarned()
+        makeInstance({ age: 1 }, User)
+        expect('at path "test.name". Expected String, got Undefined.').toHaveBeenWarned()
+        makeInstance([], User)
+        expect('Invalid prop: type check failed for prop "test". Expected Object, got Array.').toHaveBeenWarned()
+      })
+
+      it('arrayOf', () => {
+        makeInstance([1, 2], arrayOf(Number))
+        makeInstance([], arrayOf(Number))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance([{ id: 1 }, { id: '2' }], arrayOf(shape({ id: Number })))
+        expect('at path "test[1].id". Expected Number, got String with value "2".').toHaveBeenWarned()
+        makeInstance('foo', arrayOf(Number))
+        expect('Expected Array, got String with value "foo".').toHaveBeenWarned()
+      })
+
+      it('objectOf', () => {
+        makeInstance({ a: 1, b: 2 }, objectOf(Number))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance({ a: 1, b: [2] }, objectOf(Number))
+        expect('at path "test.b". Expected Number, got Array.').toHaveBeenWarned()
+      })
+
+      it('oneOf', () => {
+        makeInstance('small', oneOf(['small', 'large']))
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance('huge', oneOf(['small', 'large']))
+        expect(
+          'Invalid prop: type check failed for prop "test". ' +
+          'Expected one of ["small", "large"], got String with value "huge".'
+        ).toHaveBeenWarned()
+      })
+
+      it('mixed with constructors', () => {
+        const type = [String, arrayOf(String)]
+        makeInstance('foo', type)
+        makeInstance(['foo'], type)
+        expect(console.error.calls.count()).toBe(0)
+        makeInstance(['foo', 1], type)
+        expect('at path "test[1]". Expected String, got Number with value 1.').toHaveBeenWarned()
+        makeInstance(1, type)
+        expect('Expected String, Array, got Number with value 1.').toHaveBeenWarned()
+      })
+
+      it('should still run the custom validator', () => {
+        makeInstance([1], arrayOf(Number), v => v.length > 1)
+        expect('custom validator check failed for prop "test"').toHaveBeenWarned()
+      })
+
+      it('should not break boolean casting and default factories', () => {
+        const vm = new Vue({
+          props: {
+            flag: [Boolean, shape({ on: Boolean })],
+            list: { type: arrayOf(Number), default: () => [1] }
+          }
+        })
+        expect(vm.flag).toBe(false)
+        expect(vm.list).toEqual([1])
+        expect(console.error.calls.count()).toBe(0)
+      })
+    })
   })
 
   it('should work with v-bind', () => {
@@ -579,4 +658,33 @@ describe('Options props', () => {
     ).toHaveBeenWarned()
   })
 
+  it('should not deeply observe shallow props', done => {
+    const vm = new Vue({
+      props: {
+        rows: {
+          type: Array,
+          shallow: true,
+          default: () => [{ id: 1 }]
+        },
+        info: {
+          type: Object,
+          shallow: true
+        }
+      },
+      propsData: {
+        info: { name: 'foo' }
+      },
+      template: '<div>{{ rows.length }}|{{ info.name }}</div>'
+    }).$mount()
+    expect(vm.rows[0].__ob__).toBeUndefined()
+    expect(vm.info.__ob__).toBeUndefined()
+    vm.info.name = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1|foo')
+      vm.info = { name: 'baz' }
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('1|baz')
+      expect(vm.info.__ob__).toBeUndefined()
+    }).then(done)
+  })
 })
@@ -0,0 +1,179 @@
+import Vue from 'vue'
+
+describe('Options setup', () => {
+  it('should expose returned bindings to the template', done => {
+    const vm = new Vue({
+      template: '<div @click="inc">{{ count }} {{ double }} {{ state.msg }}</div>',
+      setup () {
+        const count = Vue.ref(1)
+        const double = Vue.computed(() => count.value * 2)
+        const state = Vue.observable({ msg: 'foo' })
+        return {
+          count,
+          double,
+          state,
+          inc: () => { count.value++ }
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('1 2 foo')
+    vm.$el.click()
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('2 4 foo')
+      // refs are unwrapped on the instance
+      vm.count = 5
+      vm.state.msg = 'bar'
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('5 10 bar')
+    }).then(done)
+  })
+
+  it('should run after props and before data', () => {
+    const vm = new Vue({
+      props: ['msg'],
+      propsData: { msg: 'foo' },
+      setup (props) {
+        return { upper: Vue.computed(() => props.msg.toUpperCase()) }
+      },
+      data () {
+        return { fromSetup: this.upper }
+      }
+    })
+    expect(vm.fromSetup).toBe('FOO')
+  })
+
+  it('should receive reactive props and a context', done => {
+    const emitted = jasmine.createSpy('ready')
+    const vm = new Vue({
+      template: '<child :n="n" id="foo" @ready="onReady"><span>slot</span></child>',
+      data: { n: 1 },
+      methods: { onReady: emitted },
+      components: {
+        child: {
+          props: ['n'],
+          setup (props, ctx) {
+            Vue.onMounted(() => {
+              ctx.emit('ready', ctx.attrs.id, ctx.slots.default().length)
+            })
+            return { double: Vue.computed(() => props.n * 2) }
+          },
+          template: '<div>{{ double }}</div>'
+        }
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('2')
+    expect(emitted).toHaveBeenCalledWith('foo', 1)
+    vm.n = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('4')
+    }).then(done)
+  })
+
+  it('should use a returned function as render function', () => {
+    const vm = new Vue({
+      setup () {
+        const msg = Vue.ref('hello')
+        return h => h('div', msg.value)
+      }
+    }).$mount()
+    expect(vm.$el.textContent).toBe('hello')
+  })
+
+  it('should register lifecycle hooks', done => {
+    const calls = []
+    const Comp = Vue.extend({
+      created () {
+        calls.push('created option')
+      },
+      setup () {
+        const n = Vue.ref(0)
+        Vue.onBeforeMount(() => calls.push('beforeMount'))
+        Vue.onMounted(() => calls.push('mounted'))
+        Vue.onBeforeUpdate(() => calls.push('beforeUpdate'))
+        Vue.onUpdated(() => calls.push('updated'))
+        Vue.onBeforeUnmount(() => calls.push('beforeUnmount'))
+        Vue.onUnmounted(() => calls.push('unmounted'))
+        return { n }
+      },
+      render (h) {
+        return h('div', this.n)
+      }
+    })
+    const vm = new Comp().$mount()
+    expect(calls).toEqual(['created option', 'beforeMount', 'mounted'])
+    vm.n++
+    waitForUpdate(() => {
+      expect(calls.slice(3)).toEqual(['beforeUpdate', 'updated'])
+      vm.$destroy()
+      expect(calls.slice(5)).toEqual(['beforeUnmount', 'unmounted'])
+      // hooks registered in setup() are per instance
+      expect(Comp.options.mounted).toBeUndefined()
+    }).then(done)
+  })
+
+  it('should work with Vue.extend subclasses', () => {
+    const Base = Vue.extend({
+      setup () {
+        return { msg: 'base' }
+      },
+      template: '<div>{{ msg }}</div>'
+    })
+    const Sub = Base.extend({ name: 'sub-comp' })
+    expect(new Base().$mount().$el.textContent).toBe('base')
+    expect(new Sub().$mount().$el.textContent).toBe('base')
+  })
+
+  it('should stop effects when the instance is destroyed', done => {
+    const state = Vue.observable({ count: 0 })
+    const spy = jasmine.createSpy('watch')
+    const vm = new Vue({
+      setup () {
+        Vue.watch(() => state.count, spy)
+        return {}
+      }
+    })
+    vm.$destroy()
+    state.count++
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('should warn when registering hooks outside of setup()', () => {
+    Vue.onMounted(() => {})
+    expect('onMounted() can only be called during setup().').toHaveBeenWarned()
+    Vue.onBeforeUnmount(() => {})
+    expect('onBeforeUnmount() can only be called during setup().').toHaveBeenWarned()
+  })
+
+  it('should warn on conflicting bindings', () => {
+    new Vue({
+      props: ['foo'],
+      setup () {
+        return { foo: 1, bar: 2, baz: 3 }
+      },
+      data: () => ({ bar: 1 }),
+      methods: { baz () {} }
+    })
+    expect('The setup binding "foo" is already declared as a prop.').toHaveBeenWarned()
+    expect('The data property "bar" is already declared as a setup binding.').toHaveBeenWarned()
+    expect('Method "baz" has already been defined as a setup binding.').toHaveBeenWarned()
+  })
+
+  it('should handle errors thrown in setup()', () => {
+    // other specs may leave a global error handler behind
+    const errorHandler = Vue.config.errorHandler
+    Vue.config.errorHandler = null
+    try {
+      new Vue({
+        setup () {
+          throw new Error('oops')
+        }
+      })
+    } finally {
+      Vue.config.errorHandler = errorHandler
+    }
+    expect('Error in setup(): "Error: oops"').toHaveBeenWarned()
+    expect('Error: oops').toHaveBeenWarned()
+  })
+})
@@ -106,6 +106,101 @@ describe('Options watch', () => {
     }).then(done)
   })
 
+  it('with option: deep (depth limit)', done => {
+    const vm = new Vue({
+      data: { a: { b: { c: 1 }}},
+      watch: {
+        a: {
+          handler: spy,
+          deep: 1
+        }
+      }
+    })
+    vm.a.b.c = 2
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.a.b = { c: 3 }
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a)
+    }).then(done)
+  })
+
+  it('with option: deep (include / exclude)', done => {
+    const spy2 = jasmine.createSpy('exclude')
+    const vm = new Vue({
+      data: {
+        form: {
+          items: [{ name: 'foo', price: 1 }],
+          meta: { dirty: false }
+        }
+      },
+      watch: {
+        form: [
+          { handler: spy, deep: { include: 'items.*.price', paths: true }},
+          { handler: spy2, deep: { exclude: ['meta', '**.name'], paths: true }}
+        ]
+      }
+    })
+    vm.form.items[0].name = 'bar'
+    vm.form.meta.dirty = true
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      expect(spy2).not.toHaveBeenCalled()
+      vm.form.items[0].price = 2
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.form, vm.form, ['items.0.price'])
+      expect(spy2).toHaveBeenCalledWith(vm.form, vm.form, ['items.0.price'])
+      vm.form.items.push({ name: 'baz', price: 3 })
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.form, vm.form, ['items'])
+      expect(spy2).toHaveBeenCalledWith(vm.form, vm.form, ['items'])
+    }).then(done)
+  })
+
+  it('with option: deep (changed paths)', done => {
+    const vm = new Vue({
+      data: {
+        a: { b: 1, c: { d: 1 }, map: new Map([['k', { e: 1 }]]) }
+      }
+    })
+    vm.$watch('a', spy, { deep: { paths: true }})
+    vm.a.b = 2
+    vm.a.c.d = 2
+    vm.a.b = 3
+    Vue.set(vm.a.c, 'f', 1)
+    vm.a.map.get('k').e = 2
+    waitForUpdate(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, ['b', 'c.d', 'c.f', 'map.k.e'])
+      vm.a.map.set('j', 1)
+      Vue.delete(vm.a, 'b')
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(vm.a, vm.a, ['map.j', 'b'])
+    }).then(done)
+  })
+
+  it('with option: source', done => {
+    const vm = new Vue({
+      data: { a: 1, b: 1, c: 1 },
+      watch: {
+        ab: {
+          source: ['a', function () { return this.b * 2 }],
+          handler: spy
+        }
+      }
+    })
+    vm.c = 2
+    vm.b = 1
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+      vm.a = 2
+      vm.b = 2
+    }).then(() => {
+      expect(spy.calls.count()).toBe(1)
+      expect(spy).toHaveBeenCalledWith([2, 4], [1, 2])
+    }).then(done)
+  })
+
   it('correctly merges multiple extends', done => {
     const spy2 = jasmine.createSpy('A')
     const spy3 = jasmine.createSpy('B')
@@ -175,4 +270,57 @@ describe('Options watch', () => {
     })
     expect(`Failed watching path`).not.toHaveBeenWarned()
   })
+
+  it('onTrack / onTrigger', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const onTrigger = jasmine.createSpy('onTrigger')
+    const vm = new Vue({
+      data: {
+        list: [1],
+        obj: {}
+      }
+    })
+    vm.$watch(() => vm.list.length + Object.keys(vm.obj).length, () => {}, {
+      onTrack,
+      onTrigger
+    })
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'list'
+    }))
+    vm.list.push(2)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.list,
+      type: 'array mutation',
+      key: 'push'
+    }))
+    Vue.set(vm.obj, 'a', 1)
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.obj,
+      type: 'add',
+      key: 'a',
+      newValue: 1
+    }))
+    Vue.delete(vm.obj, 'a')
+    expect(onTrigger).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm.obj,
+      type: 'delete',
+      key: 'a'
+    }))
+  })
+
+  it('onTrack once per dep for repeated reads', () => {
+    const onTrack = jasmine.createSpy('onTrack')
+    const vm = new Vue({
+      data: { a: 1 }
+    })
+    vm.$watch(() => vm.a + vm.a + vm.a, () => {}, { onTrack })
+    expect(onTrack.calls.count()).toBe(1)
+    expect(onTrack).toHaveBeenCalledWith(jasmine.objectContaining({
+      target: vm._data,
+      type: 'get',
+      key: 'a'
+    }))
+  })
 })
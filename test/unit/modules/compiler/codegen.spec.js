@@ -172,6 +172,13 @@ describe('codegen', () => {
     )
   })
 
+  it('generate named v-model directive on custom component', () => {
+    assertCodegen(
+      '<my-component v-model:start-date.trim="test" />',
+      `with(this){return _c('my-component',{attrs:{"startDate":(test)},props:{"startDateModifiers":{"trim":true}},on:{"update:startDate":function ($$v) {test=(typeof $$v === 'string'? $$v.trim(): $$v)},"update:start-date":function ($$v) {test=(typeof $$v === 'string'? $$v.trim(): $$v)}}})}`
+    )
+  })
+
   it('generate template tag', () => {
     assertCodegen(
       '<div><template><p>{{hello}}</p></template></div>',
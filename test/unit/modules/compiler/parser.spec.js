@@ -87,9 +87,15 @@ describe('parser', () => {
     expect('text "after root {{ interpolation }}" outside root element will be ignored.').toHaveBeenWarned()
   })
 
-  it('warn multiple root elements', () => {
-    parse('<div></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
+  it('wrap multiple root elements in a fragment', () => {
+    const ast = parse('<div></div> <p></p>', baseOptions)
+    expect(ast.tag).toBe('template')
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].tag).toBe('div')
+    expect(ast.children[0].parent).toBe(ast)
+    expect(ast.children[1].tag).toBe('p')
+    expect(ast.children[1].parent).toBe(ast)
   })
 
   it('remove duplicate whitespace text nodes caused by comments', () => {
@@ -114,45 +120,15 @@ describe('parser', () => {
     expect(`text "foo" between v-if and v-else(-if) will be ignored`).toHaveBeenWarned()
   })
 
-  it('not warn 2 root elements with v-if and v-else', () => {
-    parse('<div v-if="1"></div><div v-else></div>', baseOptions)
-    expect('Component template should contain exactly one root element')
-      .not.toHaveBeenWarned()
-  })
-
-  it('not warn 3 root elements with v-if, v-else-if and v-else', () => {
-    parse('<div v-if="1"></div><div v-else-if="2"></div><div v-else></div>', baseOptions)
-    expect('Component template should contain exactly one root element')
-      .not.toHaveBeenWarned()
-  })
-
-  it('not warn 2 root elements with v-if and v-else on separate lines', () => {
-    parse(`
-      <div v-if="1"></div>
-      <div v-else></div>
-    `, baseOptions)
-    expect('Component template should contain exactly one root element')
-      .not.toHaveBeenWarned()
-  })
-
-  it('not warn 3 or more root elements with v-if, v-else-if and v-else on separate lines', () => {
-    parse(`
-      <div v-if="1"></div>
-      <div v-else-if="2"></div>
-      <div v-else></div>
-    `, baseOptions)
-    expect('Component template should contain exactly one root element')
-      .not.toHaveBeenWarned()
-
-    parse(`
+  it('not wrap root elements chained with v-if, v-else-if and v-else', () => {
+    expect(parse('<div v-if="1"></div><div v-else></div>', baseOptions).fragment).toBeUndefined()
+    expect(parse('<div v-if="1"></div><div v-else-if="2"></div><div v-else></div>', baseOptions).fragment).toBeUndefined()
+    expect(parse(`
       <div v-if="1"></div>
       <div v-else-if="2"></div>
       <div v-else-if="3"></div>
-      <div v-else-if="4"></div>
       <div v-else></div>
-    `, baseOptions)
-    expect('Component template should contain exactly one root element')
-      .not.toHaveBeenWarned()
+    `, baseOptions).fragment).toBeUndefined()
   })
 
   it('generate correct ast for 2 root elements with v-if and v-else on separate lines', () => {
@@ -190,51 +166,37 @@ describe('parser', () => {
     expect(astMore.ifConditions[4].block.tag).toBe('p')
   })
 
-  it('warn 2 root elements with v-if', () => {
-    parse('<div v-if="1"></div><div v-if="2"></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 3 root elements with v-if and v-else-if on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 4 root elements with v-if, v-else-if and v-else on first 2', () => {
-    parse('<div v-if="1"></div><div v-else-if></div><div v-else></div><div></div>', baseOptions)
-    expect('Component template should contain exactly one root element').toHaveBeenWarned()
-  })
-
-  it('warn 2 root elements with v-if and v-else with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+  it('wrap 2 root elements with v-if in a fragment', () => {
+    const ast = parse('<div v-if="1"></div><p v-if="2"></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].if).toBe('1')
+    expect(ast.children[1].if).toBe('2')
   })
 
-  it('warn 2 root elements with v-if and v-else-if with v-for on 2nd', () => {
-    parse('<div v-if="1"></div><div v-else-if="2" v-for="i in [1]"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element because it renders multiple elements')
-      .toHaveBeenWarned()
+  it('chain v-else onto the last element of a fragment', () => {
+    const ast = parse('<div></div><span v-if="1"></span><b v-else-if="2"></b><p v-else></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[1].ifConditions.length).toBe(3)
+    expect(ast.children[1].ifConditions[1].block.tag).toBe('b')
+    expect(ast.children[1].ifConditions[2].block.tag).toBe('p')
   })
 
-  it('warn <template> as root element', () => {
-    parse('<template></template>', baseOptions)
-    expect('Cannot use <template> as component root element').toHaveBeenWarned()
+  it('wrap root elements after a v-if chain in a fragment', () => {
+    const ast = parse('<div v-if="1"></div><div v-else-if="2"></div><div v-else></div><p></p>', baseOptions)
+    expect(ast.fragment).toBe(true)
+    expect(ast.children.length).toBe(2)
+    expect(ast.children[0].ifConditions.length).toBe(3)
+    expect(ast.children[1].tag).toBe('p')
   })
 
-  it('warn <slot> as root element', () => {
+  it('allow <template>, <slot> and v-for as root element', () => {
+    parse('<template><div></div><div></div></template>', baseOptions)
     parse('<slot></slot>', baseOptions)
-    expect('Cannot use <slot> as component root element').toHaveBeenWarned()
-  })
-
-  it('warn v-for on root element', () => {
     parse('<div v-for="item in items"></div>', baseOptions)
-    expect('Cannot use v-for on stateful component root element').toHaveBeenWarned()
+    parse('<div v-if="1"></div><div v-else v-for="i in [1]"></div>', baseOptions)
+    expect('component root element').not.toHaveBeenWarned()
   })
 
   it('warn <template> key', () => {
@@ -0,0 +1,172 @@
+import Vue from 'vue'
+import { observe } from 'core/observer/index'
+import Watcher from 'core/observer/watcher'
+
+describe('Observer: Map / Set', () => {
+  let vm
+  beforeEach(() => {
+    vm = new Vue()
+  })
+
+  it('observes plain Map and Set instances only', () => {
+    const map = new Map()
+    const set = new Set()
+    expect(observe(map)).toBeDefined()
+    expect(observe(set)).toBeDefined()
+    class MyMap extends Map {}
+    expect(observe(new MyMap())).toBeUndefined()
+    expect(observe(new WeakMap())).toBeUndefined()
+    // still a real Map
+    expect(map instanceof Map).toBe(true)
+    map.set('a', 1)
+    expect(map.get('a')).toBe(1)
+    expect(map.size).toBe(1)
+  })
+
+  it('Map get/has depend per key', done => {
+    const map = new Map([['a', 1], ['b', 2]])
+    observe(map)
+    const spyA = jasmine.createSpy('a')
+    const spyHas = jasmine.createSpy('has')
+    new Watcher(vm, () => map.get('a'), spyA)
+    new Watcher(vm, () => map.has('c'), spyHas)
+    map.set('b', 3)
+    waitForUpdate(() => {
+      expect(spyA).not.toHaveBeenCalled()
+      expect(spyHas).not.toHaveBeenCalled()
+      map.set('a', 2)
+      map.set('c', 1)
+    }).then(() => {
+      expect(spyA).toHaveBeenCalledWith(2, 1)
+      expect(spyHas).toHaveBeenCalledWith(true, false)
+      map.delete('c')
+    }).then(() => {
+      expect(spyHas).toHaveBeenCalledWith(false, true)
+      map.clear()
+    }).then(() => {
+      expect(spyA).toHaveBeenCalledWith(undefined, 2)
+    }).then(done)
+  })
+
+  it('does not notify when setting the same value', done => {
+    const map = new Map([['a', 1]])
+    observe(map)
+    const spy = jasmine.createSpy('size')
+    new Watcher(vm, () => map.get('a'), spy)
+    map.set('a', 1)
+    waitForUpdate(() => {
+      expect(spy).not.toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('size and iteration depend on the collection', done => {
+    const map = new Map([['a', 1]])
+    const set = new Set([1])
+    observe(map)
+    observe(set)
+    const sizeSpy = jasmine.createSpy('size')
+    const entriesSpy = jasmine.createSpy('entries')
+    const forEachSpy = jasmine.createSpy('forEach')
+    const valuesSpy = jasmine.createSpy('values')
+    new Watcher(vm, () => map.size + set.size, sizeSpy)
+    new Watcher(vm, () => Array.from(map).join(';'), entriesSpy)
+    new Watcher(vm, () => {
+      const res = []
+      set.forEach(v => res.push(v))
+      return res.join(',')
+    }, forEachSpy)
+    new Watcher(vm, () => Array.from(map.values()).join(','), valuesSpy)
+    map.set('b', 2)
+    set.add(2)
+    waitForUpdate(() => {
+      expect(sizeSpy).toHaveBeenCalledWith(4, 2)
+      expect(entriesSpy).toHaveBeenCalledWith('a,1;b,2', 'a,1')
+      expect(forEachSpy).toHaveBeenCalledWith('1,2', '1')
+      expect(valuesSpy).toHaveBeenCalledWith('1,2', '1')
+      map.set('a', 3)
+      set.add(2)
+    }).then(() => {
+      expect(valuesSpy).toHaveBeenCalledWith('3,2', '1,2')
+      expect(forEachSpy.calls.count()).toBe(1)
+    }).then(done)
+  })
+
+  it('observes nested values', done => {
+    const map = new Map([['a', { count: 0 }]])
+    const set = new Set([{ count: 0 }])
+    observe(map)
+    observe(set)
+    const spy = jasmine.createSpy('nested')
+    new Watcher(vm, () => {
+      let total = map.get('a').count
+      set.forEach(item => { total += item.count })
+      return total
+    }, spy)
+    map.get('a').count++
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0)
+      set.values().next().value.count++
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(2, 1)
+    }).then(done)
+  })
+
+  it('works as component data with v-for', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <span v-for="[key, value] in map">{{ key }}:{{ value.text }}</span>
+          <p v-for="item in set">{{ item }}</p>
+          <i>{{ map.size }}</i>
+        </div>
+      `,
+      data: {
+        map: new Map([['a', { text: 'foo' }]]),
+        set: new Set(['x'])
+      }
+    }).$mount()
+    expect(vm.$el.querySelectorAll('span').length).toBe(1)
+    expect(vm.$el.querySelector('span').textContent).toBe('a:foo')
+    vm.map.set('b', { text: 'bar' })
+    vm.set.add('y')
+    waitForUpdate(() => {
+      expect(vm.$el.querySelectorAll('span').length).toBe(2)
+      expect(vm.$el.querySelectorAll('p').length).toBe(2)
+      expect(vm.$el.querySelector('i').textContent).toBe('2')
+      vm.map.get('a').text = 'baz'
+      vm.set.delete('x')
+    }).then(() => {
+      expect(vm.$el.querySelector('span').textContent).toBe('a:baz')
+      expect(vm.$el.querySelectorAll('p').length).toBe(1)
+      expect(vm.$el.querySelector('p').textContent).toBe('y')
+    }).then(done)
+  })
+
+  it('deep watchers traverse collections', done => {
+    const spy = jasmine.createSpy('deep')
+    const vm = new Vue({
+      data: { map: new Map([['a', { b: 1 }]]) },
+      watch: {
+        map: { handler: spy, deep: true }
+      }
+    })
+    vm.map.get('a').b = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+
+  it('works in proxy mode', done => {
+    Vue.config.reactivity = 'proxy'
+    const state = Vue.observable({ map: new Map(), list: [] })
+    Vue.config.reactivity = 'defineProperty'
+    const spy = jasmine.createSpy('proxy')
+    new Watcher(vm, () => state.map.size, spy)
+    const key = state.list
+    state.map.set(key, 1)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(1, 0)
+      expect(state.map.get(state.__ob__.value.list)).toBe(1)
+    }).then(done)
+  })
+})
@@ -51,6 +51,26 @@ describe('Dep', () => {
       dep.depend()
       expect(Dep.target.addDep).toHaveBeenCalledWith(dep)
     })
+
+    it('should report debugger info to target.onTrack', () => {
+      Dep.target = jasmine.createSpyObj('TARGET', ['addDep', 'onTrack'])
+      Dep.target.addDep.and.returnValue(true)
+      const target = {}
+      dep.depend({ target, type: 'get', key: 'a' })
+      expect(Dep.target.onTrack).toHaveBeenCalledWith({
+        effect: Dep.target,
+        target,
+        type: 'get',
+        key: 'a'
+      })
+    })
+
+    it('should not report to target.onTrack when the dep is already collected', () => {
+      Dep.target = jasmine.createSpyObj('TARGET', ['addDep', 'onTrack'])
+      Dep.target.addDep.and.returnValue(false)
+      dep.depend({ target: {}, type: 'get', key: 'a' })
+      expect(Dep.target.onTrack).not.toHaveBeenCalled()
+    })
   })
 
   describe('notify()', () => {
@@ -59,5 +79,21 @@ describe('Dep', () => {
       dep.notify()
       expect(dep.subs[0].update).toHaveBeenCalled()
     })
+
+    it('should report debugger info to sub.onTrigger', () => {
+      const sub = jasmine.createSpyObj('SUB', ['update', 'onTrigger'])
+      const target = {}
+      dep.subs.push(sub)
+      dep.notify({ target, type: 'set', key: 'a', newValue: 2, oldValue: 1 })
+      expect(sub.onTrigger).toHaveBeenCalledWith({
+        effect: sub,
+        target,
+        type: 'set',
+        key: 'a',
+        newValue: 2,
+        oldValue: 1
+      })
+      expect(sub.update).toHaveBeenCalled()
+    })
   })
 })
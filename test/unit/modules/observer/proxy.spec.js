@@ -0,0 +1,202 @@
+import Vue from 'vue'
+import { observe, set as setProp, del as delProp } from 'core/observer/index'
+import Watcher from 'core/observer/watcher'
+
+describe('Observer: proxy mode', () => {
+  beforeEach(() => {
+    Vue.config.reactivity = 'proxy'
+  })
+
+  afterEach(() => {
+    Vue.config.reactivity = 'defineProperty'
+  })
+
+  it('wraps objects in a proxy without converting keys', () => {
+    const obj = { a: 1, b: { c: 2 }}
+    const ob = observe(obj)
+    expect(ob.proxy).toBeDefined()
+    expect(ob.proxy).not.toBe(obj)
+    expect(Object.getOwnPropertyDescriptor(obj, 'a').get).toBeUndefined()
+    // nested objects are observed lazily and returned as proxies
+    const b = ob.proxy.b
+    expect(b).toBe(obj.b.__ob__.proxy)
+    expect(ob.proxy.b).toBe(b)
+    // already observed objects keep the same observer
+    expect(observe(obj)).toBe(ob)
+    expect(observe(ob.proxy)).toBe(ob)
+  })
+
+  it('Vue.observable returns the proxy', () => {
+    const raw = { count: 0 }
+    const state = Vue.observable(raw)
+    expect(state).not.toBe(raw)
+    expect(state).toBe(raw.__ob__.proxy)
+  })
+
+  it('tracks property additions and deletions', done => {
+    const state = Vue.observable({ a: 1 })
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue()
+    new Watcher(vm, () => state.b, spy)
+    const keysSpy = jasmine.createSpy('keys')
+    new Watcher(vm, () => Object.keys(state).join(','), keysSpy)
+    const hasSpy = jasmine.createSpy('has')
+    new Watcher(vm, () => 'c' in state, hasSpy)
+    state.b = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith(2, undefined)
+      expect(keysSpy).toHaveBeenCalledWith('a,b', 'a')
+      delete state.b
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith(undefined, 2)
+      expect(keysSpy).toHaveBeenCalledWith('a', 'a,b')
+      expect(hasSpy).not.toHaveBeenCalled()
+      state.c = 3
+    }).then(() => {
+      expect(hasSpy).toHaveBeenCalledWith(true, false)
+    }).then(done)
+  })
+
+  it('only notifies watchers of the changed key', done => {
+    const state = Vue.observable({ a: 1, b: 1 })
+    const spyA = jasmine.createSpy('a')
+    const spyB = jasmine.createSpy('b')
+    const vm = new Vue()
+    const watcherA = new Watcher(vm, () => state.a, spyA)
+    new Watcher(vm, () => state.b, spyB)
+    spyOn(watcherA, 'update').and.callThrough()
+    state.b = 2
+    state.a = 1
+    waitForUpdate(() => {
+      expect(watcherA.update).not.toHaveBeenCalled()
+      expect(spyA).not.toHaveBeenCalled()
+      expect(spyB).toHaveBeenCalledWith(2, 1)
+    }).then(done)
+  })
+
+  it('tracks array index assignment and length changes', done => {
+    const state = Vue.observable({ list: [1, 2, 3] })
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue()
+    new Watcher(vm, () => state.list.join(','), spy)
+    state.list[0] = 0
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('0,2,3', '1,2,3')
+      state.list.length = 1
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('0', '0,2,3')
+      state.list.push({ a: 1 })
+    }).then(() => {
+      expect(spy.calls.count()).toBe(3)
+      expect(state.list[1]).toBe(state.list[1].__ob__.proxy)
+    }).then(done)
+  })
+
+  it('stores raw values when assigning proxies', () => {
+    const state = Vue.observable({ a: null })
+    const other = Vue.observable({ b: 1 })
+    state.a = other
+    expect(state.__ob__.value.a).toBe(other.__ob__.value)
+    expect(state.a).toBe(other)
+  })
+
+  it('Vue.set / Vue.delete go through the proxy', done => {
+    const raw = { a: 1, list: [1] }
+    const state = Vue.observable(raw)
+    const spy = jasmine.createSpy('watcher')
+    const vm = new Vue()
+    new Watcher(vm, () => `${state.b}|${state.list.join(',')}`, spy)
+    setProp(raw, 'b', 2)
+    setProp(raw.list, 0, 2)
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalledWith('2|2', 'undefined|1')
+      delProp(raw, 'b')
+      delProp(state.list, 0)
+    }).then(() => {
+      expect(spy).toHaveBeenCalledWith('undefined|', '2|2')
+    }).then(done)
+  })
+
+  it('works with component data and templates', done => {
+    const vm = new Vue({
+      template: `
+        <div>
+          <span>{{ info.name }}</span>
+          <ul><li v-for="item in list">{{ item.text }}</li></ul>
+          <p>{{ Object.keys(info).length }}</p>
+        </div>
+      `,
+      data: {
+        info: { name: 'foo' },
+        list: [{ text: 'a' }]
+      }
+    }).$mount()
+    expect(vm.$data).toBe(vm._data)
+    expect(vm.$data).toBe(vm.$data.__ob__.proxy)
+    expect(vm.$el.querySelector('span').textContent).toBe('foo')
+    vm.info.age = 1
+    vm.list[1] = { text: 'b' }
+    waitForUpdate(() => {
+      expect(vm.$el.querySelector('p').textContent).toBe('2')
+      expect(vm.$el.querySelectorAll('li').length).toBe(2)
+      vm.list[1].text = 'c'
+      delete vm.info.name
+    }).then(() => {
+      expect(vm.$el.querySelector('li:last-child').textContent).toBe('c')
+      expect(vm.$el.querySelector('span').textContent).toBe('')
+      expect(vm.$el.querySelector('p').textContent).toBe('1')
+    }).then(done)
+  })
+
+  it('does not observe shallow data entries', done => {
+    const rows = [{ id: 1 }]
+    const vm = new Vue({
+      data: () => ({ rows: Vue.shallow(rows)}),
+      template: '<div>{{ rows[0].id }}</div>'
+    }).$mount()
+    expect(vm.rows).toBe(rows)
+    expect(rows.__ob__).toBeUndefined()
+    vm.rows[0].id = 2
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('1')
+      vm.rows = [{ id: 3 }]
+    }).then(() => {
+      expect(vm.$el.textContent).toBe('3')
+      expect(vm.rows.__ob__).toBeUndefined()
+    }).then(done)
+  })
+
+  it('passes proxies down as props', done => {
+    const vm = new Vue({
+      template: `<test :info="info"></test>`,
+      data: {
+        info: { name: 'foo' }
+      },
+      components: {
+        test: {
+          props: ['info'],
+          template: `<span>{{ info.name }}{{ info.extra }}</span>`
+        }
+      }
+    }).$mount()
+    expect(vm.$children[0].info).toBe(vm.info)
+    vm.info.extra = '!'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('foo!')
+    }).then(done)
+  })
+
+  it('deep watchers see added keys', done => {
+    const spy = jasmine.createSpy('deep')
+    const vm = new Vue({
+      data: { obj: { a: { b: 1 }}},
+      watch: {
+        obj: { handler: spy, deep: true }
+      }
+    })
+    vm.obj.a.c = 2
+    waitForUpdate(() => {
+      expect(spy).toHaveBeenCalled()
+    }).then(done)
+  })
+})
@@ -126,6 +126,83 @@ describe('Scheduler', () => {
     }).then(done)
   })
 
+  describe('infinite update loop diagnostics', () => {
+    afterEach(() => {
+      Vue.config.maxUpdateCount = MAX_UPDATE_COUNT
+      Vue.config.onInfiniteLoop = null
+    })
+
+    it('should respect config.maxUpdateCount', done => {
+      Vue.config.maxUpdateCount = 10
+      let count = 0
+      const job = {
+        id: 1,
+        run () {
+          count++
+          queueWatcher(job)
+        }
+      }
+      queueWatcher(job)
+      waitForUpdate(() => {
+        expect(count).toBe(11)
+        expect('infinite update loop').toHaveBeenWarned()
+      }).then(done)
+    })
+
+    it('should report the cycle of watchers and keys', done => {
+      const onInfiniteLoop = Vue.config.onInfiniteLoop = jasmine.createSpy('onInfiniteLoop')
+      const vm = new Vue({
+        data: { a: 0, b: 0 },
+        watch: {
+          a () {
+            this.b++
+          },
+          b () {
+            this.a++
+          }
+        }
+      })
+      vm.a++
+      waitForUpdate(() => {
+        expect(
+          'You may have an infinite update loop in watcher with expression "a"\n\n' +
+          'Update cycle:\n' +
+          '  watcher "a" of <Root> was triggered by set "a" in watcher "b" of <Root>\n' +
+          '  watcher "b" of <Root> was triggered by set "b" in watcher "a" of <Root>'
+        ).toHaveBeenWarned()
+        expect(onInfiniteLoop.calls.count()).toBe(1)
+        const info = onInfiniteLoop.calls.argsFor(0)[0]
+        expect(info.vm).toBe(vm)
+        expect(info.watcher.expression).toBe('a')
+        expect(info.count).toBe(MAX_UPDATE_COUNT + 1)
+        expect(info.cycle.length).toBe(2)
+        expect(info.cycle[0].vm).toBe(vm)
+        expect(info.cycle[0].type).toBe('set')
+        expect(info.cycle[0].key).toBe('a')
+        expect(info.cycle[0].target).toBe(vm._data)
+        expect(info.cycle[0].triggeredBy).toBe(info.cycle[1].watcher)
+        expect(info.cycle[1].key).toBe('b')
+        expect(info.cycle[1].triggeredBy).toBe(info.watcher)
+      }).then(done)
+    })
+
+    it('should name render watchers in the cycle', done => {
+      new Vue({
+        data: { n: 0 },
+        render (h) {
+          return h('div', this.n++)
+        }
+      }).$mount()
+      waitForUpdate(() => {
+        expect(
+          'You may have an infinite update loop in a component render function.\n\n' +
+          'Update cycle:\n' +
+          '  render watcher of <Root> was triggered by set "n" in render watcher of <Root>'
+        ).toHaveBeenWarned()
+      }).then(done)
+    })
+  })
+
   it('should call newly pushed watcher after current watcher is done', done => {
     const callOrder = []
     queueWatcher({
@@ -177,4 +254,213 @@ describe('Scheduler', () => {
       })
     })
   })
+
+  describe('flush timing', () => {
+    it('pre (default): run before component re-render', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              calls.push(this.$el.textContent)
+            },
+            flush: 'pre'
+          }
+        },
+        updated () {
+          calls.push('updated')
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['1', 'updated'])
+      }).then(done)
+    })
+
+    it('post: run after DOM patch and updated hooks', done => {
+      const calls = []
+      const vm = new Vue({
+        data: { a: 1 },
+        template: '<div>{{ a }}</div>',
+        watch: {
+          a: {
+            handler () {
+              calls.push(this.$el.textContent)
+            },
+            flush: 'post'
+          }
+        },
+        updated () {
+          calls.push('updated')
+        }
+      }).$mount()
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual(['updated', '2'])
+      }).then(done)
+    })
+
+    it('post: changes made by post watchers are flushed again', done => {
+      const vm = new Vue({
+        data: { a: 1, b: 1 },
+        template: '<div>{{ b }}</div>'
+      }).$mount()
+      vm.$watch('a', val => {
+        vm.b = val * 2
+      }, { flush: 'post' })
+      vm.a = 2
+      waitForUpdate(() => {
+        expect(vm.b).toBe(4)
+      }).then(() => {
+        expect(vm.$el.textContent).toBe('4')
+      }).then(done)
+    })
+
+    it('sync: bypass the queue', () => {
+      const spy = jasmine.createSpy('sync')
+      const vm = new Vue({
+        data: { a: 1 }
+      })
+      vm.$watch('a', spy, { flush: 'sync' })
+      vm.a = 2
+      expect(spy).toHaveBeenCalledWith(2, 1)
+      vm.a = 3
+      expect(spy.calls.count()).toBe(2)
+    })
+
+    it('warn on invalid flush option', () => {
+      const vm = new Vue({
+        data: { a: 1 }
+      })
+      vm.$watch('a', () => {}, { flush: 'later' })
+      expect('Invalid flush option "later" for watcher').toHaveBeenWarned()
+    })
+  })
+
+  describe('time slicing', () => {
+    let calls, vm, onRootRender
+
+    beforeEach(() => {
+      Vue.config.timeSlicing = true
+      calls = []
+      onRootRender = null
+      const Child = {
+        props: ['n'],
+        render (h) {
+          calls.push(`render ${this.n}`)
+          return h('span', this.n)
+        },
+        updated () {
+          calls.push(`updated ${this.n}`)
+        }
+      }
+      vm = new Vue({
+        data: { n: 1 },
+        render (h) {
+          calls.push('render root')
+          onRootRender && onRootRender()
+          return h('div', [
+            h(Child, { props: { n: this.n }}),
+            h(Child, { props: { n: this.n + 1 }})
+          ])
+        },
+        updated () {
+          calls.push('updated root')
+        }
+      }).$mount()
+      calls.length = 0
+    })
+
+    afterEach(() => {
+      Vue.config.timeSlicing = false
+      Vue.config.frameBudget = 5
+    })
+
+    it('should yield once the frame budget is exceeded', done => {
+      Vue.config.frameBudget = 0
+      // 微任务只有在刷新让出主线程后才会在子组件渲染之前执行
+      onRootRender = () => Promise.resolve().then(() => {
+        calls.push('yielded')
+        expect(vm.$el.textContent).toBe('12')
+      })
+      vm.n = 2
+      vm.$once('hook:updated', () => {
+        expect(calls).toEqual([
+          'render root',
+          'yielded',
+          'render 2',
+          'render 3',
+          'updated 3',
+          'updated 2',
+          'updated root'
+        ])
+        expect(vm.$el.textContent).toBe('23')
+        done()
+      })
+    })
+
+    it('should run nextTick callbacks after the sliced flush', done => {
+      Vue.config.frameBudget = 0
+      const finished = [
+        'render root',
+        'render 2',
+        'render 3',
+        'updated 3',
+        'updated 2',
+        'updated root'
+      ]
+      // 在刷新让出主线程期间注册的回调同样要等刷新完成
+      onRootRender = () => Promise.resolve().then(() => {
+        vm.$nextTick(() => {
+          expect(calls).toEqual(finished.concat('first'))
+          expect(vm.$el.textContent).toBe('23')
+          done()
+        })
+      })
+      vm.n = 2
+      vm.$nextTick(() => {
+        calls.push('first')
+        expect(calls).toEqual(finished.concat('first'))
+        expect(vm.$el.textContent).toBe('23')
+      })
+    })
+
+    it('should continue a sliced flush when a watcher throws', done => {
+      Vue.config.frameBudget = 0
+      const err = new Error('slice failed')
+      const errorHandler = jasmine.createSpy('errorHandler')
+      const after = jasmine.createSpy('after')
+      Vue.config.errorHandler = errorHandler
+      queueWatcher({ id: 10001, run () {} })
+      queueWatcher({ id: 10002, run () { throw err } })
+      queueWatcher({ id: 10003, run: after })
+      Vue.nextTick(() => {
+        Vue.config.errorHandler = null
+        expect(errorHandler).toHaveBeenCalledWith(err, null, 'scheduler flush')
+        expect(after).toHaveBeenCalled()
+        // the scheduler accepts new flushes afterwards
+        queueWatcher({ id: 10004, run: spy })
+        waitForUpdate(() => {
+          expect(spy).toHaveBeenCalled()
+        }).then(done)
+      })
+    })
+
+    it('should flush in one go within the frame budget', done => {
+      Vue.config.frameBudget = 1000
+      vm.n = 2
+      waitForUpdate(() => {
+        expect(calls).toEqual([
+          'render root',
+          'render 2',
+          'render 3',
+          'updated 3',
+          'updated 2',
+          'updated root'
+        ])
+      }).then(done)
+    })
+  })
 })
@@ -135,6 +135,113 @@ describe('vdom patch: hydration', () => {
     }).then(done)
   })
 
+  it('should hydrate fragment components', done => {
+    const dom = createMockSSRDOM('<!--[--><span>foo</span><b>bar</b><!--]--><p>end</p>')
+    const originalNodes = Array.from(dom.childNodes)
+
+    const vm = new Vue({
+      template: '<div><test :msg="msg"></test><p>end</p></div>',
+      data: { msg: 'foo' },
+      components: {
+        test: {
+          props: ['msg'],
+          template: '<span>{{ msg }}</span><b>bar</b>'
+        }
+      }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(Array.from(vm.$el.childNodes)).toEqual(originalNodes)
+    expect(vm.$children[0].$el).toBe(originalNodes[0])
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(vm.$el.innerHTML).toBe('<!--[--><span>baz</span><b>bar</b><!--]--><p>end</p>')
+      expect(vm.$el.childNodes[1]).toBe(originalNodes[1])
+    }).then(done)
+  })
+
+  it('should hydrate a root fragment inside its container', done => {
+    const container = document.createElement('div')
+    container.innerHTML = `<!--[${SSR_ATTR}--><span>foo</span><b>bar</b><!--]-->`
+    const originalNodes = Array.from(container.childNodes)
+
+    const vm = new Vue({
+      template: '<span>{{ msg }}</span><b>bar</b>',
+      data: { msg: 'foo' }
+    })
+
+    vm.$mount(container)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(vm.$el).toBe(originalNodes[0])
+    expect(Array.from(container.childNodes)).toEqual(originalNodes)
+    expect(container.innerHTML).toBe('<!--[--><span>foo</span><b>bar</b><!--]-->')
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(container.innerHTML).toBe('<!--[--><span>baz</span><b>bar</b><!--]-->')
+      expect(container.childNodes[1]).toBe(originalNodes[1])
+    }).then(done)
+  })
+
+  it('should re-render a mismatching root fragment inside its container', () => {
+    const container = document.createElement('div')
+    container.innerHTML = `<!--[${SSR_ATTR}--><p>foo</p><!--]-->`
+
+    const vm = new Vue({
+      template: '<span>{{ msg }}</span><b>bar</b>',
+      data: { msg: 'foo' }
+    })
+
+    vm.$mount(container)
+    expect('not matching server-rendered content').toHaveBeenWarned()
+    expect(container.innerHTML).toBe('<span>foo</span><b>bar</b>')
+    expect(vm.$el).toBe(container.firstChild)
+  })
+
+  it('should hydrate teleported content in the target', done => {
+    const target = document.createElement('div')
+    target.innerHTML = '<i>existing</i><!--[--><span>foo</span><!--]--><!--[--><b>bar</b><!--]-->'
+    const originalNodes = Array.from(target.childNodes)
+    const dom = createMockSSRDOM('<!--teleport--><!--teleport-->')
+
+    const vm = new Vue({
+      template: `<div><teleport :to="target"><span>{{ msg }}</span></teleport><teleport :to="target"><b>bar</b></teleport></div>`,
+      data: { msg: 'foo', target }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    // the start markers are removed, the rest is reused
+    expect(target.innerHTML).toBe('<i>existing</i><span>foo</span><!--]--><b>bar</b><!--]-->')
+    expect(target.childNodes[1]).toBe(originalNodes[2])
+    expect(target.childNodes[3]).toBe(originalNodes[5])
+    vm.msg = 'baz'
+    waitForUpdate(() => {
+      expect(target.innerHTML).toBe('<i>existing</i><span>baz</span><!--]--><b>bar</b><!--]-->')
+    }).then(done)
+  })
+
+  it('should hydrate suspense content without showing the fallback', done => {
+    const dom = createMockSSRDOM('<!--[--><!--[--><span>foo</span><!--]--><!--]-->')
+    const span = dom.querySelector('span')
+    const onPending = jasmine.createSpy('pending')
+
+    const vm = new Vue({
+      template: `<div><suspense @pending="onPending"><span>{{ msg }}</span><template #fallback>loading</template></suspense></div>`,
+      data: { msg: 'foo' },
+      methods: { onPending }
+    })
+
+    vm.$mount(dom)
+    expect('not matching server-rendered content').not.toHaveBeenWarned()
+    expect(onPending).not.toHaveBeenCalled()
+    expect(vm.$el.querySelector('span')).toBe(span)
+    vm.msg = 'bar'
+    waitForUpdate(() => {
+      expect(vm.$el.textContent).toBe('bar')
+    }).then(done)
+  })
+
   it('should warn failed hydration for non-matching DOM in child component', () => {
     const dom = createMockSSRDOM('<div><span></span></div>')
 
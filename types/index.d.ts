@@ -5,7 +5,20 @@ export default Vue;
 
 export {
   CreateElement,
-  VueConstructor
+  VueConstructor,
+  DeepReadonly,
+  InfiniteLoopInfo,
+  OptionConflict,
+  AsyncComputedState,
+  UpdateCycleEntry,
+  EffectOptions,
+  EffectRunner,
+  ComputedRef,
+  Ref,
+  EffectScope,
+  App,
+  AppConfig,
+  AppPlugin
 } from "./vue";
 
 export {
@@ -16,10 +29,19 @@ export {
   RenderContext,
   PropType,
   PropOptions,
+  PropSchemaField,
+  PropTypesStatic,
   ComputedOptions,
+  AsyncComputedOptions,
   WatchHandler,
   WatchOptions,
   WatchOptionsWithHandler,
+  DebuggerEvent,
+  DebuggerOptions,
+  DeepWatchOptions,
+  WatchSource,
+  SetupContext,
+  SetupResult,
   DirectiveFunction,
   DirectiveOptions
 } from "./options";
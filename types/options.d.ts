@@ -41,7 +41,7 @@ export type AsyncComponentFactory<Data=DefaultData<never>, Methods=DefaultMethod
  * to infer from the shape of `Accessors<Computed>` and work backwards.
  */
 export type Accessors<T> = {
-  [K in keyof T]: (() => T[K]) | ComputedOptions<T[K]>
+  [K in keyof T]: (() => T[K]) | ComputedOptions<T[K]> | AsyncComputedOptions<T[K]>
 }
 
 type DataDef<Data, Props, V> = Data | ((this: Readonly<Props> & V) => Data)
@@ -78,11 +78,12 @@ export interface ComponentOptions<
   computed?: Accessors<Computed>;
   methods?: Methods;
   watch?: Record<string, WatchOptionsWithHandler<any> | WatchHandler<any>>;
+  setup?(this: void, props: Props, ctx: SetupContext): SetupResult | Promise<SetupResult>;
 
   el?: Element | string;
   template?: string;
   // hack is for functional component type inference, should not be used in user code
-  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode;
+  render?(createElement: CreateElement, hack: RenderContext<Props>): VNode | VNode[];
   renderError?(createElement: CreateElement, err: Error): VNode;
   staticRenderFns?: ((createElement: CreateElement) => VNode)[];
 
@@ -98,6 +99,8 @@ export interface ComponentOptions<
   deactivated?(): void;
   errorCaptured?(err: Error, vm: Vue, info: string): boolean | void;
   serverPrefetch?(this: V): Promise<void>;
+  renderTracked?(event: DebuggerEvent): void;
+  renderTriggered?(event: DebuggerEvent): void;
 
   directives?: { [key: string]: DirectiveFunction | DirectiveOptions };
   components?: { [key: string]: Component<any, any, any, any> | AsyncComponent<any, any, any, any> };
@@ -106,6 +109,7 @@ export interface ComponentOptions<
 
   provide?: object | (() => object);
   inject?: InjectOptions;
+  emits?: string[] | Record<string, ((...args: any[]) => boolean) | null>;
 
   model?: {
     prop?: string;
@@ -156,6 +160,16 @@ export interface PropOptions<T=any> {
   required?: boolean;
   default?: T | null | undefined | (() => T | null | undefined);
   validator?(value: T): boolean;
+  shallow?: boolean;
+}
+
+export type PropSchemaField<T=any> = PropType<T> | { type?: PropType<T>; required?: boolean };
+
+export interface PropTypesStatic {
+  shape<T extends object = Record<string, any>>(fields: { [K in keyof T]: PropSchemaField<T[K]> }): PropType<T>;
+  arrayOf<T>(type: PropType<T>): PropType<T[]>;
+  objectOf<T>(type: PropType<T>): PropType<Record<string, T>>;
+  oneOf<T>(values: T[]): PropType<T>;
 }
 
 export type RecordPropsDefinition<T> = {
@@ -164,21 +178,61 @@ export type RecordPropsDefinition<T> = {
 export type ArrayPropsDefinition<T> = (keyof T)[];
 export type PropsDefinition<T> = ArrayPropsDefinition<T> | RecordPropsDefinition<T>;
 
-export interface ComputedOptions<T> {
+export interface DebuggerEvent {
+  effect: object;
+  target: object;
+  type: "get" | "has" | "iterate" | "set" | "add" | "delete" | "clear" | "array mutation";
+  key?: any;
+  newValue?: any;
+  oldValue?: any;
+}
+
+export interface DebuggerOptions {
+  onTrack?(event: DebuggerEvent): void;
+  onTrigger?(event: DebuggerEvent): void;
+}
+
+export interface ComputedOptions<T> extends DebuggerOptions {
   get?(): T;
   set?(value: T): void;
   cache?: boolean;
 }
 
-export type WatchHandler<T> = string | ((val: T, oldVal: T) => void);
+export interface AsyncComputedOptions<T> {
+  async: true;
+  get(): Promise<T>;
+  default?: T | (() => T);
+}
 
-export interface WatchOptions {
-  deep?: boolean;
+export type SetupResult = Record<string, any> | ((h: CreateElement) => VNode) | void;
+
+export interface SetupContext {
+  readonly attrs: Record<string, string>;
+  readonly listeners: Record<string, Function | Function[]>;
+  readonly slots: { [key: string]: NormalizedScopedSlot | undefined };
+  emit(event: string, ...args: any[]): void;
+}
+
+export type WatchHandler<T> = string | ((val: T, oldVal: T, changedPaths?: string[]) => void);
+
+export interface DeepWatchOptions {
+  depth?: number;
+  include?: string | string[];
+  exclude?: string | string[];
+  paths?: boolean;
+}
+
+export interface WatchOptions extends DebuggerOptions {
+  deep?: boolean | number | DeepWatchOptions;
   immediate?: boolean;
+  flush?: "pre" | "post" | "sync";
 }
 
+export type WatchSource = string | ((this: any, vm: any) => any);
+
 export interface WatchOptionsWithHandler<T> extends WatchOptions {
   handler: WatchHandler<T>;
+  source?: WatchSource | WatchSource[];
 }
 
 export interface DirectiveBinding extends Readonly<VNodeDirective> {
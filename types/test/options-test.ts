@@ -90,6 +90,24 @@ Vue.component('union-prop', {
   }
 });
 
+Vue.component('schema-prop', {
+  props: {
+    user: Vue.PropTypes.shape<{ name: string; tags: string[] }>({
+      name: { type: String, required: true },
+      tags: Vue.PropTypes.arrayOf(String)
+    }),
+    scores: Vue.PropTypes.objectOf(Number),
+    size: { type: Vue.PropTypes.oneOf(['small', 'large']), default: 'small' }
+  },
+  data() {
+    this.user.name.toUpperCase();
+    this.user.tags.map(tag => tag.length);
+    this.scores.foo.toFixed();
+    const size: string = this.size;
+    return {}
+  }
+});
+
 Vue.component('union-prop-with-no-casting', {
   props: {
     mixed: [RegExp, Array],
@@ -117,6 +135,15 @@ Vue.component('prop-with-primitive-default', {
   }
 });
 
+Vue.component('prop-with-shallow', {
+  props: {
+    rows: {
+      type: Array,
+      shallow: true
+    }
+  }
+});
+
 Vue.component('component', {
   data() {
     this.$mount
@@ -147,7 +174,20 @@ Vue.component('component', {
       set(v: number) {
         this.a = v - 1;
       },
-      cache: false
+      cache: false,
+      onTrack(e) {
+        e.target;
+      },
+      onTrigger(e) {
+        e.type === "set";
+      }
+    },
+    remote: {
+      async: true,
+      get(): Promise<number> {
+        return Promise.resolve(this.a);
+      },
+      default: 0
     }
   },
   methods: {
@@ -156,6 +196,7 @@ Vue.component('component', {
       this.aDouble.toFixed();
       this.aPlus = 1;
       this.size.toFixed();
+      this.$asyncComputed.remote.pending;
     }
   },
   watch: {
@@ -169,9 +210,23 @@ Vue.component('component', {
       },
       deep: true
     },
+    ab: {
+      source: ['a', function () { return this.b }],
+      handler(vals: any[], oldVals: any[]) {}
+    },
+    'c.d': {
+      handler(val, oldVal, changedPaths) {
+        changedPaths && changedPaths.length;
+      },
+      deep: 3
+    },
     d: {
       handler: 'someMethod',
       immediate: true
+    },
+    e: {
+      handler: 'someMethod',
+      flush: 'post'
     }
   },
   el: "#app",
@@ -258,6 +313,13 @@ Vue.component('component', {
   serverPrefetch () {
     return Promise.resolve()
   },
+  renderTracked(e) {
+    e.key;
+  },
+  renderTriggered(e) {
+    e.newValue;
+    e.oldValue;
+  },
 
   directives: {
     a: {
@@ -326,6 +388,46 @@ Vue.component('provide-function', {
   })
 })
 
+Vue.component('component-with-emits', {
+  emits: {
+    change: (value: number) => value > 0,
+    close: null
+  }
+})
+
+Vue.component('component-with-emits-array', {
+  emits: ['change', 'close']
+})
+
+Vue.component('component-with-setup', {
+  props: {
+    step: Number
+  },
+  setup (props, { attrs, slots, emit }) {
+    const count = Vue.ref(0)
+    Vue.onMounted(() => {
+      emit('ready', attrs.id, slots.default)
+    })
+    return {
+      count,
+      inc: () => { count.value += props.step }
+    }
+  }
+})
+
+Vue.component('component-with-setup-render', {
+  setup () {
+    return (h: CreateElement) => h('div')
+  }
+})
+
+Vue.component('component-with-async-setup', {
+  async setup () {
+    const msg = await Promise.resolve('loaded')
+    return { msg }
+  }
+})
+
 Vue.component('component-with-slot', {
   render (h): VNode {
     return h('div', this.$slots.default)
@@ -499,3 +601,9 @@ Vue.component('directive-expression-optional-string', {
     })
   }
 });
+
+Vue.component('fragment-component', {
+  render(h) {
+    return [h('li'), h('li')]
+  }
+});
@@ -44,7 +44,15 @@ class Test extends Vue {
       deep: false
     })();
     this.$watch(() => this.a, (val: number) => {});
+    this.$watch(() => this.a, (val: number) => {}, { flush: "sync" });
+    this.$watch(["a", () => this.a], (vals, oldVals) => {
+      vals.length + oldVals.length;
+    });
+    this.$watch("a", (val, oldVal, changedPaths) => {
+      changedPaths && changedPaths.join();
+    }, { deep: { depth: 2, include: "items.*.price", exclude: ["meta"], paths: true } });
     this.$on("", () => {});
+    this.$emitAsync("save", 1).then(results => results.length);
     this.$once("", () => {});
     this.$off("", () => {});
     this.$emit("", 1, 2, 3);
@@ -75,6 +83,17 @@ class Test extends Vue {
     config.keyCodes = { esc: 27 };
     config.ignoredElements = ['foo', /^ion-/];
     config.async = false
+    config.reactivity = 'proxy';
+    config.timeSlicing = true;
+    config.frameBudget = 8;
+    config.maxUpdateCount = 50;
+    config.onInfiniteLoop = info => {
+      info.cycle.forEach(entry => entry.key);
+      info.count.toFixed();
+    };
+    config.onOptionConflict = (conflict, vm) => {
+      conflict.sources.indexOf(conflict.winner);
+    };
   }
 
   static testMethods() {
@@ -214,6 +233,74 @@ class Decorated extends Vue {
 const obj = Vue.observable({ a: 1 })
 obj.a++
 
+const shallowObj = Vue.shallowObservable({ rows: [{ id: 1 }] })
+shallowObj.rows = Vue.markRaw([{ id: 2 }])
+const shallowRows: { id: number }[] = Vue.shallow([{ id: 1 }])
+
+const readonlyObj = Vue.readonly({ nested: { a: 1 } })
+const readonlyValue: number = readonlyObj.nested.a
+
+const rawObj: { a: number } = Vue.toRaw(obj)
+const snapshotObj = Vue.snapshot({ list: [new Date()] }, { depth: 2 })
+snapshotObj.list[0].getTime()
+
+const scope = Vue.effectScope()
+scope.run(() => {
+  const runner = Vue.effect(() => obj.a, { lazy: true, scheduler: run => run() })
+  const num: number = runner()
+  runner.stop()
+
+  const double = Vue.computed(() => obj.a * 2)
+  const doubleValue: number = double.value
+  const writable = Vue.computed(() => obj.a, (val: number) => { obj.a = val })
+  writable.value = 2
+
+  const stop = Vue.watch(() => obj.a, (val, oldVal) => val.toFixed() + oldVal.toFixed(), { immediate: true })
+  stop()
+  Vue.watch(obj, val => val.a, { deep: true })
+})
+scope.stop()
+
+const batched: number = Vue.batch(() => {
+  obj.a = 2
+  return obj.a
+})
+Vue.batchAsync(async () => {
+  obj.a = 3
+  return obj.a
+}).then(val => val.toFixed())
+
+const count = Vue.ref(1)
+count.value++
+const countValue: number = Vue.unref(count)
+if (Vue.isRef(count)) {
+  count.value.toFixed()
+}
+Vue.onErrorCaptured((err, vm, info) => false)
+Vue.onServerPrefetch(() => Promise.resolve())
+Vue.onRenderTracked(e => e.target)
+
+const app = Vue.createApp({
+  data: () => ({ msg: 'hello' }),
+  mounted () {
+    this.msg.toUpperCase();
+  }
+});
+app.config.errorHandler = (err, vm, info) => {};
+app.config.globalProperties.$http = {};
+app.config.keyCodes.f13 = 124;
+app.config.ignoredElements.push("x-app-only");
+const sharedMaxUpdateCount: number = app.config.maxUpdateCount;
+app
+  .use({ install (app, options) { app.provide('key', options) } }, { foo: 1 })
+  .mixin({ created () {} })
+  .component('foo', { template: '<div></div>' })
+  .directive('focus', { inserted (el) { el.focus() } })
+  .filter('upper', (value: string) => value.toUpperCase())
+  .provide(Symbol('key'), 1);
+const appRoot: Vue = app.mount('#app');
+app.unmount();
+
 // VNodeData style tests.
 const ComponentWithStyleInVNodeData = Vue.extend({
   render (h) {
@@ -11,6 +11,9 @@ import {
   ThisTypedComponentOptionsWithArrayProps,
   ThisTypedComponentOptionsWithRecordProps,
   WatchOptions,
+  DebuggerOptions,
+  DebuggerEvent,
+  PropTypesStatic,
 } from "./options";
 import { VNode, VNodeData, VNodeChildren, NormalizedScopedSlot } from "./vnode";
 import { PluginFunction, PluginObject } from "./plugin";
@@ -31,6 +34,7 @@ export interface Vue {
   readonly $scopedSlots: { [key: string]: NormalizedScopedSlot | undefined };
   readonly $isServer: boolean;
   readonly $data: Record<string, any>;
+  readonly $asyncComputed: Record<string, AsyncComputedState>;
   readonly $props: Record<string, any>;
   readonly $ssrContext: any;
   readonly $vnode: VNode;
@@ -44,18 +48,24 @@ export interface Vue {
   $delete: typeof Vue.delete;
   $watch(
     expOrFn: string,
-    callback: (this: this, n: any, o: any) => void,
+    callback: (this: this, n: any, o: any, changedPaths?: string[]) => void,
     options?: WatchOptions
   ): (() => void);
   $watch<T>(
     expOrFn: (this: this) => T,
-    callback: (this: this, n: T, o: T) => void,
+    callback: (this: this, n: T, o: T, changedPaths?: string[]) => void,
+    options?: WatchOptions
+  ): (() => void);
+  $watch(
+    expOrFn: Array<string | ((this: this) => any)>,
+    callback: (this: this, n: any[], o: any[], changedPaths?: string[]) => void,
     options?: WatchOptions
   ): (() => void);
   $on(event: string | string[], callback: Function): this;
   $once(event: string | string[], callback: Function): this;
   $off(event?: string | string[], callback?: Function): this;
   $emit(event: string, ...args: any[]): this;
+  $emitAsync(event: string, ...args: any[]): Promise<any[]>;
   $nextTick(callback: (this: this) => void): void;
   $nextTick(): Promise<void>;
   $createElement: CreateElement;
@@ -72,11 +82,111 @@ export interface VueConfiguration {
   performance: boolean;
   errorHandler(err: Error, vm: Vue, info: string): void;
   warnHandler(msg: string, vm: Vue, trace: string): void;
+  onInfiniteLoop(info: InfiniteLoopInfo): void;
+  onOptionConflict(conflict: OptionConflict, vm: Vue | undefined): void;
   ignoredElements: (string | RegExp)[];
   keyCodes: { [key: string]: number | number[] };
+  reactivity: 'defineProperty' | 'proxy';
+  timeSlicing: boolean;
+  frameBudget: number;
+  maxUpdateCount: number;
   async: boolean;
 }
 
+export interface AsyncComputedState<T = any> {
+  readonly value: T;
+  readonly pending: boolean;
+  readonly error: any;
+}
+
+export interface UpdateCycleEntry {
+  watcher: object;
+  vm: Vue | null;
+  triggeredBy: object | null;
+  type?: string;
+  key?: any;
+  target?: object;
+}
+
+export interface OptionConflict {
+  type: "props" | "methods" | "computed" | "data";
+  key: string;
+  sources: string[];
+  winner: string;
+}
+
+export interface InfiniteLoopInfo {
+  watcher: object;
+  vm: Vue | null;
+  count: number;
+  cycle: UpdateCycleEntry[];
+}
+
+export type DeepReadonly<T> = T extends Function
+  ? T
+  : T extends object
+    ? { readonly [K in keyof T]: DeepReadonly<T[K]> }
+    : T;
+
+export interface EffectOptions extends DebuggerOptions {
+  lazy?: boolean;
+  scheduler?: (runner: () => void) => void;
+}
+
+export interface EffectRunner<T = any> {
+  (): T;
+  stop(): void;
+}
+
+export interface ComputedRef<T = any> {
+  value: T;
+}
+
+export interface Ref<T = any> {
+  value: T;
+}
+
+export interface EffectScope {
+  readonly active: boolean;
+  run<T>(fn: () => T): T | undefined;
+  stop(): void;
+}
+
+type AppScopedConfigKeys = "errorHandler" | "warnHandler" | "keyCodes" | "ignoredElements" | "optionMergeStrategies";
+type SharedConfigKeys = Exclude<keyof VueConfiguration, AppScopedConfigKeys | "async">;
+
+export interface AppConfig extends Readonly<Pick<VueConfiguration, SharedConfigKeys>> {
+  errorHandler: ((err: Error, vm: Vue, info: string) => void) | null;
+  warnHandler: ((msg: string, vm: Vue, trace: string) => void) | null;
+  globalProperties: Record<string, any>;
+  keyCodes: { [key: string]: number | number[] };
+  ignoredElements: (string | RegExp)[];
+  optionMergeStrategies: any;
+}
+
+export type AppPlugin =
+  | { install(app: App, ...options: any[]): void }
+  | ((app: App, ...options: any[]) => void);
+
+export interface App {
+  readonly version: string;
+  readonly config: AppConfig;
+
+  use(plugin: AppPlugin, ...options: any[]): this;
+  mixin(mixin: ComponentOptions<Vue>): this;
+  provide(key: string | symbol, value: any): this;
+
+  component(id: string): VueConstructor | undefined;
+  component(id: string, definition: Component<any, any, any, any> | AsyncComponent<any, any, any, any>): this;
+  directive(id: string): DirectiveOptions | undefined;
+  directive(id: string, definition: DirectiveOptions | DirectiveFunction): this;
+  filter(id: string): Function | undefined;
+  filter(id: string, definition: Function): this;
+
+  mount(el?: Element | string, hydrating?: boolean): Vue;
+  unmount(): void;
+}
+
 export interface VueConstructor<V extends Vue = Vue> {
   new <Data = object, Methods = object, Computed = object, PropNames extends string = never>(options?: ThisTypedComponentOptionsWithArrayProps<V, Data, Methods, Computed, PropNames>): CombinedVueInstance<V, Data, Methods, Computed, Record<PropNames, any>>;
   // ideally, the return type should just contain Props, not Record<keyof Props, any>. But TS requires to have Base constructors with the same return type.
@@ -114,12 +224,47 @@ export interface VueConstructor<V extends Vue = Vue> {
   use<T>(plugin: PluginObject<T> | PluginFunction<T>, options?: T): VueConstructor<V>;
   use(plugin: PluginObject<any> | PluginFunction<any>, ...options: any[]): VueConstructor<V>;
   mixin(mixin: VueConstructor | ComponentOptions<Vue>): VueConstructor<V>;
+  createApp<Data = object, Methods = object, Computed = object, Props = object>(options?: ThisTypedComponentOptionsWithRecordProps<V, Data, Methods, Computed, Props>): App;
   compile(template: string): {
     render(createElement: typeof Vue.prototype.$createElement): VNode;
     staticRenderFns: (() => VNode)[];
   };
 
   observable<T>(obj: T): T;
+  shallowObservable<T>(obj: T): T;
+  markRaw<T extends object>(obj: T): T;
+  /** Marks a `data` entry as shallow. The wrapper is unwrapped when the instance is created. */
+  shallow<T>(value: T): T;
+  readonly<T extends object>(obj: T): DeepReadonly<T>;
+  toRaw<T>(obj: T): T;
+  snapshot<T>(obj: T, options?: { depth?: number }): T;
+
+  effect<T>(fn: () => T, options?: EffectOptions): EffectRunner<T>;
+  computed<T>(getter: () => T): Readonly<ComputedRef<T>>;
+  computed<T>(getter: () => T, setter: (value: T) => void): ComputedRef<T>;
+  watch<T>(source: () => T, cb: (value: T, oldValue: T, changedPaths?: string[]) => void, options?: WatchOptions): () => void;
+  watch<T extends object>(source: T, cb: (value: T, oldValue: T, changedPaths?: string[]) => void, options?: WatchOptions): () => void;
+  effectScope(detached?: boolean): EffectScope;
+  ref<T>(value: T): Ref<T>;
+  isRef(value: any): value is Ref;
+  unref<T>(value: T | Ref<T>): T;
+
+  onBeforeMount(fn: () => void): void;
+  onMounted(fn: () => void): void;
+  onBeforeUpdate(fn: () => void): void;
+  onUpdated(fn: () => void): void;
+  onBeforeUnmount(fn: () => void): void;
+  onUnmounted(fn: () => void): void;
+  onActivated(fn: () => void): void;
+  onDeactivated(fn: () => void): void;
+  onErrorCaptured(fn: (err: Error, vm: Vue, info: string) => boolean | void): void;
+  onServerPrefetch(fn: () => Promise<any>): void;
+  onRenderTracked(fn: (event: DebuggerEvent) => void): void;
+  onRenderTriggered(fn: (event: DebuggerEvent) => void): void;
+  batch<T>(fn: () => T): T;
+  batchAsync<T>(fn: () => Promise<T> | T): Promise<T>;
+
+  PropTypes: PropTypesStatic;
 
   util: {
     warn(msg: string, vm?: InstanceType<VueConstructor>): void;